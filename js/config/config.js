@@ -3,11 +3,34 @@
  * Centralized configuration for all modules
  */
 
+// Base URL of the vendored libraries and models. Defaults to the app folder;
+// set <meta name="wama-asset-base" content="..."> in index.html to load them
+// from elsewhere (e.g. a shared asset server on the local network).
+const ASSET_BASE_URL = (document.querySelector('meta[name="wama-asset-base"]')?.content || './')
+    .replace(/\/?$/, '/');
+
 export const CONFIG = {
+    // ==========================================================================
+    // Offline Assets
+    // ==========================================================================
+    assetBaseURL: ASSET_BASE_URL,
+    vendorCdnFallback: false,       // Load a library from its CDN when the vendored copy is missing
+    updateCheckIntervalMs: 3600000, // Look for a new app version this often (0 = only on load)
+
     // ==========================================================================
     // ML Model Settings
     // ==========================================================================
-    stateModelURL: './models/state-model/',
+    stateModelURL: `${ASSET_BASE_URL}models/state-model/`,
+
+    // State model mode: 'single' (one 4-class model) or 'split' (person + water models)
+    stateModelMode: 'single',
+    personModelURL: `${ASSET_BASE_URL}models/person-model/`,
+    waterModelURL: `${ASSET_BASE_URL}models/water-model/`,
+
+    // Inference backend: 'auto' (worker when supported), 'worker' or 'main'
+    inferenceBackend: 'auto',
+    workerInitTimeoutMs: 20000,     // Fall back to in-thread inference after this
+    workerPredictTimeoutMs: 2000,   // Give up on a worker prediction after this (frame skipped)
 
     // Webcam settings
     webcamWidth: 640,
@@ -21,19 +44,180 @@ export const CONFIG = {
     minConfidenceThreshold: 0.55,   // Minimum confidence for a prediction to count
     stabilityFrames: 5,             // Consecutive frames needed for critical states (Class 4)
 
+    // Unknown state - the model can't be trusted
+    unknownEnterMs: 3000,           // Uncertain this long → UNKNOWN
+    unknownExitMs: 1500,            // Clear this long → leave UNKNOWN
+    unknownEntropyThreshold: 0.85,  // Normalized prediction entropy (0 certain - 1 uniform)
+    unknownDarkLuma: 25,            // Mean frame brightness (0-255) below → too dark
+    unknownBrightLuma: 235,         // Mean frame brightness above → overexposed
+
+    // Smoothing of per-frame predictions: 'hmm' (Bayesian filter) or 'majority' (vote buffer above)
+    smoothingStrategy: 'hmm',
+    hmm: {
+        referenceMs: 100,           // Transition probabilities are per 100 ms
+        // Probability of moving from → to per referenceMs (staying fills the rest of the row)
+        transitions: {
+            1: { 2: 0.02, 3: 0.005, 4: 0.001 },    // Nobody turns a tap on from afar
+            2: { 1: 0.02, 3: 0.02, 4: 0.002 },
+            3: { 1: 0.002, 2: 0.02, 4: 0.01 },     // Walking away from running water
+            4: { 1: 0.005, 2: 0.01, 3: 0.02 }
+        },
+        // Enter a class at `enter` posterior, leave the current one below `exit`
+        hysteresis: {
+            1: { enter: 0.7, exit: 0.3 },
+            2: { enter: 0.7, exit: 0.3 },
+            3: { enter: 0.7, exit: 0.3 },
+            4: { enter: 0.85, exit: 0.2 }           // Interruption must be clear
+        },
+        observationWeight: 0.6,     // < 1 tempers overconfident classifier outputs
+        observationFloor: 0.01      // One frame can't rule a class out completely
+    },
+
+    // Split mode detectors - positiveIndex is the label index meaning "present"/"running"
+    detectors: {
+        person: {
+            positiveIndex: 1,
+            bufferSize: 10,
+            majorityThreshold: 0.6,
+            minConfidenceThreshold: 0.6,
+            stabilityFrames: 3
+        },
+        water: {
+            positiveIndex: 1,
+            bufferSize: 15,
+            majorityThreshold: 0.7,
+            minConfidenceThreshold: 0.6,
+            stabilityFrames: 5      // Water alone means Class 4 - avoid false triggers
+        }
+    },
+
+    // Teach mode (on-device retraining of the state model head)
+    teachImageSize: 224,            // Stored sample size (model input size)
+    teachCaptureIntervalMs: 200,    // Capture rate while a class button is held
+    teachMinSamples: 10,            // Per class, before training is allowed
+    teachMaxSamples: 300,           // Per class
+    teachEpochs: 50,
+    teachBatchSize: 16,
+    teachLearningRate: 0.001,
+    teachValidationSplit: 0.15,
+
+    // Adaptive inference rate (Hz) per flow state - full rate while gestures are detected
+    // (unless capped by gestureInferenceRate)
+    inferenceRates: {
+        idle: 2,
+        person_arrived: 5,
+        task_active: 10,
+        long_task: 10,
+        music_playing: 5,
+        interruption: 10,
+        return_after: 5,
+        session_finished: 5,
+        session_ends: 2,
+        unknown: 5,
+        handwash_coach: 10,
+        handwash_done: 5
+    },
+    defaultInferenceRate: 5,        // States missing from inferenceRates
+    loopSleepThresholdMs: 20,       // Longer waits sleep on a timer instead of animation frames
+
+    // Motion gate - skip the classifier while the scene doesn't change
+    motionGateEnabled: true,
+    motionSampleWidth: 32,          // Grayscale sample size used for frame differencing
+    motionSampleHeight: 24,
+    motionThreshold: 0.02,          // Mean luminance difference (0-1) that counts as motion
+    motionGateMaxSkipMs: 2000,      // Classify a static scene at least this often
+    motionBoostRate: 10,            // Minimum rate (Hz) right after motion...
+    motionBoostMs: 3000,            // ...for this long
+
+    // Camera health monitor
+    cameraCheckIntervalMs: 1000,    // How often frames are hashed
+    cameraFrozenMs: 5000,           // Identical frames for this long → camera lost
+    cameraRetryBaseMs: 1000,        // First reconnection delay (doubles on each failure)
+    cameraRetryMaxMs: 30000,        // Longest reconnection delay
+
     // ==========================================================================
     // MediaPipe Hands Settings
     // ==========================================================================
     handsModelComplexity: 1,
     handsMinDetectionConfidence: 0.7,
     handsMinTrackingConfidence: 0.5,
+    handsMaxNumHands: 2,            // Hands tracked at once (a parent helping a child)
 
-    // Geometric gesture thresholds
-    thumbExtensionThreshold: 0.08,
-    fingerCurlThreshold: 0.02,
+    // Which hand gestures are read from when several are visible. The responding
+    // hand is kept while it stays in view; a new one is picked when it's lost.
+    //   'largest' - biggest in the image
+    //   'central' - closest to the middle of the frame
+    //   'nearest' - nearest the camera (longest palm, whatever the finger pose)
+    respondingHandPolicy: 'nearest',
+    handTrackingMaxJump: 0.2,       // Palm movement between frames (frame heights) kept as the same hand
+    handTrackingGraceMs: 300,       // A hand missing this long gets a new tracking id
+
+    // Hand geometry (ml/handGeometry.js)
+    // Flexion = sum of the bend at a finger's joints, 0° = straight
+    fingerCurledAngle: 110,         // Index..pinky flexion at or above this is curled...
+    fingerExtendedAngle: 50,        // ...and at or below this is extended
+    thumbExtendedAngle: 50,         // Thumb MCP + IP flexion at or below this is extended
+    thumbMaxTilt: 50,               // Thumbs up/down: thumb within this angle of vertical
+
+    // Gesture classifiers (ml/gestureClassifiers.js)
+    // Distances are in palm sizes (wrist → middle finger MCP)
+    gestureThresholds: {
+        openPalm: {
+            minExtended: 4,         // Extended fingers (of 4)
+            minThumbSpread: 0.5,    // Thumb tip ↔ index MCP
+            minFacing: null,        // Palm towards the camera (-1..1), null = either side
+            stillMs: 500,           // Hand must be still this long...
+            maxMotion: 0.3          // ...moving less than this (tells it apart from a wave)
+        },
+        wave: {
+            windowMs: 1500,         // Motion looked at
+            minReversals: 2,        // Side-to-side direction changes
+            minAmplitude: 0.4,      // Smallest swing counted
+            minExtended: 3,         // Open hand while waving
+            holdMs: 0               // Confirmed as soon as it's recognized
+        },
+        ok: {
+            maxPinch: 0.3,          // Thumb tip ↔ index tip
+            minExtended: 2          // Extended middle/ring/pinky (of 3)
+        },
+        pointUp: {
+            maxTilt: 40,            // Index MCP → tip within this angle of vertical
+            minCurled: 3            // Middle/ring/pinky curled (of 3)
+        },
+        crossed: {
+            minCrossing: 0.3        // Left-labelled palm this far right of the right one
+        }
+    },
 
     // Gesture hold
-    gestureHoldDuration: 500,
+    gestureHoldDuration: 500,       // Default time a pose is held before it counts
+    gestureCooldownMs: 1500,        // Ignore gestures this long after one was confirmed
+    gestureInferenceRate: null,     // Rate (Hz) while gestures are detected, null = every frame
+
+    // Gesture sequences (ml/gestureSequences.js, patterns in config/sequences.js)
+    sequencePoseMs: 120,            // A pose must be seen this long to count as a step
+    sequenceDoneMs: 800,            // Completed sequence stays on the progress indicator
+    gestureMotions: {
+        swipe: {
+            maxMs: 700,             // Whole swipe within this time...
+            minDistance: 1.5,       // ...covering this distance (palm sizes)
+            maxSlope: 0.5,          // Off-axis movement per unit along the swipe
+            minStraightness: 0.75   // Displacement / path length
+        },
+        circle: {
+            maxMs: 1500,            // Whole circle within this time
+            minTurn: 300,           // Degrees swept around the centre of the path
+            minRadius: 0.4          // Mean distance from the centre (palm sizes)
+        }
+    },
+    volumeStep: 0.1,                // Volume up/down sequences
+
+    // Custom gestures (ml/customGestures.js) - recorded in Gesture Test Mode
+    customGestureSamples: 30,       // Samples stored per recording
+    customGestureCaptureIntervalMs: 100, // Capture rate while recording
+    customGestureMaxSamples: 150,   // Per gesture (oldest dropped first)
+    customGestureK: 5,              // Neighbours that vote
+    customGestureMaxDistance: 0.25, // Mean landmark distance (palm sizes) to count as a neighbour
 
     // ==========================================================================
     // Music Question Flow
@@ -43,12 +227,41 @@ export const CONFIG = {
     gestureResponseWindow: 8000,
     okMessageDuration: 3000,
 
+    // Music library (services/musicLibrary.js)
+    musicLibraryURL: 'assets/audio/music/library.json',
+    musicFadeInMs: 1500,            // Music fades in when the music page opens
+    musicTrackFadeMs: 400,          // Next / previous track
+    musicPositionSaveMs: 5000,      // Save the position this often while playing
+    musicPreviousRestartSec: 3,     // Previous restarts the track after this far in
+
+    // ==========================================================================
+    // Audio Engine (ui/audioManager.js, ui/audioMixer.js)
+    // ==========================================================================
+    audioCrossfadeMs: 800,          // Route to route (a route can set its own `crossfadeMs`)
+    audioFadeMs: 250,               // Stop, pause and resume
+    audioDuckLevel: 0.3,            // Music bus gain while a voice line plays
+    audioDuckAttackMs: 200,         // Music fades down this fast...
+    audioDuckReleaseMs: 800,        // ...and comes back this slowly
+
+    // Voice lines (ui/voiceManager.js, phrases in config/phrases.js)
+    recordedVoiceLanguage: 'en',    // Language of the recorded clips
+
     // ==========================================================================
     // Animation Settings
     // ==========================================================================
     lottieDefaultDelay: 1000,
     transitionDuration: 300,
 
+    // ==========================================================================
+    // Lifecycle Settings
+    // ==========================================================================
+    suspendResetMs: 120000,         // Hidden longer than this → restart the flow at idle
+
+    // ==========================================================================
+    // Persistence Settings
+    // ==========================================================================
+    persistDebounceMs: 500,         // Delay before writing changes to IndexedDB
+
     // ==========================================================================
     // Debug Settings
     // ==========================================================================
@@ -56,6 +269,36 @@ export const CONFIG = {
     showDebugPanel: true
 };
 
+// Runtime libraries, loaded in order by core/vendorLoader.js
+// `path` is relative to CONFIG.assetBaseURL (see vendor/README.md),
+// `cdn` is the pinned upstream copy used when vendorCdnFallback is on.
+export const VENDOR_LIBRARIES = [
+    {
+        name: 'tfjs',
+        global: 'tf',
+        path: 'vendor/tfjs/tf.min.js',
+        cdn: 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@1.7.4/dist/tf.min.js'
+    },
+    {
+        name: 'tmImage',
+        global: 'tmImage',
+        path: 'vendor/teachablemachine-image/teachablemachine-image.min.js',
+        cdn: 'https://cdn.jsdelivr.net/npm/@teachablemachine/image@0.8.4/dist/teachablemachine-image.min.js'
+    },
+    {
+        name: 'hands',
+        global: 'Hands',
+        path: 'vendor/mediapipe-hands/hands.js',     // wasm/tflite files sit next to it
+        cdn: 'https://cdn.jsdelivr.net/npm/@mediapipe/hands@0.4.1675469240/hands.js'
+    },
+    {
+        name: 'lottie',
+        global: 'lottie',
+        path: 'vendor/lottie-web/lottie.min.js',
+        cdn: 'https://cdnjs.cloudflare.com/ajax/libs/lottie-web/5.12.2/lottie.min.js'
+    }
+];
+
 // Class definitions (mapped from state model labels)
 export const CLASSES = {
     1: { name: "Idle", person: false, water: false },
@@ -68,9 +311,144 @@ export const CLASSES = {
 export const GESTURES = {
     YES: "thumbs_up",
     NO: "thumbs_down",
+    PALM: "open_palm",
+    WAVE: "wave",
+    OK: "ok_sign",
+    POINT_UP: "pointing_up",
+    BOTH_YES: "both_thumbs_up",
+    CROSSED: "hands_crossed",
     NONE: null
 };
 
+// Gesture sequences and motions (patterns in config/sequences.js) - handled
+// like gestures by the flow table
+export const SEQUENCES = {
+    SWIPE_LEFT: "swipe_left",
+    SWIPE_RIGHT: "swipe_right",
+    DOUBLE_YES: "double_thumbs_up",
+    DOUBLE_NO: "double_thumbs_down",
+    CIRCLE: "circle"
+};
+
+// Commands that aren't a hand pose of their own - custom gestures are bound to
+// them (or to a built-in gesture) and the flow table handles them the same way
+export const GESTURE_COMMANDS = {
+    DONE: "done",
+    SKIP_TRACK: "skip_track"
+};
+
+// What a custom gesture can be bound to (gesture recorder in the debug panel)
+export const GESTURE_BINDINGS = [
+    { id: GESTURES.YES, label: 'Yes (like 👍)' },
+    { id: GESTURES.NO, label: 'No (like 👎)' },
+    { id: GESTURES.PALM, label: 'Stop the music (like ✋)' },
+    { id: GESTURES.WAVE, label: 'Goodbye (like 👋)' },
+    { id: GESTURE_COMMANDS.DONE, label: "I'm done" },
+    { id: GESTURE_COMMANDS.SKIP_TRACK, label: 'Skip track' }
+];
+
+// Mixer buses (each has its own volume and mute, under the master ones)
+export const AUDIO_BUSES = ['music', 'voice', 'effects'];
+
+// Sounds (<audio id="audio-<name>"> in index.html) and the bus they play on.
+// A voice line ducks the music; any other sound takes over from what plays.
+export const AUDIO_CLIPS = {
+    music: { bus: 'music', loop: true },
+    askmusic: { bus: 'voice', loop: true },
+    hello: { bus: 'voice' },
+    howareyou: { bus: 'voice' },
+    youreback: { bus: 'voice' },
+    bye: { bus: 'voice' },
+    worried: { bus: 'effects', loop: true }
+};
+
+// Speaking styles for text-to-speech (settings.voicePersonality)
+// voices: preferred system voices (parts of their names), first available wins;
+// otherwise any voice of the phrase pack's language
+export const VOICE_PERSONALITIES = {
+    wama: { label: 'Wama (bright)', rate: 1.05, pitch: 1.5, voices: ['Samantha', 'Google US English', 'Alice', 'Anna'] },
+    calm: { label: 'Calm', rate: 0.85, pitch: 1, voices: ['Daniel', 'Google UK English Female', 'Luca', 'Markus'] },
+    robot: { label: 'Robot', rate: 1, pitch: 0.3, voices: [] }
+};
+
+// State keys snapshotted to IndexedDB and restored on reload
+export const PERSISTED_STATE_KEYS = [
+    'detectionStartedOnce',
+    'lastMusicAskTime',
+    'musicTrackId',
+    'musicPosition'
+];
+
+// User preferences (persisted, editable at runtime)
+export const SETTINGS_DEFAULTS = {
+    volume: 1,                      // Master volume and mute
+    muted: false,
+    musicVolume: 1,                 // Per bus (AUDIO_BUSES)
+    voiceVolume: 1,
+    effectsVolume: 1,
+    musicMuted: false,
+    voiceMuted: false,
+    effectsMuted: false,
+    musicPlaylist: 'all',           // 'all', a library playlist id or 'mood:<mood>'
+    musicShuffle: false,
+    musicRepeat: 'all',             // 'all', 'one' or 'off'
+    voiceLanguage: 'en',            // Phrase pack (PHRASE_PACKS in phrases.js)
+    voicePersonality: 'wama',       // VOICE_PERSONALITIES
+    voiceTts: true,                 // Speak phrases when there is no recorded clip
+    autoResumeDetection: true,      // Restart detection on reload if it ran before
+    waterFlowRate: 6,               // Tap flow rate in litres/min (for usage estimates)
+    ecoFeedback: true,              // Show water used instead of plain goodbye
+    flowMode: 'default',            // 'default' or 'handwash' (see FLOWS in flow.js)
+    stateModelSource: 'bundled',    // 'bundled' (models/state-model) or 'trained' (teach mode)
+
+    // Camera (applied where the device supports it)
+    cameraDeviceId: '',             // Empty → pick by facing mode
+    cameraFacingMode: 'user',       // 'user' or 'environment'
+    cameraResolution: `${CONFIG.webcamWidth}x${CONFIG.webcamHeight}`,
+    cameraFrameRate: 30,
+    cameraRotation: 0,              // 0, 90, 180 or 270 (camera mounted sideways)
+    cameraExposureMode: 'auto',     // 'auto' or 'manual'
+    cameraExposureCompensation: 0,
+    cameraWhiteBalanceMode: 'auto', // 'auto' or 'manual'
+    cameraColorTemperature: 0,      // Kelvin, used in manual mode (0 = camera default)
+
+    // Regions of interest ({ x, y, w, h } normalized, null = whole frame)
+    roiWater: null,                 // Faucet/basin area
+    roiPerson: null                 // Where a person stands at the sink
+};
+
+// Regions of interest drawn on the calibration screen
+export const ROI_REGIONS = {
+    water: { setting: 'roiWater', label: 'Water', color: '#3b82f6' },
+    person: { setting: 'roiPerson', label: 'Person', color: '#22c55e' }
+};
+
+// Choices offered on the settings screen
+export const CAMERA_OPTIONS = {
+    resolutions: ['320x240', '640x480', '1280x720', '1920x1080'],
+    frameRates: [15, 24, 30, 60],
+    rotations: [0, 90, 180, 270]
+};
+
+// Handwash coach steps (durations are scaled to fit HANDWASH_DURATION)
+// Each step has its own animation in assets/animations/handwash/
+export const HANDWASH_STEPS = [
+    { id: 'wet', label: 'Wet your hands', icon: '💧', duration: 2000,
+      animation: { path: 'assets/animations/handwash/wet.svg', delay: 0, isSvg: true } },
+    { id: 'soap', label: 'Apply soap', icon: '🧴', duration: 2000,
+      animation: { path: 'assets/animations/handwash/soap.svg', delay: 0, isSvg: true } },
+    { id: 'palms', label: 'Scrub palm to palm', icon: '🤲', duration: 3000,
+      animation: { path: 'assets/animations/handwash/palms.svg', delay: 0, isSvg: true } },
+    { id: 'backs', label: 'Scrub the backs of your hands', icon: '✋', duration: 3000,
+      animation: { path: 'assets/animations/handwash/backs.svg', delay: 0, isSvg: true } },
+    { id: 'fingers', label: 'Interlace your fingers', icon: '🙏', duration: 3000,
+      animation: { path: 'assets/animations/handwash/fingers.svg', delay: 0, isSvg: true } },
+    { id: 'thumbs', label: 'Rub each thumb', icon: '👍', duration: 3000,
+      animation: { path: 'assets/animations/handwash/thumbs.svg', delay: 0, isSvg: true } },
+    { id: 'rinse', label: 'Rinse well', icon: '🚿', duration: 4000,
+      animation: { path: 'assets/animations/handwash/rinse.svg', delay: 0, isSvg: true } }
+];
+
 // Route to ML class mapping
 export const ROUTE_CLASS_MAP = {
     'idle': 1,
@@ -81,7 +459,15 @@ export const ROUTE_CLASS_MAP = {
     'worried': 4,
     'youreback': 2,
     'bye': 1,
-    'sessionfinished': 1
+    'eco': 1,
+    'sessionfinished': 1,
+    'handwash': 3,
+    'handwashdone': 3,
+    'cantsee': 1,
+    'unsure': 1,
+    'settings': 1,
+    'calibrate': 1,
+    'teach': 1
 };
 
 export default CONFIG;
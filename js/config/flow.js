@@ -0,0 +1,370 @@
+/**
+ * Flow Definition
+ * Declarative transition table for the sink companion flow
+ *
+ * Each state describes:
+ *   route       - Route shown while in this state, or a list of candidates
+ *                 ({ guard, route }) where the first passing guard wins
+ *   enter/exit  - Controller actions run when entering/leaving the state
+ *   during      - Controller actions run on every frame no transition fired
+ *   transitions - Ordered list, the first matching entry wins:
+ *       when    - Match on ML inputs ({ person, water, unknown }), omitted keys are ignored
+ *       elapsed - { since, ms } timer guard, `since` is a controller property
+ *                 or 'state' for the time the state was entered
+ *       guard   - Name of a controller method/property that must be truthy
+ *       actions - Controller actions run on the transition
+ *       to      - Target state (omit to only run actions)
+ *   after       - { ms, transitions } evaluated once when the state timer fires
+ *   gestures    - { gestureId: { guard, actions, to } } run when a hand gesture
+ *                 is confirmed; hands are only tracked in states listing gestures.
+ *                 Keys can also be GESTURE_COMMANDS, which custom gestures are
+ *                 bound to, and SEQUENCES (config/sequences.js)
+ *
+ * Durations can be numbers or keys of the `timing` object.
+ */
+
+import { GESTURES, GESTURE_COMMANDS, SEQUENCES } from './config.js';
+
+// =============================================================================
+// FLOW STATES (matching flowchart)
+// =============================================================================
+export const FLOW_STATE = {
+    IDLE: 'idle',                           // 0. Idle State - No person
+    PERSON_ARRIVED: 'person_arrived',       // 1. Person Arrives at Sink - Say HI
+    TASK_ACTIVE: 'task_active',             // 2. Task Begins - Silent observation
+    LONG_TASK: 'long_task',                 // 7. Long Task Scenario - Ask music
+    MUSIC_PLAYING: 'music_playing',         // 4. Music Playing - Dance
+    INTERRUPTION: 'interruption',           // 5. Interruption Scenario - Worried
+    RETURN_AFTER_ABSENCE: 'return_after',   // 6. Return After Absence - Relief
+    SESSION_FINISHED: 'session_finished',   // Session finished prompt
+    SESSION_ENDS: 'session_ends',           // 5. Session Ends - Goodbye
+    UNKNOWN: 'unknown',                     // Can't see well (dark, covered, unusual scene)
+
+    // Handwash coach variant
+    HANDWASH_COACH: 'handwash_coach',       // Guided handwashing steps with countdown
+    HANDWASH_DONE: 'handwash_done'          // Recommended duration reached - celebrate
+};
+
+// Timing thresholds (from flowchart)
+export const FLOW_TIMING = {
+    INACTIVITY_TIMEOUT: 2000,       // 2 sec without activity → sleep
+    LONG_TASK_THRESHOLD: 20000,     // 20 sec for long task scenario
+    MUSIC_COOLDOWN: 75000,          // 75 sec before asking music again
+    GESTURE_TIMEOUT: 15000,         // 15 sec to respond to music question
+    RELIEF_DURATION: 3000,          // 3 sec to show relief message
+    SESSION_FINISHED_DURATION: 5000,// 5 sec to show "Session Finished?"
+    GOODBYE_DURATION: 5000,         // 5 sec to show goodbye
+    UNKNOWN_TIMEOUT: 60000,         // 60 sec unable to see before giving up (or worrying)
+    HANDWASH_DURATION: 20000,       // 20 sec recommended handwashing (WHO)
+    HANDWASH_CELEBRATION: 3000      // 3 sec to celebrate a complete handwash
+};
+
+// Model can't be trusted - person/water inputs are the last known ones
+const TO_UNKNOWN = { when: { unknown: true }, to: FLOW_STATE.UNKNOWN };
+
+// Shared exits: can't see, person leaves with water on, or water is turned off
+const SESSION_EXITS = [
+    TO_UNKNOWN,
+    { when: { person: false, water: true }, to: FLOW_STATE.INTERRUPTION },
+    { when: { person: true, water: false }, to: FLOW_STATE.SESSION_FINISHED },
+    { when: { person: false, water: false }, to: FLOW_STATE.SESSION_ENDS }
+];
+
+export const DEFAULT_FLOW = {
+    label: 'Default',               // Shown in the settings
+    initial: FLOW_STATE.IDLE,
+    timing: FLOW_TIMING,
+    states: {
+        // 0. IDLE - Waiting for person
+        [FLOW_STATE.IDLE]: {
+            route: [
+                { guard: 'isCameraLost', route: 'cantsee' },
+                { guard: 'isUnknown', route: 'unsure' },
+                { route: 'idle' }
+            ],
+            enter: ['resetAllState'],
+            transitions: [
+                { when: { person: true }, to: FLOW_STATE.PERSON_ARRIVED }
+            ]
+        },
+
+        // 1. PERSON ARRIVED - Said HI, waiting for tap
+        [FLOW_STATE.PERSON_ARRIVED]: {
+            route: 'hello',
+            enter: ['markPersonArrived'],
+            transitions: [
+                TO_UNKNOWN,
+                { when: { person: true, water: true }, to: FLOW_STATE.TASK_ACTIVE },
+                { when: { person: false, water: true }, to: FLOW_STATE.INTERRUPTION },
+                // Person left without turning on the tap → back to sleep
+                {
+                    when: { person: false },
+                    elapsed: { since: 'inactivityStartTime', ms: 'INACTIVITY_TIMEOUT' },
+                    to: FLOW_STATE.IDLE
+                },
+                // Person still here, tap not on yet - keep waiting
+                { when: { person: true }, actions: ['resetInactivity'] }
+            ]
+        },
+
+        // 2. TASK ACTIVE - Working, observing
+        [FLOW_STATE.TASK_ACTIVE]: {
+            route: 'working',
+            enter: ['startTaskTimer'],
+            during: ['updateTaskDuration'],
+            transitions: [
+                ...SESSION_EXITS,
+                // Task > 20s and cooldown elapsed → ask about music
+                {
+                    when: { person: true, water: true },
+                    elapsed: { since: 'taskStartTime', ms: 'LONG_TASK_THRESHOLD' },
+                    guard: 'canAskMusic',
+                    to: FLOW_STATE.LONG_TASK
+                }
+            ]
+        },
+
+        // 7. LONG TASK - Asking about music
+        [FLOW_STATE.LONG_TASK]: {
+            route: 'askmusic',
+            enter: ['askMusic'],
+            during: ['updateQuestionTimer'],
+            transitions: [
+                ...SESSION_EXITS,
+                {
+                    elapsed: { since: 'gestureStartTime', ms: 'GESTURE_TIMEOUT' },
+                    actions: ['musicQuestionTimedOut'],
+                    to: FLOW_STATE.TASK_ACTIVE
+                }
+            ],
+            gestures: {
+                [GESTURES.YES]: { to: FLOW_STATE.MUSIC_PLAYING },
+                [GESTURES.BOTH_YES]: { to: FLOW_STATE.MUSIC_PLAYING },
+                [GESTURES.OK]: { to: FLOW_STATE.MUSIC_PLAYING },
+                [GESTURES.NO]: { actions: ['declineMusic'], to: FLOW_STATE.TASK_ACTIVE },
+                // Hands crossed - "cancel", same as no
+                [GESTURES.CROSSED]: { actions: ['declineMusic'], to: FLOW_STATE.TASK_ACTIVE }
+            }
+        },
+
+        // 4. MUSIC PLAYING - Dancing
+        [FLOW_STATE.MUSIC_PLAYING]: {
+            route: 'musicplaying',
+            enter: ['startMusic'],
+            during: ['updateTaskDuration'],
+            transitions: [
+                { when: { unknown: true }, actions: ['pauseAudio'], to: FLOW_STATE.UNKNOWN },
+                { when: { person: false, water: true }, actions: ['pauseAudio'], to: FLOW_STATE.INTERRUPTION },
+                { when: { person: true, water: false }, actions: ['stopAudio'], to: FLOW_STATE.SESSION_FINISHED },
+                { when: { person: false, water: false }, actions: ['stopAudio'], to: FLOW_STATE.SESSION_ENDS }
+            ],
+            gestures: {
+                // "Stop" - back to working without music
+                [GESTURES.PALM]: { actions: ['endMusic'], to: FLOW_STATE.TASK_ACTIVE },
+                [GESTURES.CROSSED]: { actions: ['endMusic'], to: FLOW_STATE.TASK_ACTIVE },
+                [GESTURE_COMMANDS.SKIP_TRACK]: { actions: ['skipTrack'] },
+                [SEQUENCES.SWIPE_RIGHT]: { actions: ['skipTrack'] },
+                [SEQUENCES.SWIPE_LEFT]: { actions: ['previousTrack'] },
+                [SEQUENCES.DOUBLE_YES]: { actions: ['volumeUp'] },
+                [SEQUENCES.DOUBLE_NO]: { actions: ['volumeDown'] }
+            }
+        },
+
+        // 5. INTERRUPTION - Worried (water on, person gone)
+        // Stays worried while unknown: the last known class (water on) is kept
+        [FLOW_STATE.INTERRUPTION]: {
+            route: 'worried',
+            enter: ['startInterruption'],
+            during: ['updateWorryDuration'],
+            transitions: [
+                { when: { person: true }, to: FLOW_STATE.RETURN_AFTER_ABSENCE },
+                // Water turned off remotely
+                { when: { water: false }, to: FLOW_STATE.SESSION_ENDS }
+            ]
+        },
+
+        // 6. RETURN AFTER ABSENCE - Relief, then resume task or music
+        [FLOW_STATE.RETURN_AFTER_ABSENCE]: {
+            route: 'youreback',
+            enter: ['endInterruption'],
+            transitions: SESSION_EXITS,
+            after: {
+                ms: 'RELIEF_DURATION',
+                transitions: [
+                    { guard: 'wasMusicPlayingBeforeInterruption', to: FLOW_STATE.MUSIC_PLAYING },
+                    { to: FLOW_STATE.TASK_ACTIVE }
+                ]
+            }
+        },
+
+        // SESSION FINISHED - "Session Finished?" prompt
+        [FLOW_STATE.SESSION_FINISHED]: {
+            route: 'sessionfinished',
+            transitions: [
+                TO_UNKNOWN,
+                // Person starts task again
+                { when: { person: true, water: true }, to: FLOW_STATE.TASK_ACTIVE },
+                { when: { person: false }, to: FLOW_STATE.SESSION_ENDS }
+            ],
+            after: {
+                ms: 'SESSION_FINISHED_DURATION',
+                transitions: [{ to: FLOW_STATE.SESSION_ENDS }]
+            },
+            gestures: {
+                // Wave goodbye - done, no need to wait for the timer
+                [GESTURES.WAVE]: { to: FLOW_STATE.SESSION_ENDS },
+                [GESTURE_COMMANDS.DONE]: { to: FLOW_STATE.SESSION_ENDS }
+            }
+        },
+
+        // 5. SESSION ENDS - Goodbye
+        [FLOW_STATE.SESSION_ENDS]: {
+            route: [
+                { guard: 'isEcoFeedbackEnabled', route: 'eco' },
+                { route: 'bye' }
+            ],
+            transitions: [
+                { when: { person: true, water: true }, to: FLOW_STATE.TASK_ACTIVE }
+            ],
+            after: {
+                ms: 'GOODBYE_DURATION',
+                transitions: [{ to: FLOW_STATE.IDLE }]
+            }
+        },
+
+        // UNKNOWN - "I can't see very well…"
+        // Resumes from what is seen once the view is clear again. If the water
+        // was on, it never says bye while blind and worries after a long time.
+        [FLOW_STATE.UNKNOWN]: {
+            route: 'unsure',
+            enter: ['startUnknown'],
+            exit: ['endUnknown'],
+            transitions: [
+                {
+                    when: { unknown: true },
+                    elapsed: { since: 'state', ms: 'UNKNOWN_TIMEOUT' },
+                    guard: 'wasWaterOnBeforeUnknown',
+                    to: FLOW_STATE.INTERRUPTION
+                },
+                {
+                    when: { unknown: true },
+                    elapsed: { since: 'state', ms: 'UNKNOWN_TIMEOUT' },
+                    to: FLOW_STATE.IDLE
+                },
+                { when: { unknown: true } },
+                { when: { person: false, water: true }, to: FLOW_STATE.INTERRUPTION },
+                { when: { person: true, water: true }, guard: 'wasMusicPlayingBeforeUnknown', to: FLOW_STATE.MUSIC_PLAYING },
+                { when: { person: true, water: true }, to: FLOW_STATE.TASK_ACTIVE },
+                { when: { person: true, water: false }, guard: 'wasWaterOnBeforeUnknown', to: FLOW_STATE.SESSION_FINISHED },
+                { when: { person: true, water: false }, to: FLOW_STATE.PERSON_ARRIVED },
+                { when: { person: false, water: false }, guard: 'wasWaterOnBeforeUnknown', to: FLOW_STATE.SESSION_ENDS },
+                { when: { person: false, water: false }, to: FLOW_STATE.IDLE }
+            ]
+        }
+    }
+};
+
+// =============================================================================
+// HANDWASH COACH VARIANT
+// Same flow, but starting the tap opens a guided handwash before the
+// regular task observation. Unfinished handwashes resume where they left off.
+// =============================================================================
+const RESUME_HANDWASH = {
+    when: { person: true, water: true },
+    guard: 'isHandwashInProgress',
+    to: FLOW_STATE.HANDWASH_COACH
+};
+
+const HANDWASH_EXITS = [
+    TO_UNKNOWN,
+    { when: { person: false, water: true }, to: FLOW_STATE.INTERRUPTION },
+    { when: { person: true, water: false }, to: FLOW_STATE.SESSION_FINISHED },
+    { when: { person: false, water: false }, to: FLOW_STATE.SESSION_ENDS }
+];
+
+// Session end states: an unfinished handwash is noted on entry, whichever way
+// the water went off (coach, interruption, unknown), and resumed if the tap
+// is turned on again
+const withHandwashEnd = (stateConfig) => ({
+    ...stateConfig,
+    enter: ['markHandwashIncomplete', ...(stateConfig.enter || [])],
+    transitions: [RESUME_HANDWASH, ...stateConfig.transitions]
+});
+
+const { states } = DEFAULT_FLOW;
+
+export const HANDWASH_FLOW = {
+    ...DEFAULT_FLOW,
+    label: 'Handwash coach',
+    states: {
+        ...states,
+
+        [FLOW_STATE.PERSON_ARRIVED]: {
+            ...states[FLOW_STATE.PERSON_ARRIVED],
+            transitions: states[FLOW_STATE.PERSON_ARRIVED].transitions.map(transition =>
+                transition.to === FLOW_STATE.TASK_ACTIVE
+                    ? { ...transition, to: FLOW_STATE.HANDWASH_COACH }
+                    : transition
+            )
+        },
+
+        // Guided steps with countdown
+        [FLOW_STATE.HANDWASH_COACH]: {
+            route: 'handwash',
+            enter: ['startHandwashCoach'],
+            exit: ['pauseHandwashCoach'],
+            during: ['updateHandwashCoach'],
+            transitions: [
+                ...HANDWASH_EXITS,
+                {
+                    when: { person: true, water: true },
+                    elapsed: { since: 'handwashStartTime', ms: 'HANDWASH_DURATION' },
+                    to: FLOW_STATE.HANDWASH_DONE
+                }
+            ]
+        },
+
+        // Celebrate, then keep observing like a regular task
+        [FLOW_STATE.HANDWASH_DONE]: {
+            route: 'handwashdone',
+            enter: ['completeHandwash'],
+            transitions: SESSION_EXITS,
+            after: {
+                ms: 'HANDWASH_CELEBRATION',
+                transitions: [{ to: FLOW_STATE.TASK_ACTIVE }]
+            }
+        },
+
+        [FLOW_STATE.RETURN_AFTER_ABSENCE]: {
+            ...states[FLOW_STATE.RETURN_AFTER_ABSENCE],
+            after: {
+                ...states[FLOW_STATE.RETURN_AFTER_ABSENCE].after,
+                transitions: [
+                    { guard: 'isHandwashInProgress', to: FLOW_STATE.HANDWASH_COACH },
+                    ...states[FLOW_STATE.RETURN_AFTER_ABSENCE].after.transitions
+                ]
+            }
+        },
+
+        // Clear view again - resume an unfinished handwash first
+        [FLOW_STATE.UNKNOWN]: {
+            ...states[FLOW_STATE.UNKNOWN],
+            transitions: [
+                ...states[FLOW_STATE.UNKNOWN].transitions.filter(transition => transition.when?.unknown),
+                RESUME_HANDWASH,
+                ...states[FLOW_STATE.UNKNOWN].transitions.filter(transition => !transition.when?.unknown)
+            ]
+        },
+
+        [FLOW_STATE.SESSION_FINISHED]: withHandwashEnd(states[FLOW_STATE.SESSION_FINISHED]),
+        [FLOW_STATE.SESSION_ENDS]: withHandwashEnd(states[FLOW_STATE.SESSION_ENDS])
+    }
+};
+
+// Selectable flow modes (settings.flowMode)
+export const FLOWS = {
+    default: DEFAULT_FLOW,
+    handwash: HANDWASH_FLOW
+};
+
+export default DEFAULT_FLOW;
@@ -0,0 +1,136 @@
+/**
+ * Phrase Packs
+ * What Wama says on each route, per language (ui/voiceManager.js)
+ *
+ * A pack has:
+ *   name    - shown in the settings
+ *   lang    - BCP 47 tag for speechSynthesis
+ *   format  - how variables are spoken in this language
+ *   routes  - route name → phrase, or a list of phrases to pick from
+ *
+ * Phrases can use variables:
+ *   {duration} - time since the session started
+ *   {litres}   - water used this session
+ *   {wasted}   - water that ran while nobody was there
+ *   {today}    - water used today
+ * A phrase is only picked when all its variables are known (e.g. some water
+ * was used), and the one using the most variables wins (ties at random), so a
+ * list should include a phrase without variables.
+ *
+ * Recorded clips (<audio> in index.html) are in CONFIG.recordedVoiceLanguage
+ * and are played instead of the phrase in that language.
+ */
+
+/**
+ * Round minutes, or seconds under a minute
+ */
+const splitDuration = (seconds) => seconds < 60
+    ? { value: Math.round(seconds), unit: 'second' }
+    : { value: Math.round(seconds / 60), unit: 'minute' };
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const PHRASE_PACKS = {
+    en: {
+        name: 'English',
+        lang: 'en-US',
+        format: {
+            duration: (seconds) => {
+                const { value, unit } = splitDuration(seconds);
+                return `${value} ${unit}${value === 1 ? '' : 's'}`;
+            },
+            litres: (litres) => `${litres.toFixed(1)} litres`
+        },
+        routes: {
+            hello: ['Hi there!', 'Hello! Nice to see you.'],
+            howareyou: 'How are you today?',
+            askmusic: 'Want some music? Thumbs up for yes, thumbs down for no.',
+            worried: 'I still hear the water… but I don\'t see you',
+            youreback: 'Oh! You\'re back now!',
+            cantsee: 'I can\'t see… is my camera ok?',
+            unsure: 'I can\'t see very well…',
+            handwash: 'Let\'s wash those hands! Wet them first.',
+            handwashdone: 'Squeaky clean!',
+            sessionfinished: [
+                'You\'ve been here for {duration}. All done?',
+                'All done?'
+            ],
+            bye: 'Bye bye!',
+            eco: [
+                'Bye bye! You used {litres} this time, and {wasted} ran while you were away.',
+                'Bye bye! You used {litres} this time.',
+                'Bye bye!'
+            ]
+        }
+    },
+
+    it: {
+        name: 'Italiano',
+        lang: 'it-IT',
+        format: {
+            duration: (seconds) => {
+                const { value, unit } = splitDuration(seconds);
+                const units = unit === 'second' ? ['secondo', 'secondi'] : ['minuto', 'minuti'];
+                return `${value} ${value === 1 ? units[0] : units[1]}`;
+            },
+            litres: (litres) => `${litres.toFixed(1).replace('.', ',')} litri`
+        },
+        routes: {
+            hello: ['Ciao!', 'Ciao! Che bello vederti.'],
+            howareyou: 'Come stai oggi?',
+            askmusic: 'Vuoi un po\' di musica? Pollice su per sì, pollice giù per no.',
+            worried: 'Sento ancora l\'acqua… ma non ti vedo',
+            youreback: 'Oh! Sei tornato!',
+            cantsee: 'Non vedo niente… la mia fotocamera funziona?',
+            unsure: 'Non vedo molto bene…',
+            handwash: 'Laviamoci le mani! Prima bagnale.',
+            handwashdone: 'Pulitissime!',
+            sessionfinished: [
+                'Sei qui da {duration}. Hai finito?',
+                'Hai finito?'
+            ],
+            bye: 'Ciao ciao!',
+            eco: [
+                'Ciao ciao! Questa volta hai usato {litres}, e {wasted} sono scesi mentre non c\'eri.',
+                'Ciao ciao! Questa volta hai usato {litres}.',
+                'Ciao ciao!'
+            ]
+        }
+    },
+
+    de: {
+        name: 'Deutsch',
+        lang: 'de-DE',
+        format: {
+            duration: (seconds) => {
+                const { value, unit } = splitDuration(seconds);
+                const units = unit === 'second' ? ['Sekunde', 'Sekunden'] : ['Minute', 'Minuten'];
+                return `${value} ${value === 1 ? units[0] : units[1]}`;
+            },
+            litres: (litres) => `${litres.toFixed(1).replace('.', ',')} Liter`
+        },
+        routes: {
+            hello: ['Hallo!', 'Hallo! Schön, dich zu sehen.'],
+            howareyou: 'Wie geht es dir heute?',
+            askmusic: 'Möchtest du Musik? Daumen hoch für ja, Daumen runter für nein.',
+            worried: 'Ich höre das Wasser noch… aber ich sehe dich nicht',
+            youreback: 'Oh! Du bist wieder da!',
+            cantsee: 'Ich sehe nichts… geht meine Kamera?',
+            unsure: 'Ich sehe nicht so gut…',
+            handwash: 'Waschen wir die Hände! Zuerst nass machen.',
+            handwashdone: 'Blitzsauber!',
+            sessionfinished: [
+                'Du bist seit {duration} hier. Fertig?',
+                'Fertig?'
+            ],
+            bye: 'Tschüss!',
+            eco: [
+                'Tschüss! Du hast {litres} verbraucht, und {wasted} sind gelaufen, während du weg warst.',
+                'Tschüss! Du hast {litres} verbraucht.',
+                'Tschüss!'
+            ]
+        }
+    }
+};
+
+export default PHRASE_PACKS;
@@ -44,7 +44,7 @@ export const ROUTES = {
         pageClass: 'page-musicplaying',
         centerSvg: 'assets/animations/dancing.svg',
         cornerLottie: 'assets/animations/music-note.json',
-        audio: 'audio-music',
+        audio: null,                    // Played by the music library (startMusic)
         template: 'musicplaying'
     },
     'worried': {
@@ -69,6 +69,65 @@ export const ROUTES = {
         audio: 'audio-bye',
         template: 'bye'
     },
+    'eco': {
+        title: 'Bye Bye! Here is your water today',
+        pageClass: 'page-eco',
+        lottie: { path: 'assets/animations/bye.json', loop: false, delay: 500 },
+        audio: 'audio-bye',
+        template: 'eco'
+    },
+    'handwash': {
+        title: 'Let\'s wash those hands!',
+        pageClass: 'page-handwash',
+        lottie: null,   // Per-step animations are loaded by the handwash coach
+        audio: null,
+        template: 'handwash'
+    },
+    'handwashdone': {
+        title: 'Squeaky clean!',
+        pageClass: 'page-handwashdone',
+        lottie: { path: 'assets/animations/dancing.svg', loop: false, delay: 0, isSvg: true },
+        audio: null,
+        template: 'handwashdone'
+    },
+    'cantsee': {
+        title: 'I can\'t see… is my camera ok?',
+        pageClass: 'page-cantsee',
+        lottie: { path: 'assets/animations/worried.svg', loop: false, delay: 0, isSvg: true },
+        audio: null,
+        template: 'cantsee'
+    },
+    'unsure': {
+        title: 'I can\'t see very well…',
+        pageClass: 'page-unsure',
+        lottie: { path: 'assets/animations/worried.svg', loop: false, delay: 0, isSvg: true },
+        audio: null,
+        template: 'unsure'
+    },
+    'settings': {
+        title: 'Camera Settings',
+        pageClass: 'page-settings',
+        lottie: null,
+        audio: null,
+        template: 'settings',
+        pausesFlow: true    // Flow doesn't navigate away while this page is open
+    },
+    'calibrate': {
+        title: 'Calibrate Regions',
+        pageClass: 'page-calibrate',
+        lottie: null,
+        audio: null,
+        template: 'calibrate',
+        pausesFlow: true
+    },
+    'teach': {
+        title: 'Teach',
+        pageClass: 'page-teach',
+        lottie: null,
+        audio: null,
+        template: 'teach',
+        pausesFlow: true
+    },
     'sessionfinished': {
         title: 'Session Finished?',
         pageClass: 'page-sessionfinished',
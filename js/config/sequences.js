@@ -0,0 +1,69 @@
+/**
+ * Gesture Sequence Patterns
+ * Declarative temporal patterns recognized over the hand stream
+ * (ml/gestureSequences.js)
+ *
+ * A pattern is a list of steps that must happen in order:
+ *   { pose: id }    - a gesture appears (GESTURES or a custom gesture id); it
+ *                     has to go away before it counts again
+ *   { motion: id }  - a palm motion (MOTIONS)
+ * with optional timing windows:
+ *   maxGapMs        - longest time between two steps
+ *   withinMs        - longest time from the first step to the last
+ *
+ * A completed pattern emits 'gesture:sequence' and is handled like a gesture
+ * by the flow table (`gestures: { [SEQUENCES.SWIPE_RIGHT]: ... }`).
+ * Motion thresholds live in CONFIG.gestureMotions.
+ */
+
+import { GESTURES, SEQUENCES } from './config.js';
+
+// Palm motions, as seen on the screen (mirrored preview: moving your hand to
+// your left is a swipe left)
+export const MOTIONS = {
+    SWIPE_LEFT: 'swipe_left',
+    SWIPE_RIGHT: 'swipe_right',
+    SWIPE_UP: 'swipe_up',
+    SWIPE_DOWN: 'swipe_down',
+    CIRCLE: 'circle'
+};
+
+// Default timing windows for multi-step patterns
+const QUICK = { maxGapMs: 1000, withinMs: 1800 };
+
+export const SEQUENCE_PATTERNS = [
+    {
+        id: SEQUENCES.SWIPE_LEFT,
+        label: 'Swipe Left',
+        icon: '👈',
+        steps: [{ motion: MOTIONS.SWIPE_LEFT }]
+    },
+    {
+        id: SEQUENCES.SWIPE_RIGHT,
+        label: 'Swipe Right',
+        icon: '👉',
+        steps: [{ motion: MOTIONS.SWIPE_RIGHT }]
+    },
+    {
+        id: SEQUENCES.CIRCLE,
+        label: 'Circle',
+        icon: '🔄',
+        steps: [{ motion: MOTIONS.CIRCLE }]
+    },
+    {
+        id: SEQUENCES.DOUBLE_YES,
+        label: 'Two Thumbs Ups',
+        icon: '👍',
+        steps: [{ pose: GESTURES.YES }, { pose: GESTURES.YES }],
+        ...QUICK
+    },
+    {
+        id: SEQUENCES.DOUBLE_NO,
+        label: 'Two Thumbs Downs',
+        icon: '👎',
+        steps: [{ pose: GESTURES.NO }, { pose: GESTURES.NO }],
+        ...QUICK
+    }
+];
+
+export default SEQUENCE_PATTERNS;
@@ -8,63 +8,66 @@
  *    - 5. Interruption Scenario (person leaves, water on)
  *    - 7. Long Task Scenario (>20s) → 4. Music Playing
  *    - 6. Return After Absence (person returns from interruption)
+ *
+ * The transitions themselves live in the table in config/flow.js;
+ * this controller provides the actions and guards it refers to.
  */
 
-import { CONFIG, GESTURES } from '../config/config.js';
+import { CONFIG, CLASSES } from '../config/config.js';
 import { ROUTES } from '../config/routes.js';
+import { FLOW_STATE, DEFAULT_FLOW, FLOWS } from '../config/flow.js';
 import { router } from '../core/router.js';
 import { EventBus } from '../core/eventBus.js';
 import { appState } from '../core/state.js';
+import { FlowMachine } from '../core/flowMachine.js';
+import { persistence } from '../core/persistence.js';
+import { settings } from '../core/settings.js';
+import { updateManager } from '../core/updateManager.js';
 import { stateDetector } from '../ml/stateDetector.js';
 import { gestureDetector } from '../ml/gestureDetector.js';
+import { gestureClassifiers } from '../ml/gestureClassifiers.js';
+import { customGestures } from '../ml/customGestures.js';
+import { gestureSequences } from '../ml/gestureSequences.js';
+import { inferenceScheduler } from '../ml/inferenceScheduler.js';
+import { cameraMonitor } from '../ml/cameraMonitor.js';
+import { uncertaintyMonitor } from '../ml/uncertaintyMonitor.js';
 import { pageRenderer } from '../ui/pageRenderer.js';
 import { animationManager } from '../ui/animationManager.js';
 import { audioManager } from '../ui/audioManager.js';
+import { voiceManager } from '../ui/voiceManager.js';
 import { debugPanel } from '../ui/debugPanel.js';
 import { debugSimulation } from '../ui/debugSimulation.js';
-
-// =============================================================================
-// FLOW STATES (matching flowchart)
-// =============================================================================
-const FLOW_STATE = {
-    IDLE: 'idle',                           // 0. Idle State - No person
-    PERSON_ARRIVED: 'person_arrived',       // 1. Person Arrives at Sink - Say HI
-    TASK_ACTIVE: 'task_active',             // 2. Task Begins - Silent observation
-    LONG_TASK: 'long_task',                 // 7. Long Task Scenario - Ask music
-    MUSIC_PLAYING: 'music_playing',         // 4. Music Playing - Dance
-    INTERRUPTION: 'interruption',           // 5. Interruption Scenario - Worried
-    RETURN_AFTER_ABSENCE: 'return_after',   // 6. Return After Absence - Relief
-    SESSION_FINISHED: 'session_finished',   // Session finished prompt
-    SESSION_ENDS: 'session_ends'            // 5. Session Ends - Goodbye
-};
-
-// Timing thresholds (from flowchart)
-const TIMING = {
-    INACTIVITY_TIMEOUT: 2000,       // 2 sec without activity → sleep
-    LONG_TASK_THRESHOLD: 20000,     // 20 sec for long task scenario
-    MUSIC_COOLDOWN: 75000,         // 75 sec before asking music again
-    GESTURE_TIMEOUT: 15000,         // 15 sec to respond to music question
-    WORRY_DELAY: 5000,              // 5 sec before showing worry
-    // SUDDEN_WAVE_CHECK: 5000,        // 5 sec sudden wave start check
-    RELIEF_DURATION: 3000,          // 3 sec to show relief message
-    SESSION_FINISHED_DURATION: 5000,// 5 sec to show "Session Finished?"
-    GOODBYE_DURATION: 5000          // 5 sec to show goodbye
-};
+import { handwashCoach } from '../ui/handwashCoach.js';
+import { settingsScreen } from '../ui/settingsScreen.js';
+import { calibrationScreen } from '../ui/calibrationScreen.js';
+import { teachScreen } from '../ui/teachScreen.js';
+import { gestureRecorder } from '../ui/gestureRecorder.js';
+import { sequenceIndicator } from '../ui/sequenceIndicator.js';
+import { nowPlaying } from '../ui/nowPlaying.js';
+import { sessionRecorder } from '../services/sessionRecorder.js';
+import { musicLibrary } from '../services/musicLibrary.js';
+import { waterTracker } from '../services/waterTracker.js';
+
+// Camera settings that need the webcam reopened / only a track update
+const CAMERA_RESTART_SETTINGS = ['cameraDeviceId', 'cameraFacingMode', 'cameraResolution', 'cameraFrameRate'];
+const CAMERA_TRACK_SETTINGS = [
+    'cameraExposureMode', 'cameraExposureCompensation', 'cameraWhiteBalanceMode', 'cameraColorTemperature'
+];
 
 class AppController {
     constructor() {
         this.isInitialized = false;
         this.animationFrameId = null;
+        this.loopTimeoutId = null;
+        this.cameraRestart = null;      // Queued camera reopen (settings changes)
         
-        // Flow state machine
-        this.flowState = FLOW_STATE.IDLE;
-        this.previousFlowState = null;
+        // Flow state machine (driven by the table in config/flow.js)
+        this.flow = new FlowMachine(DEFAULT_FLOW, this);
         
         // Timing trackers
         this.personArrivedTime = null;
         this.taskStartTime = null;
         this.interruptionStartTime = null;
-        this.lastMusicAskTime = null;
         this.inactivityStartTime = null;
         
         // Flags
@@ -73,9 +76,35 @@ class AppController {
         this.gestureDetectionActive = false;
         this.gestureStartTime = null;
         this.wasMusicPlayingBeforeInterruption = false;
+        this.stateBeforeUnknown = null;
+        this.wasWaterOnBeforeUnknown = false;
+
+        // Handwash coach
+        this.handwashStartTime = null;
+        this.handwashPausedAt = null;
+        this.handwashCompleted = false;
         
         // Wake lock to prevent screen from sleeping
         this.wakeLock = null;
+
+        // Suspend/resume (page hidden)
+        this.suspendedAt = null;
+        this.suspendedClass = null;
+        this.isWaking = false;
+    }
+
+    /**
+     * Current flow state
+     */
+    get flowState() {
+        return this.flow.state;
+    }
+
+    /**
+     * Previous flow state
+     */
+    get previousFlowState() {
+        return this.flow.previousState;
     }
 
     /**
@@ -85,11 +114,27 @@ class AppController {
         console.log('Initializing MAInD Wama...');
 
         try {
+            // Restore persisted state and settings before anything renders
+            await persistence.initialize();
+            sessionRecorder.initialize();
+            await waterTracker.initialize();
+            await customGestures.initialize();
+            this.applyFlowMode(settings.get('flowMode'));
+
             // Initialize UI components
             pageRenderer.initialize();
             animationManager.initialize();
             audioManager.initialize();
+            voiceManager.initialize();
+            await musicLibrary.initialize();
             debugPanel.initialize();
+            handwashCoach.initialize();
+            settingsScreen.initialize();
+            calibrationScreen.initialize();
+            teachScreen.initialize();
+            gestureRecorder.initialize();
+            sequenceIndicator.initialize();
+            nowPlaying.initialize();
 
             // Setup event listeners
             this.setupEventListeners();
@@ -101,6 +146,11 @@ class AppController {
             this.isInitialized = true;
             console.log('MAInD Wama initialized successfully');
 
+            // Kiosk reload: resume detection if it was running before
+            if (appState.get('detectionStartedOnce') && settings.get('autoResumeDetection')) {
+                await this.resumeDetectionAfterReload();
+            }
+
             return true;
         } catch (error) {
             console.error('Failed to initialize application:', error);
@@ -132,6 +182,148 @@ class AppController {
         EventBus.on('music:quit', () => {
             this.quitMusicMode();
         });
+
+        // Flow mode changed in settings
+        EventBus.on('settings:flowMode', ({ newValue }) => {
+            this.applyFlowMode(newValue);
+        });
+
+        // Camera health
+        EventBus.on('camera:lost', () => this.onCameraLost());
+        EventBus.on('camera:restored', () => this.onCameraRestored());
+        EventBus.on('camera:retry', ({ attempt, delay }) => this.updateCameraRetryDisplay(attempt, delay));
+
+        // Can't see well - stop feeding the smoother; idle shows the "unsure" route
+        EventBus.on('ml:unknown', () => {
+            stateDetector.resetBuffers();
+            if (this.flowState === FLOW_STATE.IDLE) this.showFlowRoute();
+        });
+        EventBus.on('ml:known', () => {
+            if (this.flowState === FLOW_STATE.IDLE) this.showFlowRoute();
+        });
+
+        // Flow transitions → navigate to the state's route
+        EventBus.on('flow:transition', ({ to }) => {
+            this.updateGestureListening();
+            this.showFlowRoute();
+            debugPanel.updateElement('mlClass', to);
+        });
+
+        // Camera settings changed
+        EventBus.on('settings:change', ({ key }) => this.onCameraSettingChange(key));
+
+        // Teach mode trained a model or rolled back - load the active one
+        EventBus.on('ml:stateModelChanged', () => stateDetector.reload());
+
+        // Inference worker crashed - detection continues in-thread
+        EventBus.on('ml:workerFailed', () => stateDetector.useMainThread());
+
+        // New app version waiting - reload at the next IDLE moment
+        EventBus.on('app:updateAvailable', () => this.applyUpdateWhenIdle());
+        EventBus.on('page:rendered', () => this.applyUpdateWhenIdle());
+
+        // Settings screen closed → back to the flow's page
+        EventBus.on('settings:close', () => {
+            router.navigate(appState.get('isRunning') ? this.flow.getRoute() : 'idle');
+        });
+    }
+
+    /**
+     * Navigate to the route of the current flow state
+     * (unless a tool page like settings is open)
+     */
+    showFlowRoute() {
+        if (this.isFlowPaused()) return;
+
+        const route = this.flow.getRoute();
+        if (route) {
+            router.navigate(route);
+        }
+    }
+
+    /**
+     * Apply a waiting app update if nobody is using the sink
+     * (never mid-session, nor while a tool page is open)
+     */
+    applyUpdateWhenIdle() {
+        if (!updateManager.isUpdateAvailable) return;
+        if (this.flowState !== FLOW_STATE.IDLE || this.isFlowPaused()) return;
+
+        updateManager.apply();
+    }
+
+    /**
+     * Check if the current page pauses the flow (settings, calibration...)
+     */
+    isFlowPaused() {
+        return !!router.getCurrentRoute().config?.pausesFlow;
+    }
+
+    /**
+     * Reopen the camera or retune its track after a camera setting changed
+     */
+    onCameraSettingChange(key) {
+        if (CAMERA_RESTART_SETTINGS.includes(key)) {
+            this.restartCamera();
+        } else if (CAMERA_TRACK_SETTINGS.includes(key)) {
+            stateDetector.applyTrackSettings();
+        }
+    }
+
+    /**
+     * Reopen the webcam with the current settings (changes are queued)
+     */
+    restartCamera() {
+        this.cameraRestart = (this.cameraRestart || Promise.resolve()).then(async () => {
+            if (!stateDetector.hasWebcam()) return;
+
+            const monitored = cameraMonitor.isActive;
+            cameraMonitor.stop();
+
+            try {
+                await stateDetector.setupWebcam();
+                if (monitored) cameraMonitor.start();
+            } catch (error) {
+                // Keeps retrying with the "I can't see" page
+                if (appState.get('isRunning')) cameraMonitor.markLost('unavailable');
+            }
+        });
+        return this.cameraRestart;
+    }
+
+    /**
+     * Select the flow table for a mode ('default', 'handwash', ...)
+     */
+    applyFlowMode(mode) {
+        const definition = FLOWS[mode];
+        if (!definition) {
+            console.warn(`Unknown flow mode: ${mode}, using default`);
+        }
+        this.flow.setDefinition(definition || DEFAULT_FLOW);
+        this.updateGestureListening();
+        console.log(`Flow mode: ${definition ? mode : 'default'}`);
+    }
+
+    /**
+     * Track hands only in flow states that respond to gestures
+     * Runs on every flow transition: a pose held or sequence steps made in the
+     * previous state (the thumbs up answering "music?") don't count in the new one.
+     */
+    updateGestureListening() {
+        const active = this.flow.getGestures().length > 0;
+
+        if (active) {
+            gestureDetector.consumeHold();
+            gestureSequences.restart();
+        } else {
+            gestureDetector.resetHold();
+            gestureSequences.reset();
+        }
+
+        if (active === this.gestureDetectionActive) return;
+
+        this.gestureDetectionActive = active;
+        appState.set('gestureDetectionActive', active);
     }
 
     /**
@@ -139,10 +331,7 @@ class AppController {
      */
     quitMusicMode() {
         console.log('Quitting music mode');
-        audioManager.stop();
-        this.musicResponse = null;
-        // Reset the cooldown timer so user won't be asked again immediately
-        this.lastMusicAskTime = Date.now();
+        this.endMusic();
         this.transitionTo(FLOW_STATE.TASK_ACTIVE);
     }
 
@@ -158,8 +347,8 @@ class AppController {
         // Load animations
         await animationManager.loadAnimation(config);
 
-        // Play audio
-        audioManager.playForRoute(config);
+        // Play the route's clip, or speak its phrase
+        voiceManager.playForRoute(routeName, config);
 
         // Update debug
         debugPanel.updateElement('currentRoute', routeName);
@@ -189,10 +378,13 @@ class AppController {
 
             // Setup webcam
             await stateDetector.setupWebcam();
+            cameraMonitor.start();
 
             // Start running
             appState.set('isRunning', true);
             appState.set('lastFpsUpdate', Date.now());
+            inferenceScheduler.reset();
+            uncertaintyMonitor.reset();
 
             // Initialize to IDLE state
             this.transitionTo(FLOW_STATE.IDLE);
@@ -201,9 +393,26 @@ class AppController {
             this.runPredictionLoop();
 
             console.log('Detection started');
+            return true;
         } catch (error) {
             console.error('Failed to start detection:', error);
             appState.set('isRunning', false);
+            return false;
+        }
+    }
+
+    /**
+     * Restart detection after a reload (no user gesture available)
+     * Falls back to the start button if the camera can't be reopened
+     */
+    async resumeDetectionAfterReload() {
+        console.log('Resuming detection after reload...');
+
+        const started = await this.startDetection();
+        if (!started) {
+            appState.set('detectionStartedOnce', false);
+            const { name, config } = router.getCurrentRoute();
+            await this.handleRouteChange(name, config);
         }
     }
 
@@ -218,15 +427,15 @@ class AppController {
         // Release wake lock
         this.releaseWakeLock();
 
-        // Cancel animation frame
-        if (this.animationFrameId) {
-            cancelAnimationFrame(this.animationFrameId);
-            this.animationFrameId = null;
-        }
+        this.cancelPredictionLoop();
+        this.suspendedAt = null;
+        cameraMonitor.stop();
+        uncertaintyMonitor.reset();
 
         // Cleanup
         stateDetector.cleanup();
         gestureDetector.cleanup();
+        this.flow.reset();
         this.resetAllState();
 
         // Navigate to idle
@@ -235,21 +444,188 @@ class AppController {
         console.log('Detection stopped');
     }
 
+    /**
+     * Suspend the app (page hidden): release the camera, freeze the flow,
+     * pause audio and animations
+     */
+    suspend() {
+        if (this.suspendedAt) return;
+
+        this.suspendedAt = Date.now();
+        audioManager.suspend();
+        animationManager.suspend();
+
+        if (appState.get('isRunning')) {
+            this.cancelPredictionLoop();
+            this.flow.pause();
+            cameraMonitor.stop();
+            stateDetector.suspend();
+            this.releaseWakeLock();
+
+            // Nothing is observed while hidden (closes water intervals)
+            this.suspendedClass = appState.get('currentClass');
+            appState.set('currentClass', null);
+        }
+
+        EventBus.emit('app:suspended', { timestamp: this.suspendedAt });
+    }
+
+    /**
+     * Resume after suspend(): re-acquire camera and wake lock, then continue
+     * the flow where it was (or restart at idle after a long absence)
+     */
+    async wake() {
+        if (!this.suspendedAt || this.isWaking) return;
+
+        let cameraError = null;
+
+        if (appState.get('isRunning')) {
+            this.isWaking = true;
+            try {
+                await stateDetector.wake();
+            } catch (error) {
+                console.error('Failed to resume camera:', error);
+                cameraError = error;
+            }
+            this.isWaking = false;
+
+            // Hidden again while the camera was starting
+            if (!cameraError && document.hidden) {
+                stateDetector.suspend();
+                return;
+            }
+        }
+
+        const now = Date.now();
+        const duration = now - this.suspendedAt;
+        const restart = appState.get('isRunning') && duration > CONFIG.suspendResetMs;
+        this.suspendedAt = null;
+
+        if (appState.get('isRunning')) {
+            if (restart) {
+                console.log(`Suspended for ${Math.round(duration / 1000)}s - restarting at idle`);
+                audioManager.stop();
+                this.flow.resume();
+                appState.set('currentClass', null);
+                uncertaintyMonitor.reset();
+                this.transitionTo(FLOW_STATE.IDLE);
+            } else {
+                this.shiftTimers(duration);
+                this.flow.resume();
+                appState.set('currentClass', this.suspendedClass);
+                appState.set('lastClassChange', now);
+            }
+            this.suspendedClass = null;
+
+            await this.requestWakeLock();
+
+            if (cameraError) {
+                // Shows the "I can't see" page and keeps retrying
+                cameraMonitor.markLost('unavailable');
+            } else {
+                cameraMonitor.start();
+                inferenceScheduler.reset();
+                appState.set('lastFpsUpdate', now);
+                appState.set('frameCount', 0);
+                this.runPredictionLoop();
+            }
+        }
+
+        audioManager.wake();
+        animationManager.wake();
+
+        EventBus.emit('app:resumed', { duration, restarted: restart });
+    }
+
+    /**
+     * Camera lost - stop observing and fall back to idle ("I can't see" page)
+     */
+    onCameraLost() {
+        if (!appState.get('isRunning')) return;
+
+        this.cancelPredictionLoop();
+        appState.set('currentClass', null);
+        stateDetector.resetBuffers();
+        uncertaintyMonitor.reset();
+
+        // IDLE shows the "I can't see" route while the camera is lost
+        if (!this.transitionTo(FLOW_STATE.IDLE)) {
+            this.showFlowRoute();
+        }
+    }
+
+    /**
+     * Camera back - resume observing from idle
+     */
+    onCameraRestored() {
+        if (!appState.get('isRunning')) return;
+
+        this.showFlowRoute();
+
+        inferenceScheduler.reset();
+        appState.set('lastFpsUpdate', Date.now());
+        appState.set('frameCount', 0);
+        this.runPredictionLoop();
+    }
+
+    /**
+     * Show the next reconnection attempt on the "I can't see" page
+     */
+    updateCameraRetryDisplay(attempt, delay) {
+        const statusEl = document.getElementById('camera-retry-status');
+        if (statusEl) {
+            statusEl.textContent = `Trying again in ${Math.ceil(delay / 1000)}s (attempt ${attempt})`;
+        }
+    }
+
+    /**
+     * Move flow timestamps forward so suspended time doesn't count
+     */
+    shiftTimers(ms) {
+        const keys = [
+            'personArrivedTime', 'taskStartTime', 'interruptionStartTime',
+            'inactivityStartTime', 'gestureStartTime', 'handwashStartTime', 'handwashPausedAt'
+        ];
+        keys.forEach(key => {
+            if (this[key]) this[key] += ms;
+        });
+
+        const lastMusicAskTime = appState.get('lastMusicAskTime');
+        if (lastMusicAskTime) {
+            appState.set('lastMusicAskTime', lastMusicAskTime + ms);
+        }
+    }
+
+    /**
+     * Stop the prediction loop
+     */
+    cancelPredictionLoop() {
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+        if (this.loopTimeoutId) {
+            clearTimeout(this.loopTimeoutId);
+            this.loopTimeoutId = null;
+        }
+    }
+
     /**
      * Reset all tracking state
      */
     resetAllState() {
-        this.flowState = FLOW_STATE.IDLE;
-        this.previousFlowState = null;
         this.personArrivedTime = null;
         this.taskStartTime = null;
         this.interruptionStartTime = null;
         this.inactivityStartTime = null;
         this.musicAsked = false;
         this.musicResponse = null;
-        this.gestureDetectionActive = false;
-        appState.set('gestureDetectionActive', false);
         this.gestureStartTime = null;
+        this.handwashStartTime = null;
+        this.handwashPausedAt = null;
+        this.handwashCompleted = false;
+        appState.set('handwashIncomplete', false);
+        handwashCoach.reset();
         
         appState.resetMusicFlow();
         appState.resetTaskTracking();
@@ -260,160 +636,303 @@ class AppController {
      * Transition to a new flow state
      */
     transitionTo(newState) {
-        if (newState === this.flowState) return;
+        return this.flow.transitionTo(newState);
+    }
 
-        console.log(`Flow: ${this.flowState} → ${newState}`);
-        this.previousFlowState = this.flowState;
-        this.flowState = newState;
+    // =========================================================================
+    // FLOW ACTIONS (referenced by name from config/flow.js)
+    // =========================================================================
 
-        // Handle state entry actions
-        this.onStateEnter(newState);
+    /**
+     * 1. Person Arrives - Say HI, start tracking
+     */
+    markPersonArrived({ now }) {
+        this.personArrivedTime = now;
+        this.inactivityStartTime = now;
+        console.log('Wama says HI');
+    }
 
-        // Navigate to corresponding route
-        const route = this.getRouteForFlowState(newState);
-        if (route) {
-            router.navigate(route);
+    /**
+     * Person still at the sink - reset inactivity timer
+     */
+    resetInactivity({ now }) {
+        this.inactivityStartTime = now;
+    }
+
+    /**
+     * 2. Task Begins - Start timing
+     */
+    startTaskTimer({ now }) {
+        if (!this.taskStartTime) {
+            this.taskStartTime = now;
         }
+        console.log('Task started - Wama observing');
+    }
 
-        // Update debug
-        debugPanel.updateElement('mlClass', newState);
+    /**
+     * Update task duration while working
+     */
+    updateTaskDuration({ now }) {
+        const seconds = Math.floor((now - this.taskStartTime) / 1000);
+        const suffix = this.flowState === FLOW_STATE.MUSIC_PLAYING ? ' 🎵' : '';
+        appState.set('taskDuration', seconds);
+        debugPanel.updateElement('taskDuration', `${seconds}s${suffix}`);
     }
 
     /**
-     * Actions to perform when entering a state
+     * 7. Long Task - Ask music question
      */
-    onStateEnter(state) {
-        const now = Date.now();
+    askMusic({ now }) {
+        if (this.canAskMusic()) {
+            this.gestureStartTime = now;
+            appState.set('lastMusicAskTime', now);
+            this.musicAsked = true;
+            console.log('Long task - Wama asks: Want some music?');
+        }
+    }
 
-        switch (state) {
-            case FLOW_STATE.IDLE:
-                this.resetAllState();
-                this.flowState = FLOW_STATE.IDLE; // Keep after reset
-                break;
-
-            case FLOW_STATE.PERSON_ARRIVED:
-                // 1. Person Arrives - Say HI, start tracking
-                this.personArrivedTime = now;
-                this.inactivityStartTime = now;
-                console.log('Wama says HI');
-                break;
-
-            case FLOW_STATE.TASK_ACTIVE:
-                // 2. Task Begins - Start timing
-                if (!this.taskStartTime) {
-                    this.taskStartTime = now;
-                }
-                console.log('Task started - Wama observing');
-                break;
-
-            case FLOW_STATE.LONG_TASK:
-                // 7. Long Task - Ask music question
-                if (this.canAskMusic()) {
-                    this.gestureDetectionActive = true;
-                    appState.set('gestureDetectionActive', true);
-                    this.gestureStartTime = now;
-                    this.lastMusicAskTime = now;
-                    this.musicAsked = true;
-                    console.log('Long task - Wama asks: Want some music?');
-                }
-                break;
-
-            case FLOW_STATE.MUSIC_PLAYING:
-                // 4. Music Playing - Dance
-                this.musicResponse = 'yes';
-                this.gestureDetectionActive = false;
-                appState.set('gestureDetectionActive', false);
-                console.log('Music playing - Wama dances');
-                break;
-
-            case FLOW_STATE.INTERRUPTION:
-                // 5. Interruption - Person left, water still on
-                this.interruptionStartTime = now;
-                // Remember if music was playing before the interruption
-                this.wasMusicPlayingBeforeInterruption = (this.previousFlowState === FLOW_STATE.MUSIC_PLAYING);
-                console.log('Interruption - Wama worried, music was playing:', this.wasMusicPlayingBeforeInterruption);
-                break;
-
-            case FLOW_STATE.RETURN_AFTER_ABSENCE:
-                // 6. Return After Absence - Relief
-                // Stop the howareyou audio when user comes back
-                audioManager.stop();
-                
-                // Add the interruption duration to thresholds (effectively pausing timers during absence)
-                const interruptionDuration = now - this.interruptionStartTime;
-                if (this.taskStartTime) {
-                    this.taskStartTime += interruptionDuration;
-                }
-                if (this.lastMusicAskTime) {
-                    this.lastMusicAskTime += interruptionDuration;
-                }
-                console.log(`Person returned after ${Math.floor(interruptionDuration / 1000)}s - Wama relieved: Oh, you're back!`);
-                
-                // Determine where to go after relief message
-                const shouldResumeMusic = this.wasMusicPlayingBeforeInterruption;
-                
-                // After showing relief, go back to task or music
-                setTimeout(() => {
-                    if (this.flowState === FLOW_STATE.RETURN_AFTER_ABSENCE) {
-                        if (shouldResumeMusic) {
-                            // Resume music if it was playing before
-                            console.log('Resuming music after return');
-                            this.transitionTo(FLOW_STATE.MUSIC_PLAYING);
-                        } else {
-                            this.transitionTo(FLOW_STATE.TASK_ACTIVE);
-                        }
-                    }
-                }, TIMING.RELIEF_DURATION);
-                break;
-
-            case FLOW_STATE.SESSION_FINISHED:
-                // Session Finished - Show "Session Finished?" message
-                console.log('Session finished - Wama asks: Session Finished?');
-                // After 5 seconds, transition to goodbye
-                setTimeout(() => {
-                    if (this.flowState === FLOW_STATE.SESSION_FINISHED) {
-                        this.transitionTo(FLOW_STATE.SESSION_ENDS);
-                    }
-                }, TIMING.SESSION_FINISHED_DURATION);
-                break;
-
-            case FLOW_STATE.SESSION_ENDS:
-                // 5. Session Ends - Goodbye
-                console.log('Session ends - Wama says goodbye');
-                // After goodbye, return to idle
-                setTimeout(() => {
-                    if (this.flowState === FLOW_STATE.SESSION_ENDS) {
-                        this.transitionTo(FLOW_STATE.IDLE);
-                    }
-                }, TIMING.GOODBYE_DURATION);
-                break;
+    /**
+     * Update music question countdown
+     */
+    updateQuestionTimer({ now }) {
+        const timeout = this.flow.getTiming('GESTURE_TIMEOUT');
+        const remaining = Math.ceil((timeout - (now - this.gestureStartTime)) / 1000);
+        debugPanel.updateQuestionTimer(remaining);
+    }
+
+    /**
+     * No answer to the music question
+     */
+    musicQuestionTimedOut() {
+        console.log('Gesture timeout - no response');
+        this.setMusicResponse('timeout');
+    }
+
+    /**
+     * 4. Music Playing - Dance
+     */
+    startMusic() {
+        this.setMusicResponse('yes');
+        console.log('Music playing - Wama dances');
+        musicLibrary.play();
+    }
+
+    /**
+     * Thumbs down to the music question
+     */
+    declineMusic() {
+        this.setMusicResponse('no');
+    }
+
+    /**
+     * Stop the music (quit button or open palm)
+     */
+    endMusic() {
+        audioManager.stop();
+        this.setMusicResponse(null);
+        // Reset the cooldown timer so user won't be asked again immediately
+        appState.set('lastMusicAskTime', Date.now());
+    }
+
+    /**
+     * Next track (swipe right, "skip track" command)
+     */
+    skipTrack() {
+        console.log('Skipping track');
+        musicLibrary.next();
+    }
+
+    /**
+     * Previous track, or the start of this one (swipe left)
+     */
+    previousTrack() {
+        musicLibrary.previous();
+    }
+
+    /**
+     * Music volume up (two thumbs ups)
+     */
+    volumeUp() {
+        audioManager.setVolume(audioManager.getVolume('music') + CONFIG.volumeStep, 'music');
+    }
+
+    /**
+     * Music volume down (two thumbs downs)
+     */
+    volumeDown() {
+        audioManager.setVolume(audioManager.getVolume('music') - CONFIG.volumeStep, 'music');
+    }
+
+    /**
+     * Pause current audio (music paused during interruption)
+     */
+    pauseAudio() {
+        audioManager.pause();
+    }
+
+    /**
+     * Stop current audio
+     */
+    stopAudio() {
+        audioManager.stop();
+    }
+
+    /**
+     * 5. Interruption - Person left, water still on
+     */
+    startInterruption({ from, now }) {
+        this.interruptionStartTime = now;
+        // Remember if music was playing before the interruption
+        this.wasMusicPlayingBeforeInterruption = (from === FLOW_STATE.MUSIC_PLAYING)
+            || (from === FLOW_STATE.UNKNOWN && this.wasMusicPlayingBeforeUnknown());
+        console.log('Interruption - Wama worried, music was playing:', this.wasMusicPlayingBeforeInterruption);
+    }
+
+    /**
+     * Update worry duration while interrupted
+     */
+    updateWorryDuration({ now }) {
+        const worryDuration = now - this.interruptionStartTime;
+        debugPanel.updateElement('taskDuration', `Worried: ${Math.floor(worryDuration / 1000)}s`);
+    }
+
+    /**
+     * 6. Return After Absence - Relief
+     */
+    endInterruption({ now }) {
+        // Stop the worried audio when user comes back
+        audioManager.stop();
+
+        // Add the interruption duration to thresholds (effectively pausing timers during absence)
+        const interruptionDuration = now - this.interruptionStartTime;
+        if (this.taskStartTime) {
+            this.taskStartTime += interruptionDuration;
+        }
+        const lastMusicAskTime = appState.get('lastMusicAskTime');
+        if (lastMusicAskTime) {
+            appState.set('lastMusicAskTime', lastMusicAskTime + interruptionDuration);
+        }
+        console.log(`Person returned after ${Math.floor(interruptionDuration / 1000)}s - Wama relieved: Oh, you're back!`);
+    }
+
+    /**
+     * Unknown - can't see well; remember what was going on before
+     */
+    startUnknown({ from }) {
+        this.stateBeforeUnknown = from;
+        // Class is frozen while unknown - it is still the last one seen
+        this.wasWaterOnBeforeUnknown = !!CLASSES[appState.get('currentClass')]?.water;
+        console.log(`Unknown (${uncertaintyMonitor.reason}) - water was on: ${this.wasWaterOnBeforeUnknown}`);
+    }
+
+    /**
+     * Unknown resolved (or given up)
+     */
+    endUnknown() {
+        this.stateBeforeUnknown = null;
+    }
+
+    /**
+     * Record the answer to the music question
+     */
+    setMusicResponse(response) {
+        this.musicResponse = response;
+        appState.set('musicResponse', response);
+    }
+
+    /**
+     * Handwash coach - start (or resume) the guided steps
+     */
+    startHandwashCoach({ now }) {
+        if (!this.handwashStartTime) {
+            this.handwashStartTime = now;
+        } else if (this.handwashPausedAt) {
+            // Time away from the coach doesn't count
+            this.handwashStartTime += now - this.handwashPausedAt;
+        }
+        this.handwashPausedAt = null;
+
+        // The handwash is part of the task (music question timing)
+        if (!this.taskStartTime) {
+            this.taskStartTime = now;
+        }
+        console.log('Handwash coach started');
+    }
+
+    /**
+     * Handwash coach - leaving the guided steps
+     */
+    pauseHandwashCoach({ now }) {
+        this.handwashPausedAt = now;
+    }
+
+    /**
+     * Handwash coach - update steps and countdown
+     */
+    updateHandwashCoach({ now }) {
+        handwashCoach.update(now - this.handwashStartTime, this.flow.getTiming('HANDWASH_DURATION'));
+    }
+
+    /**
+     * Handwash coach - recommended duration reached
+     */
+    completeHandwash() {
+        this.handwashCompleted = true;
+        appState.set('handwashIncomplete', false);
+        console.log('Handwash complete - Wama celebrates');
+    }
+
+    /**
+     * Handwash coach - water turned off before the end
+     */
+    markHandwashIncomplete() {
+        if (this.isHandwashInProgress()) {
+            appState.set('handwashIncomplete', true);
         }
     }
 
     /**
-     * Get route for flow state
+     * Handwash started but not finished yet
+     */
+    isHandwashInProgress() {
+        return this.handwashStartTime !== null && !this.handwashCompleted;
+    }
+
+    /**
+     * Show water usage at goodbye time (eco route)
+     */
+    isEcoFeedbackEnabled() {
+        return settings.get('ecoFeedback');
+    }
+
+    /**
+     * Camera lost - idle shows the "I can't see" route
+     */
+    isCameraLost() {
+        return cameraMonitor.isLost;
+    }
+
+    /**
+     * Model can't be trusted right now (idle shows the "unsure" route)
+     */
+    isUnknown() {
+        return uncertaintyMonitor.isUnknown;
+    }
+
+    /**
+     * Music was playing when the view became unclear
      */
-    getRouteForFlowState(state) {
-        const stateRouteMap = {
-            [FLOW_STATE.IDLE]: 'idle',
-            [FLOW_STATE.PERSON_ARRIVED]: 'hello',
-            [FLOW_STATE.TASK_ACTIVE]: 'working',
-            [FLOW_STATE.LONG_TASK]: 'askmusic',
-            [FLOW_STATE.MUSIC_PLAYING]: 'musicplaying',
-            [FLOW_STATE.INTERRUPTION]: 'worried',
-            [FLOW_STATE.RETURN_AFTER_ABSENCE]: 'youreback',
-            [FLOW_STATE.SESSION_FINISHED]: 'sessionfinished',
-            [FLOW_STATE.SESSION_ENDS]: 'bye'
-        };
-        return stateRouteMap[state];
+    wasMusicPlayingBeforeUnknown() {
+        return this.stateBeforeUnknown === FLOW_STATE.MUSIC_PLAYING;
     }
 
     /**
      * Check if we can ask about music (cooldown)
      */
     canAskMusic() {
-        if (!this.lastMusicAskTime) return true;
-        return (Date.now() - this.lastMusicAskTime) > TIMING.MUSIC_COOLDOWN;
+        const lastMusicAskTime = appState.get('lastMusicAskTime');
+        if (!lastMusicAskTime) return true;
+        return (Date.now() - lastMusicAskTime) > this.flow.getTiming('MUSIC_COOLDOWN');
     }
 
     /**
@@ -432,6 +951,8 @@ class AppController {
             // Reset gesture state for clean testing
             gestureDetector.resetHold();
             appState.set('confirmedGesture', null);
+        } else {
+            customGestures.cancelRecording();
         }
     }
 
@@ -447,21 +968,23 @@ class AppController {
         const currentGesture = appState.get('currentGesture');
         const gestureHoldStart = appState.get('gestureHoldStart');
         const holdDuration = gestureHoldStart ? Date.now() - gestureHoldStart : 0;
-        const holdRequired = CONFIG.gestureHoldDuration || 500;
-        const holdPct = currentGesture ? Math.min(100, (holdDuration / holdRequired) * 100) : 0;
+        const holdRequired = currentGesture ? gestureClassifiers.getHoldDuration(currentGesture) : 0;
+        const holdPct = currentGesture
+            ? (holdRequired > 0 ? Math.min(100, (holdDuration / holdRequired) * 100) : 100)
+            : 0;
+        const classifier = currentGesture ? gestureClassifiers.get(currentGesture) : null;
 
         if (!handLandmarks) {
             iconEl.textContent = '🖐️';
             iconEl.className = 'gesture-test-icon';
             labelEl.textContent = 'No hand detected';
-        } else if (currentGesture === GESTURES.YES) {
-            iconEl.textContent = '👍';
-            iconEl.className = 'gesture-test-icon thumbs-up';
-            labelEl.textContent = holdPct >= 100 ? 'THUMBS UP CONFIRMED!' : `Thumbs Up (${Math.round(holdPct)}%)`;
-        } else if (currentGesture === GESTURES.NO) {
-            iconEl.textContent = '👎';
-            iconEl.className = 'gesture-test-icon thumbs-down';
-            labelEl.textContent = holdPct >= 100 ? 'THUMBS DOWN CONFIRMED!' : `Thumbs Down (${Math.round(holdPct)}%)`;
+        } else if (classifier) {
+            const label = classifier.label || currentGesture;
+            iconEl.textContent = classifier.icon || '✋';
+            iconEl.className = `gesture-test-icon ${currentGesture.replace(/_/g, '-')}`;
+            labelEl.textContent = holdPct >= 100
+                ? `${label.toUpperCase()} CONFIRMED!`
+                : `${label} (${Math.round(holdPct)}%)`;
         } else {
             iconEl.textContent = '✋';
             iconEl.className = 'gesture-test-icon';
@@ -473,7 +996,7 @@ class AppController {
      * Main prediction loop
      */
     async runPredictionLoop() {
-        if (!appState.get('isRunning')) return;
+        if (!this.canRunLoop()) return;
 
         const now = Date.now();
 
@@ -482,14 +1005,17 @@ class AppController {
             // Only run gesture detection, pause everything else
             stateDetector.updateFrame();
             
-            const webcam = appState.get('webcam');
-            if (webcam) {
-                await gestureDetector.processFrame(webcam.canvas);
+            const frame = stateDetector.getWebcamCanvas();
+            if (frame) {
+                await gestureDetector.processFrame(frame);
                 
                 if (appState.get('handLandmarks')) {
                     const result = gestureDetector.detectGesture();
+                    customGestures.captureFrame(result.features, now);
+                    gestureSequences.update(result, now);
                     gestureDetector.handleGestureResult(result);
                 } else {
+                    gestureSequences.update({}, now);
                     gestureDetector.resetHold();
                 }
             }
@@ -500,7 +1026,15 @@ class AppController {
             this.updateFPS(now);
 
             // Request next frame
-            this.animationFrameId = requestAnimationFrame(() => this.runPredictionLoop());
+            this.scheduleNextFrame();
+            return;
+        }
+
+        // Tool page open (settings...) - keep frames fresh, don't drive the flow
+        if (this.isFlowPaused()) {
+            stateDetector.updateFrame();
+            this.updateFPS(now);
+            this.scheduleNextFrame();
             return;
         }
 
@@ -534,17 +1068,39 @@ class AppController {
                     appState.set('confirmedGesture', null);
                 }
             }
-        } else {
+        } else if (inferenceScheduler.shouldCheck(now, this.flowState, this.gestureDetectionActive)) {
             // Normal ML detection
             stateDetector.updateFrame();
+            cameraMonitor.check(stateDetector.getWebcamCanvas(), now);
+
+            // Classifier input cropped to the calibrated regions
+            const input = stateDetector.getInputCanvas();
+
+            // Static scene - keep the current class without running the classifier
+            const predictions = inferenceScheduler.hasMotion(input, now)
+                ? await stateDetector.predict(input)
+                : null;
 
-            const predictions = await stateDetector.predict();
             if (predictions) {
+                inferenceScheduler.recordInference(now);
+                debugPanel.updateProbabilities(predictions);
+                debugPanel.updateRoiOverlay(stateDetector.getWebcamCanvas());
+            }
+
+            // Dark/overexposed frames or unsure predictions - class stays frozen
+            const isUnknown = uncertaintyMonitor.update(input, predictions, now);
+            debugPanel.updateUncertainty(uncertaintyMonitor);
+
+            if (predictions && !isUnknown) {
                 const result = stateDetector.processPredictionBuffer(predictions);
 
                 // Update debug display
-                debugPanel.updateProbabilities(predictions);
-                debugPanel.updateBufferVotes(result.voteCounts, appState.get('predictionBuffer').length, result.isStable);
+                if (result.detectors) {
+                    debugPanel.updateDetectorVotes(result.detectors);
+                } else if (result.voteCounts) {
+                    debugPanel.updateBufferVotes(result.voteCounts, result.bufferLength, result.isStable);
+                }
+                debugPanel.updatePosterior(result.posterior);
 
                 // Get ML detection results
                 const mlClass = result.newClass || appState.get('currentClass');
@@ -555,12 +1111,17 @@ class AppController {
 
                 // Process flow state machine based on ML class
                 this.processFlowStateMachine(mlClass, now);
+            } else {
+                this.processFlowStateMachine(appState.get('currentClass') || 1, now);
             }
 
             // Process gesture detection if active
             if (this.gestureDetectionActive) {
                 await this.processGestureDetection(now);
             }
+        } else {
+            // Between inference slots - still let flow timers run
+            this.processFlowStateMachine(appState.get('currentClass') || 1, now);
         }
 
         // Update debug
@@ -569,7 +1130,36 @@ class AppController {
         // Track FPS
         this.updateFPS(now);
 
-        // Request next frame
+        // Request next frame (sleep while the classifier isn't due)
+        const delay = debugSimulation.isEnabled()
+            ? 0
+            : inferenceScheduler.getDelay(Date.now(), this.flowState, this.gestureDetectionActive);
+        this.scheduleNextFrame(delay);
+    }
+
+    /**
+     * Check if the prediction loop may run (not stopped, suspended or without camera)
+     */
+    canRunLoop() {
+        return appState.get('isRunning') && !this.suspendedAt && !cameraMonitor.isLost;
+    }
+
+    /**
+     * Queue the next loop iteration
+     * Long waits use a timer instead of spinning on every animation frame
+     * @param {number} delay - Time until the next inference slot (ms)
+     */
+    scheduleNextFrame(delay = 0) {
+        if (!this.canRunLoop()) return;
+
+        if (delay > CONFIG.loopSleepThresholdMs) {
+            this.loopTimeoutId = setTimeout(() => {
+                this.loopTimeoutId = null;
+                this.animationFrameId = requestAnimationFrame(() => this.runPredictionLoop());
+            }, delay);
+            return;
+        }
+
         this.animationFrameId = requestAnimationFrame(() => this.runPredictionLoop());
     }
 
@@ -591,223 +1181,38 @@ class AppController {
             console.log(`ML Class 4 detected: person=${personPresent}, water=${waterOn}, flowState=${this.flowState}`);
         }
 
-        switch (this.flowState) {
-            // =================================================================
-            // 0. IDLE STATE - Waiting for person
-            // =================================================================
-            case FLOW_STATE.IDLE:
-                // Person Present? → YES → Go to PERSON_ARRIVED
-                if (personPresent) {
-                    this.transitionTo(FLOW_STATE.PERSON_ARRIVED);
-                }
-                break;
-
-            // =================================================================
-            // 1. PERSON ARRIVED - Said HI, waiting for tap
-            // =================================================================
-            case FLOW_STATE.PERSON_ARRIVED:
-                // Tap is on? → YES → Go to TASK_ACTIVE
-                if (waterOn && personPresent) {
-                    this.transitionTo(FLOW_STATE.TASK_ACTIVE);
-                }
-                // Water on but person left (Class 4)? → INTERRUPTION
-                else if (waterOn && !personPresent) {
-                    this.transitionTo(FLOW_STATE.INTERRUPTION);
-                }
-                // Person left without turning on tap?
-                else if (!personPresent) {
-                    // Check 5 sec inactivity timeout
-                    if (now - this.inactivityStartTime > TIMING.INACTIVITY_TIMEOUT) {
-                        // Wama full asleep animation → back to IDLE
-                        this.transitionTo(FLOW_STATE.IDLE);
-                    }
-                }
-                // Person still here, tap not on yet - keep waiting
-                else {
-                    this.inactivityStartTime = now; // Reset inactivity timer
-                }
-                break;
-
-            // =================================================================
-            // 2. TASK ACTIVE - Working, observing
-            // =================================================================
-            case FLOW_STATE.TASK_ACTIVE:
-                // Person leaves but water still on? → INTERRUPTION
-                if (!personPresent && waterOn) {
-                    this.transitionTo(FLOW_STATE.INTERRUPTION);
-                }
-                // Task off (water off) with person present? → SESSION_FINISHED first
-                else if (!waterOn && personPresent) {
-                    this.transitionTo(FLOW_STATE.SESSION_FINISHED);
-                }
-                // Task off (water off) without person? → SESSION_ENDS directly
-                else if (!waterOn && !personPresent) {
-                    this.transitionTo(FLOW_STATE.SESSION_ENDS);
-                }
-                // Still working - check for long task
-                else if (personPresent && waterOn) {
-                    const taskDuration = now - this.taskStartTime;
-                    appState.set('taskDuration', Math.floor(taskDuration / 1000));
-                    debugPanel.updateElement('taskDuration', `${Math.floor(taskDuration / 1000)}s`);
-
-                    // Task > 20s? → LONG_TASK (ask music)
-                    // canAskMusic() checks cooldown period
-                    if (taskDuration > TIMING.LONG_TASK_THRESHOLD && this.canAskMusic()) {
-                        this.transitionTo(FLOW_STATE.LONG_TASK);
-                    }
-                }
-                break;
-
-            // =================================================================
-            // 7. LONG TASK - Asking about music
-            // =================================================================
-            case FLOW_STATE.LONG_TASK:
-                // Person leaves but water still on? → INTERRUPTION
-                if (!personPresent && waterOn) {
-                    this.gestureDetectionActive = false;
-                    appState.set('gestureDetectionActive', false);
-                    this.transitionTo(FLOW_STATE.INTERRUPTION);
-                }
-                // Task off with person present? → SESSION_FINISHED
-                else if (!waterOn && personPresent) {
-                    this.gestureDetectionActive = false;
-                    appState.set('gestureDetectionActive', false);
-                    this.transitionTo(FLOW_STATE.SESSION_FINISHED);
-                }
-                // Task off without person? → SESSION_ENDS
-                else if (!waterOn && !personPresent) {
-                    this.gestureDetectionActive = false;
-                    appState.set('gestureDetectionActive', false);
-                    this.transitionTo(FLOW_STATE.SESSION_ENDS);
-                }
-                // Check gesture timeout (25 seconds)
-                else if (this.gestureStartTime && (now - this.gestureStartTime > TIMING.GESTURE_TIMEOUT)) {
-                    console.log('Gesture timeout - no response');
-                    this.gestureDetectionActive = false;
-                    appState.set('gestureDetectionActive', false);
-                    this.musicResponse = 'timeout';
-                    this.transitionTo(FLOW_STATE.TASK_ACTIVE);
-                }
-                // Update countdown
-                else {
-                    const remaining = Math.ceil((TIMING.GESTURE_TIMEOUT - (now - this.gestureStartTime)) / 1000);
-                    debugPanel.updateQuestionTimer(remaining);
-                }
-                break;
-
-            // =================================================================
-            // 4. MUSIC PLAYING - Dancing
-            // =================================================================
-            case FLOW_STATE.MUSIC_PLAYING:
-                // Person leaves but water still on? → INTERRUPTION
-                if (!personPresent && waterOn) {
-                    audioManager.pause(); // Pause music during interruption
-                    this.transitionTo(FLOW_STATE.INTERRUPTION);
-                }
-                // Task off with person present? → SESSION_FINISHED
-                else if (!waterOn && personPresent) {
-                    audioManager.stop();
-                    this.transitionTo(FLOW_STATE.SESSION_FINISHED);
-                }
-                // Task off without person? → SESSION_ENDS
-                else if (!waterOn && !personPresent) {
-                    audioManager.stop();
-                    this.transitionTo(FLOW_STATE.SESSION_ENDS);
-                }
-                // Keep playing, update task duration
-                else {
-                    const taskDuration = now - this.taskStartTime;
-                    appState.set('taskDuration', Math.floor(taskDuration / 1000));
-                    debugPanel.updateElement('taskDuration', `${Math.floor(taskDuration / 1000)}s 🎵`);
-                }
-                break;
-
-            // =================================================================
-            // 5. INTERRUPTION - Worried (water on, person gone)
-            // =================================================================
-            case FLOW_STATE.INTERRUPTION:
-                // Person returns? → RETURN_AFTER_ABSENCE
-                if (personPresent) {
-                    this.transitionTo(FLOW_STATE.RETURN_AFTER_ABSENCE);
-                }
-                // Water turned off remotely? → SESSION_ENDS
-                else if (!waterOn) {
-                    this.transitionTo(FLOW_STATE.SESSION_ENDS);
-                }
-                // Still worried - update worry duration
-                else {
-                    const worryDuration = now - this.interruptionStartTime;
-                    debugPanel.updateElement('taskDuration', `Worried: ${Math.floor(worryDuration / 1000)}s`);
-                }
-                break;
-
-            // =================================================================
-            // 6. RETURN AFTER ABSENCE - Relief
-            // =================================================================
-            case FLOW_STATE.RETURN_AFTER_ABSENCE:
-                // Auto-transitions to TASK_ACTIVE after timeout
-                // But check if person leaves again
-                if (!personPresent && waterOn) {
-                    this.transitionTo(FLOW_STATE.INTERRUPTION);
-                }
-                // Water off with person present? → SESSION_FINISHED
-                else if (!waterOn && personPresent) {
-                    this.transitionTo(FLOW_STATE.SESSION_FINISHED);
-                }
-                // Water off without person? → SESSION_ENDS
-                else if (!waterOn && !personPresent) {
-                    this.transitionTo(FLOW_STATE.SESSION_ENDS);
-                }
-                break;
-
-            // =================================================================
-            // SESSION FINISHED - Show "Session Finished?" message
-            // =================================================================
-            case FLOW_STATE.SESSION_FINISHED:
-                // Auto-transitions to SESSION_ENDS after timeout
-                // But if person starts task again, go back to TASK_ACTIVE
-                if (personPresent && waterOn) {
-                    this.transitionTo(FLOW_STATE.TASK_ACTIVE);
-                }
-                // Person left? Go directly to SESSION_ENDS
-                else if (!personPresent) {
-                    this.transitionTo(FLOW_STATE.SESSION_ENDS);
-                }
-                break;
-
-            // =================================================================
-            // 5. SESSION ENDS - Goodbye
-            // =================================================================
-            case FLOW_STATE.SESSION_ENDS:
-                // Auto-transitions to IDLE after timeout
-                // But if person starts again, go back
-                if (personPresent && waterOn) {
-                    this.transitionTo(FLOW_STATE.TASK_ACTIVE);
-                }
-                break;
-        }
+        this.flow.process({ person: personPresent, water: waterOn, unknown: uncertaintyMonitor.isUnknown, now });
     }
 
     /**
-     * Process gesture detection for music question
+     * Process gesture detection (states with `gestures` in the flow table)
      */
     async processGestureDetection(now) {
-        const webcam = appState.get('webcam');
-        if (!webcam) return;
+        const frame = stateDetector.getWebcamCanvas();
+        if (!frame) return;
 
         // Send frame to MediaPipe
-        await gestureDetector.processFrame(webcam.canvas);
+        await gestureDetector.processFrame(frame);
 
         // Check for hand landmarks
         if (appState.get('handLandmarks')) {
             const result = gestureDetector.detectGesture();
+
+            // Sequences and motions (swipes, two thumbs ups...) are handled like gestures
+            const sequence = gestureSequences.update(result, now);
+            if (sequence) {
+                this.handleGestureResponse(sequence.id);
+                return;
+            }
+
             const holdResult = gestureDetector.handleGestureResult(result);
 
-            if (holdResult && !holdResult.pending) {
+            if (holdResult && !holdResult.pending && !holdResult.handled) {
                 // Gesture confirmed!
                 this.handleGestureResponse(holdResult.gesture);
             }
         } else {
+            gestureSequences.update({}, now);
             gestureDetector.resetHold();
         }
     }
@@ -816,17 +1221,14 @@ class AppController {
      * Handle confirmed gesture response
      */
     handleGestureResponse(gesture) {
-        console.log(`Gesture confirmed: ${gesture}`);
-        this.gestureDetectionActive = false;
-        appState.set('gestureDetectionActive', false);
-
-        if (gesture === GESTURES.YES) {
-            // Thumbs up → Play music
-            this.transitionTo(FLOW_STATE.MUSIC_PLAYING);
-        } else if (gesture === GESTURES.NO) {
-            // Thumbs down → Back to working without music
-            this.musicResponse = 'no';
-            this.transitionTo(FLOW_STATE.TASK_ACTIVE);
+        // Custom gestures act as the gesture/command they are bound to
+        const command = customGestures.getBinding(gesture) || gesture;
+        console.log(`Gesture confirmed: ${gesture}${command !== gesture ? ` (as ${command})` : ''}`);
+        EventBus.emit('gesture:confirmed', { gesture, command, flowState: this.flowState });
+
+        // Bound per state in the flow table (thumbs up → music, palm → stop...)
+        if (!this.flow.handleGesture(command, { now: Date.now() })) {
+            console.log(`No binding for ${command} in ${this.flowState}`);
         }
     }
 
@@ -840,8 +1242,8 @@ class AppController {
         if (now - appState.get('lastFpsUpdate') >= 1000) {
             appState.set('currentFps', frameCount);
             appState.set('frameCount', 0);
+            debugPanel.updateFPS(frameCount, inferenceScheduler.updateStats(now - appState.get('lastFpsUpdate')));
             appState.set('lastFpsUpdate', now);
-            debugPanel.updateFPS(frameCount);
         }
     }
 
@@ -868,18 +1270,15 @@ class AppController {
     async requestWakeLock() {
         if ('wakeLock' in navigator) {
             try {
-                this.wakeLock = await navigator.wakeLock.request('screen');
+                const wakeLock = await navigator.wakeLock.request('screen');
+                this.wakeLock = wakeLock;
                 console.log('Wake lock acquired - screen will stay on');
                 
-                // Re-acquire wake lock if released (e.g., when tab becomes visible again)
-                this.wakeLock.addEventListener('release', () => {
+                // The browser releases the lock when the page is hidden - wake() re-acquires it
+                wakeLock.addEventListener('release', () => {
                     console.log('Wake lock released');
-                });
-                
-                // Re-acquire on visibility change
-                document.addEventListener('visibilitychange', async () => {
-                    if (this.wakeLock !== null && document.visibilityState === 'visible' && appState.get('isRunning')) {
-                        await this.requestWakeLock();
+                    if (this.wakeLock === wakeLock) {
+                        this.wakeLock = null;
                     }
                 });
             } catch (err) {
@@ -0,0 +1,283 @@
+/**
+ * Flow Machine Module
+ * Small interpreter for the declarative flow table in config/flow.js
+ */
+
+import { EventBus } from './eventBus.js';
+
+export class FlowMachine {
+    /**
+     * @param {Object} definition - Flow table ({ initial, timing, states })
+     * @param {Object} context - Object providing actions and guards (the controller)
+     */
+    constructor(definition, context) {
+        this.definition = definition;
+        this.context = context;
+        this.state = definition.initial;
+        this.previousState = null;
+        this.enteredAt = Date.now();
+        this.timer = null;
+        this.pausedAt = null;
+    }
+
+    /**
+     * Swap the flow table (e.g. another flow mode)
+     * Falls back to the initial state if the current one doesn't exist there
+     */
+    setDefinition(definition) {
+        this.definition = definition;
+
+        if (!definition.states[this.state]) {
+            this.reset();
+        }
+    }
+
+    /**
+     * Get the configuration of a state (defaults to the current one)
+     */
+    getStateConfig(state = this.state) {
+        return this.definition.states[state] || null;
+    }
+
+    /**
+     * Get the route shown for a state
+     */
+    getRoute(state = this.state) {
+        const route = this.getStateConfig(state)?.route;
+
+        if (Array.isArray(route)) {
+            const candidate = route.find(entry => !entry.guard || this.evaluateGuard(entry.guard, {}));
+            return candidate?.route || null;
+        }
+
+        return route || null;
+    }
+
+    /**
+     * Resolve a duration (number or key of the timing table)
+     */
+    getTiming(value) {
+        if (typeof value === 'number') return value;
+        return this.definition.timing?.[value] ?? 0;
+    }
+
+    /**
+     * Jump back to the initial state without running any action
+     */
+    reset() {
+        this.clearTimer();
+        this.pausedAt = null;
+        this.state = this.definition.initial;
+        this.previousState = null;
+        this.enteredAt = Date.now();
+    }
+
+    /**
+     * Transition to a new state
+     * Order: exit actions → transition actions → enter actions → state timer
+     * @returns {boolean} True if the state changed
+     */
+    transitionTo(newState, actions = []) {
+        if (newState === this.state) return false;
+
+        if (!this.definition.states[newState]) {
+            console.error(`Unknown flow state: ${newState}`);
+            return false;
+        }
+
+        const from = this.state;
+        const now = Date.now();
+        const event = { from, to: newState, now };
+
+        console.log(`Flow: ${from} → ${newState}`);
+
+        this.clearTimer();
+        this.runActions(this.getStateConfig(from)?.exit, event);
+        this.runActions(actions, event);
+
+        this.previousState = from;
+        this.state = newState;
+        this.enteredAt = now;
+
+        this.runActions(this.getStateConfig(newState).enter, event);
+
+        // Enter actions may already have moved on
+        if (this.state === newState) {
+            this.scheduleAfter();
+        }
+
+        EventBus.emit('flow:transition', {
+            from,
+            to: newState,
+            route: this.getRoute(newState),
+            timestamp: now
+        });
+
+        return true;
+    }
+
+    /**
+     * Feed ML inputs to the current state
+     * @param {Object} inputs - { person, water, now }
+     * @returns {Object|null} The matching transition, if any
+     */
+    process(inputs) {
+        const config = this.getStateConfig();
+        if (!config) return null;
+
+        const transition = this.findTransition(config.transitions, inputs);
+
+        if (transition) {
+            this.fire(transition, inputs.now);
+            return transition;
+        }
+
+        this.runActions(config.during, { from: this.state, to: this.state, now: inputs.now });
+        return null;
+    }
+
+    /**
+     * Run the current state's binding for a confirmed hand gesture
+     * @param {string} gesture - Gesture id or command (GESTURES / GESTURE_COMMANDS in config.js)
+     * @param {Object} inputs - { now } plus anything its guard needs
+     * @returns {Object|null} The binding that ran, if any
+     */
+    handleGesture(gesture, inputs = {}) {
+        const binding = this.getStateConfig()?.gestures?.[gesture];
+        if (!binding || !this.matches(binding, inputs)) return null;
+
+        this.fire(binding, inputs.now);
+        return binding;
+    }
+
+    /**
+     * Gestures the state responds to
+     * @returns {string[]} Gesture ids
+     */
+    getGestures(state = this.state) {
+        return Object.keys(this.getStateConfig(state)?.gestures || {});
+    }
+
+    /**
+     * Take a transition: change state, or only run its actions if it has no target
+     */
+    fire(transition, now = Date.now()) {
+        if (transition.to) {
+            this.transitionTo(transition.to, transition.actions);
+        } else {
+            this.runActions(transition.actions, { from: this.state, to: this.state, now });
+        }
+    }
+
+    /**
+     * Find the first transition whose guards all match
+     */
+    findTransition(transitions = [], inputs = {}) {
+        return transitions.find(transition => this.matches(transition, inputs)) || null;
+    }
+
+    /**
+     * Check a transition's guards against the inputs
+     */
+    matches(transition, inputs) {
+        const { when, elapsed, guard } = transition;
+
+        if (when) {
+            for (const [key, expected] of Object.entries(when)) {
+                if (inputs[key] !== expected) return false;
+            }
+        }
+
+        if (elapsed) {
+            const since = elapsed.since === 'state' ? this.enteredAt : this.context[elapsed.since];
+            const now = inputs.now ?? Date.now();
+            if (!since || now - since <= this.getTiming(elapsed.ms)) return false;
+        }
+
+        if (guard && !this.evaluateGuard(guard, inputs)) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Evaluate a named guard (controller method or property)
+     */
+    evaluateGuard(name, inputs) {
+        const guard = this.context[name];
+        if (typeof guard === 'function') {
+            return !!guard.call(this.context, inputs);
+        }
+        return !!guard;
+    }
+
+    /**
+     * Run a list of named controller actions
+     */
+    runActions(actions = [], event = {}) {
+        for (const name of actions) {
+            const action = this.context[name];
+            if (typeof action !== 'function') {
+                console.warn(`Flow action not found: ${name}`);
+                continue;
+            }
+            try {
+                action.call(this.context, event);
+            } catch (error) {
+                console.error(`Error in flow action "${name}":`, error);
+            }
+        }
+    }
+
+    /**
+     * Freeze the current state (app suspended)
+     */
+    pause() {
+        if (this.pausedAt) return;
+        this.clearTimer();
+        this.pausedAt = Date.now();
+    }
+
+    /**
+     * Continue the current state; paused time doesn't count towards its timer
+     */
+    resume() {
+        if (!this.pausedAt) return;
+        this.enteredAt += Date.now() - this.pausedAt;
+        this.pausedAt = null;
+        this.scheduleAfter();
+    }
+
+    /**
+     * Arm the `after` timer of the current state (remaining time since entering)
+     */
+    scheduleAfter() {
+        const after = this.getStateConfig()?.after;
+        if (!after) return;
+
+        const delay = Math.max(0, this.getTiming(after.ms) - (Date.now() - this.enteredAt));
+        const state = this.state;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            if (this.state !== state) return;
+
+            const transition = this.findTransition(after.transitions, { now: Date.now() });
+            if (transition?.to) {
+                this.transitionTo(transition.to, transition.actions);
+            }
+        }, delay);
+    }
+
+    /**
+     * Cancel the pending state timer
+     */
+    clearTimer() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+export default FlowMachine;
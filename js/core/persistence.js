@@ -0,0 +1,138 @@
+/**
+ * Persistence Module
+ * Snapshots selected state keys and settings to IndexedDB
+ * and restores them on startup
+ */
+
+import { CONFIG, PERSISTED_STATE_KEYS } from '../config/config.js';
+import { EventBus } from './eventBus.js';
+import { appState } from './state.js';
+import { settings } from './settings.js';
+import { storage } from './storage.js';
+
+const STORE = 'kv';
+const STATE_KEY = 'state';
+const SETTINGS_KEY = 'settings';
+
+class Persistence {
+    constructor() {
+        this.isReady = false;
+        this.saveTimer = null;
+    }
+
+    /**
+     * Open storage, restore the last snapshot and start saving changes
+     */
+    async initialize() {
+        if (!storage.isSupported()) {
+            console.warn('IndexedDB not supported - state will not persist');
+            return false;
+        }
+
+        try {
+            await storage.open();
+            await this.restore();
+            this.subscribeToEvents();
+
+            this.isReady = true;
+            EventBus.emit('persistence:ready');
+            return true;
+        } catch (error) {
+            console.warn('Persistence unavailable - running in-memory:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Restore state keys and settings from the last snapshot
+     */
+    async restore() {
+        const [snapshot, savedSettings] = await Promise.all([
+            storage.get(STORE, STATE_KEY),
+            storage.get(STORE, SETTINGS_KEY)
+        ]);
+
+        if (snapshot?.values) {
+            PERSISTED_STATE_KEYS.forEach(key => {
+                if (key in snapshot.values) {
+                    appState.set(key, snapshot.values[key]);
+                }
+            });
+        }
+
+        if (savedSettings) {
+            settings.load(savedSettings);
+        }
+
+        console.log('Persisted state restored', snapshot?.savedAt ? `(saved ${new Date(snapshot.savedAt).toLocaleString()})` : '(none)');
+        EventBus.emit('persistence:restored', { snapshot, settings: savedSettings });
+    }
+
+    /**
+     * Save whenever a persisted key or a setting changes
+     */
+    subscribeToEvents() {
+        EventBus.on('state:change', ({ key }) => {
+            if (PERSISTED_STATE_KEYS.includes(key)) {
+                this.scheduleSave();
+            }
+        });
+
+        EventBus.on('settings:change', () => {
+            this.scheduleSave();
+        });
+
+        // Flush pending changes before the page goes away
+        window.addEventListener('pagehide', () => {
+            if (this.saveTimer) {
+                this.save();
+            }
+        });
+    }
+
+    /**
+     * Debounce writes so bursts of changes become one transaction
+     */
+    scheduleSave() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+        }
+        this.saveTimer = setTimeout(() => this.save(), CONFIG.persistDebounceMs);
+    }
+
+    /**
+     * Write the current snapshot
+     */
+    async save() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+
+        const values = {};
+        PERSISTED_STATE_KEYS.forEach(key => {
+            values[key] = appState.get(key);
+        });
+
+        try {
+            await Promise.all([
+                storage.put(STORE, { savedAt: Date.now(), values }, STATE_KEY),
+                storage.put(STORE, settings.getAll(), SETTINGS_KEY)
+            ]);
+        } catch (error) {
+            console.warn('Failed to persist state:', error);
+        }
+    }
+
+    /**
+     * Forget everything that was persisted
+     */
+    async clear() {
+        await storage.clear(STORE);
+        console.log('Persisted state cleared');
+    }
+}
+
+// Export singleton instance
+export const persistence = new Persistence();
+export default persistence;
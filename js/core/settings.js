@@ -0,0 +1,78 @@
+/**
+ * Settings Module
+ * User preferences with change events (persisted by persistence.js)
+ */
+
+import { SETTINGS_DEFAULTS } from '../config/config.js';
+import { EventBus } from './eventBus.js';
+
+class Settings {
+    constructor() {
+        this.values = { ...SETTINGS_DEFAULTS };
+    }
+
+    /**
+     * Get a setting value
+     * @param {string} key - Setting key
+     */
+    get(key) {
+        return this.values[key];
+    }
+
+    /**
+     * Set a setting value
+     * @param {string} key - Setting key
+     * @param {any} value - New value
+     */
+    set(key, value) {
+        const oldValue = this.values[key];
+        if (oldValue === value) return;
+
+        this.values[key] = value;
+
+        EventBus.emit('settings:change', { key, oldValue, newValue: value });
+        EventBus.emit(`settings:${key}`, { oldValue, newValue: value });
+    }
+
+    /**
+     * Update multiple settings at once
+     * @param {Object} updates - Object with key-value pairs
+     */
+    update(updates) {
+        Object.entries(updates).forEach(([key, value]) => {
+            this.set(key, value);
+        });
+    }
+
+    /**
+     * Load saved values (unknown keys are ignored)
+     * @param {Object} saved - Previously saved settings
+     */
+    load(saved) {
+        Object.keys(SETTINGS_DEFAULTS).forEach(key => {
+            if (saved && key in saved) {
+                this.set(key, saved[key]);
+            }
+        });
+
+        EventBus.emit('settings:loaded', this.getAll());
+    }
+
+    /**
+     * Restore default values
+     */
+    reset() {
+        this.update(SETTINGS_DEFAULTS);
+    }
+
+    /**
+     * Get all settings
+     */
+    getAll() {
+        return { ...this.values };
+    }
+}
+
+// Export singleton instance
+export const settings = new Settings();
+export default settings;
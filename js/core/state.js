@@ -19,6 +19,8 @@ class AppState {
             currentClass: null,
             lastClassChange: 0,
             predictionBuffer: [],
+            isUnknown: false,           // Model can't be trusted (dark, covered, unusual scene)
+            unknownReason: null,
 
             // Task tracking
             taskStartTime: null,
@@ -30,10 +32,18 @@ class AppState {
             musicQuestionAnswered: false,
             musicQuestionStartTime: null,
             gestureDetectionActive: false,
+            lastMusicAskTime: null,
 
-            // Hand tracking (MediaPipe)
+            // Music library - last track and position (resumed next time)
+            musicTrackId: null,
+            musicPosition: 0,
+
+            // Hand tracking (MediaPipe) - every hand, and the responding one's landmarks
+            hands: [],                  // { id, landmarks, handedness, score, center }
+            respondingHandId: null,
             handLandmarks: null,
             handedness: null,
+            sequenceProgress: null,     // Gesture sequence in flight (ml/gestureSequences.js)
 
             // Gesture hold validation
             gestureHoldStart: null,
@@ -41,8 +51,8 @@ class AppState {
             confirmedGesture: null,
             musicResponse: null,
 
-            // Debug data
-            debugGeo: { thumbVertical: 0, fingersCurled: false },
+            // Debug data (hand measurements, see ml/handGeometry.js)
+            debugGeo: null,
 
             // FPS tracking
             frameCount: 0,
@@ -53,6 +63,9 @@ class AppState {
             currentRoute: null,
             currentAnimation: null,
 
+            // Handwash coach
+            handwashIncomplete: false,
+
             // Debug modes
             gestureTestMode: false
         };
@@ -105,6 +118,8 @@ class AppState {
             currentClass: null,
             lastClassChange: 0,
             predictionBuffer: [],
+            isUnknown: false,
+            unknownReason: null,
             taskStartTime: null,
             taskDuration: 0,
             isLongTask: false,
@@ -112,13 +127,16 @@ class AppState {
             musicQuestionAnswered: false,
             musicQuestionStartTime: null,
             gestureDetectionActive: false,
+            hands: [],
+            respondingHandId: null,
             handLandmarks: null,
             handedness: null,
+            sequenceProgress: null,
             gestureHoldStart: null,
             currentGesture: null,
             confirmedGesture: null,
             musicResponse: null,
-            debugGeo: { thumbVertical: 0, fingersCurled: false },
+            debugGeo: null,
             frameCount: 0,
             lastFpsUpdate: 0,
             currentFps: 0,
@@ -142,6 +160,8 @@ class AppState {
             currentGesture: null,
             confirmedGesture: null,
             musicResponse: null,
+            hands: [],
+            respondingHandId: null,
             handLandmarks: null
         });
 
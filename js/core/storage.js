@@ -0,0 +1,181 @@
+/**
+ * Storage Module
+ * Thin promise wrapper around IndexedDB with versioned schema migrations
+ */
+
+const DB_NAME = 'wama';
+const DB_VERSION = 5;
+
+/**
+ * Schema migrations, keyed by the version they upgrade to.
+ * Each one receives the database and the upgrade transaction, so it can
+ * create object stores as well as rewrite records saved by older versions.
+ * Add a new entry and bump DB_VERSION when the stored data changes shape.
+ */
+const MIGRATIONS = {
+    1: (db) => {
+        // Key-value store for state snapshots and settings
+        db.createObjectStore('kv');
+    },
+    2: (db) => {
+        // Session history, queried by start time
+        const sessions = db.createObjectStore('sessions', { keyPath: 'id' });
+        sessions.createIndex('startTime', 'startTime');
+    },
+    3: (db) => {
+        // Daily water usage totals, keyed by local date (YYYY-MM-DD)
+        db.createObjectStore('waterDaily', { keyPath: 'date' });
+    },
+    4: (db) => {
+        // Labelled frames captured in teach mode, queried by class
+        const samples = db.createObjectStore('samples', { keyPath: 'id', autoIncrement: true });
+        samples.createIndex('classNum', 'classNum');
+
+        // Models trained on the device, keyed by model name
+        db.createObjectStore('models', { keyPath: 'name' });
+    },
+    5: (db) => {
+        // Custom hand gestures with their landmark samples, keyed by gesture id
+        db.createObjectStore('customGestures', { keyPath: 'id' });
+    }
+};
+
+class Storage {
+    constructor() {
+        this.db = null;
+        this.openPromise = null;
+    }
+
+    /**
+     * Check if IndexedDB is available
+     */
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and upgrade if needed) the database
+     */
+    open() {
+        if (this.openPromise) return this.openPromise;
+
+        this.openPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                const transaction = request.transaction;
+
+                for (let version = event.oldVersion + 1; version <= DB_VERSION; version++) {
+                    console.log(`Migrating storage to v${version}`);
+                    MIGRATIONS[version]?.(db, transaction);
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+
+                // Another tab opened a newer version - let it upgrade
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                    this.openPromise = null;
+                };
+
+                resolve(this.db);
+            };
+
+            request.onerror = () => {
+                this.openPromise = null;
+                reject(request.error);
+            };
+
+            request.onblocked = () => {
+                console.warn('Storage upgrade blocked by another open tab');
+            };
+        });
+
+        return this.openPromise;
+    }
+
+    /**
+     * Run a single request in its own transaction
+     * @param {string} storeName - Object store name
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the store, returns an IDBRequest
+     */
+    async request(storeName, mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request?.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Get a record by key
+     */
+    get(storeName, key) {
+        return this.request(storeName, 'readonly', store => store.get(key));
+    }
+
+    /**
+     * Get all records (optionally within a key range)
+     */
+    getAll(storeName, query) {
+        return this.request(storeName, 'readonly', store => store.getAll(query));
+    }
+
+    /**
+     * Get all records of an index (optionally within a key range)
+     */
+    getAllFromIndex(storeName, indexName, query) {
+        return this.request(storeName, 'readonly', store => store.index(indexName).getAll(query));
+    }
+
+    /**
+     * Count records of an index (optionally within a key range)
+     */
+    count(storeName, indexName, query) {
+        return this.request(storeName, 'readonly', store => store.index(indexName).count(query));
+    }
+
+    /**
+     * Insert or replace a record
+     */
+    put(storeName, value, key) {
+        return this.request(storeName, 'readwrite', store =>
+            key === undefined ? store.put(value) : store.put(value, key)
+        );
+    }
+
+    /**
+     * Delete a record by key
+     */
+    delete(storeName, key) {
+        return this.request(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Remove all records of a store
+     */
+    clear(storeName) {
+        return this.request(storeName, 'readwrite', store => store.clear());
+    }
+
+    /**
+     * Get the schema version of the database
+     */
+    getVersion() {
+        return DB_VERSION;
+    }
+}
+
+// Export singleton instance
+export const storage = new Storage();
+export default storage;
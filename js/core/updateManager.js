@@ -0,0 +1,118 @@
+/**
+ * Update Manager Module
+ * Registers the service worker (sw.js) and applies new versions
+ *
+ * A new version installs in the background and waits. The page is told it's
+ * available ('app:updateAvailable') and appController calls apply() at the
+ * next IDLE moment, so a reload never interrupts a session. Kiosks never
+ * navigate, so the worker is also asked to check for updates periodically.
+ */
+
+import { CONFIG } from '../config/config.js';
+import { EventBus } from './eventBus.js';
+import { persistence } from './persistence.js';
+
+class UpdateManager {
+    constructor() {
+        this.registration = null;
+        this.isUpdateAvailable = false;
+        this.version = null;            // Version of the waiting worker (when announced)
+        this.isApplying = false;
+    }
+
+    /**
+     * Register the service worker and watch for new versions
+     */
+    async initialize() {
+        if (!('serviceWorker' in navigator)) return false;
+
+        // The worker precaches vendored files and models from the same asset base
+        const assetBase = document.querySelector('meta[name="wama-asset-base"]')?.content || './';
+
+        try {
+            this.registration = await navigator.serviceWorker.register(
+                `./sw.js?assets=${encodeURIComponent(assetBase)}`
+            );
+            console.log('Service Worker registered');
+        } catch (error) {
+            console.warn('SW registration failed:', error);
+            return false;
+        }
+
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data?.type === 'UPDATE_AVAILABLE') {
+                this.markAvailable(event.data.version);
+            }
+        });
+
+        // Installed while no page was listening
+        if (this.registration.waiting && navigator.serviceWorker.controller) {
+            this.markAvailable();
+        }
+
+        this.registration.addEventListener('updatefound', () => {
+            const worker = this.registration.installing;
+            worker?.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.markAvailable();
+                }
+            });
+        });
+
+        if (CONFIG.updateCheckIntervalMs > 0) {
+            setInterval(() => this.check(), CONFIG.updateCheckIntervalMs);
+        }
+
+        return true;
+    }
+
+    /**
+     * Ask the browser to look for a new sw.js / precache manifest
+     */
+    async check() {
+        try {
+            await this.registration?.update();
+        } catch (error) {
+            // Offline - try again next time
+        }
+    }
+
+    /**
+     * Record that a new version is waiting (announced once)
+     */
+    markAvailable(version = null) {
+        if (version) this.version = version;
+        if (this.isUpdateAvailable) return;
+
+        this.isUpdateAvailable = true;
+        console.log(`Update available${this.version ? ` (version ${this.version})` : ''}`);
+        EventBus.emit('app:updateAvailable', { version: this.version });
+    }
+
+    /**
+     * Activate the waiting worker and reload once it controls the page
+     * @returns {Promise<boolean>} False if there's nothing to apply
+     */
+    async apply() {
+        const worker = this.registration?.waiting || this.registration?.installing;
+        if (!worker || this.isApplying) return false;
+
+        this.isApplying = true;
+        console.log('Applying update...');
+        EventBus.emit('app:updating', { version: this.version });
+
+        // Snapshot state so detection resumes after the reload
+        await persistence.save();
+
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            window.location.reload();
+        }, { once: true });
+        worker.postMessage({ type: 'SKIP_WAITING' });
+
+        return true;
+    }
+}
+
+// Export singleton instance
+export const updateManager = new UpdateManager();
+export default updateManager;
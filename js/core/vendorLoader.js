@@ -0,0 +1,101 @@
+/**
+ * Vendor Loader Module
+ * Loads the runtime libraries (tfjs, Teachable Machine, MediaPipe Hands, lottie)
+ *
+ * Libraries come from the vendored copies under CONFIG.assetBaseURL so the app
+ * runs without network. A missing copy is an error, unless vendorCdnFallback
+ * is turned on: then the pinned CDN version is used instead (VENDOR_LIBRARIES
+ * in config.js).
+ */
+
+import { CONFIG, VENDOR_LIBRARIES } from '../config/config.js';
+import { EventBus } from './eventBus.js';
+
+class VendorLoader {
+    constructor() {
+        this.urls = {};         // name → URL the library was loaded from
+    }
+
+    /**
+     * Load every library in order (later ones depend on tfjs)
+     * @returns {Promise<Object>} name → loaded URL (missing libraries are left out)
+     */
+    async loadAll() {
+        for (const library of VENDOR_LIBRARIES) {
+            try {
+                await this.load(library);
+            } catch (error) {
+                console.error(`Failed to load ${library.name}:`, error);
+                EventBus.emit('vendor:error', { name: library.name, error });
+            }
+        }
+
+        EventBus.emit('vendor:loaded', { urls: { ...this.urls } });
+        return this.urls;
+    }
+
+    /**
+     * Load one library, falling back to its CDN copy
+     * @param {Object} library - VENDOR_LIBRARIES entry
+     */
+    async load(library) {
+        if (window[library.global]) return;
+
+        const localURL = new URL(CONFIG.assetBaseURL + library.path, document.baseURI).href;
+
+        try {
+            await this.injectScript(localURL);
+            this.urls[library.name] = localURL;
+            return;
+        } catch (error) {
+            if (!CONFIG.vendorCdnFallback || !library.cdn) {
+                throw new Error(`${library.name} missing from ${localURL} - run vendor/fetch.sh (see vendor/README.md)`);
+            }
+            console.warn(`${library.name} not vendored (${localURL}), using ${library.cdn}`);
+        }
+
+        await this.injectScript(library.cdn, true);
+        this.urls[library.name] = library.cdn;
+    }
+
+    /**
+     * Add a classic <script> and wait for it
+     */
+    injectScript(src, crossOrigin = false) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.async = false;
+            if (crossOrigin) script.crossOrigin = 'anonymous';
+            script.onload = () => resolve();
+            script.onerror = () => {
+                script.remove();
+                reject(new Error(`Could not load ${src}`));
+            };
+            document.head.appendChild(script);
+        });
+    }
+
+    /**
+     * URL a library was loaded from
+     * @param {string} name - Library name ('tfjs', 'tmImage', 'hands', 'lottie')
+     * @returns {string|null}
+     */
+    getURL(name) {
+        return this.urls[name] || null;
+    }
+
+    /**
+     * Folder a library was loaded from (for its companion files)
+     * @param {string} name - Library name
+     * @returns {string|null} URL ending in '/'
+     */
+    getBaseURL(name) {
+        const url = this.getURL(name);
+        return url ? url.slice(0, url.lastIndexOf('/') + 1) : null;
+    }
+}
+
+// Export singleton instance
+export const vendorLoader = new VendorLoader();
+export default vendorLoader;
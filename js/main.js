@@ -7,6 +7,13 @@
  */
 
 import { appController } from './controllers/appController.js';
+import { settings } from './core/settings.js';
+import { updateManager } from './core/updateManager.js';
+import { vendorLoader } from './core/vendorLoader.js';
+import { sessionRecorder } from './services/sessionRecorder.js';
+import { waterTracker } from './services/waterTracker.js';
+import { musicLibrary } from './services/musicLibrary.js';
+import { audioManager } from './ui/audioManager.js';
 
 // Initialize application when DOM is ready
 document.addEventListener('DOMContentLoaded', async () => {
@@ -14,6 +21,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     console.log('================================');
     
     // Always start at idle route on page load/reload
+    // (persisted state is restored by appController.initialize)
     if (window.location.hash !== '#idle' && window.location.hash !== '') {
         window.location.hash = 'idle';
     } else if (window.location.hash === '') {
@@ -21,26 +29,37 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
     
     try {
+        // Libraries are vendored (see vendor/README.md) and loaded before the app
+        await vendorLoader.loadAll();
         await appController.initialize();
     } catch (error) {
         console.error('Application failed to start:', error);
     }
+
+    // Offline cache and updates (applied by appController when idle)
+    updateManager.initialize();
 });
 
-// Handle page visibility changes (pause/resume)
+// Handle page visibility changes (suspend/resume)
 document.addEventListener('visibilitychange', () => {
     if (document.hidden) {
-        console.log('Page hidden - pausing...');
-        // Could pause detection here if needed
+        console.log('Page hidden - suspending...');
+        appController.suspend();
     } else {
         console.log('Page visible - resuming...');
-        // Could resume detection here if needed
+        appController.wake();
     }
 });
 
 // Export for debugging in console
 window.MAInDWama = {
-    appController
+    appController,
+    settings,
+    sessionRecorder,
+    waterTracker,
+    updateManager,
+    audioManager,
+    musicLibrary
 };
 
 // Expose appController for debug panel onclick handlers
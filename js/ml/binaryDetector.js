@@ -0,0 +1,66 @@
+/**
+ * Binary Detector Module
+ * Majority vote over one yes/no model (person present, water running)
+ *
+ * Each detector keeps its own buffer, threshold and stability settings.
+ * The status quo value comes from the current class, so the detectors never
+ * drift from the class the rest of the app sees (simulation, camera restarts).
+ */
+
+export class BinaryDetector {
+    /**
+     * @param {string} name - Detector name ('person' | 'water')
+     * @param {Object} options - { bufferSize, majorityThreshold, minConfidenceThreshold, stabilityFrames }
+     */
+    constructor(name, options) {
+        this.name = name;
+        this.options = options;
+        this.buffer = [];
+    }
+
+    /**
+     * Add a prediction and vote
+     * @param {number} probability - Probability of "yes" (0-1)
+     * @param {boolean} current - Current value, voted for on uncertain frames
+     * @returns {Object} { value, changed, votes, length, ratio, isStable }
+     */
+    push(probability, current) {
+        const { bufferSize, majorityThreshold, minConfidenceThreshold, stabilityFrames } = this.options;
+
+        // Vote for the confident answer or status quo
+        const confidence = Math.max(probability, 1 - probability);
+        const vote = confidence >= minConfidenceThreshold ? probability >= 0.5 : current;
+
+        this.buffer.push(vote);
+        if (this.buffer.length > bufferSize) {
+            this.buffer.shift();
+        }
+
+        const length = this.buffer.length;
+        const votes = this.buffer.filter(Boolean).length;
+        const majority = votes * 2 === length ? current : votes * 2 > length;
+        const ratio = (majority ? votes : length - votes) / length;
+
+        const isStable = length >= stabilityFrames
+            && this.buffer.slice(-stabilityFrames).every(v => v === majority);
+        const changed = majority !== current && ratio >= majorityThreshold && isStable;
+
+        return {
+            value: changed ? majority : current,
+            changed,
+            votes,
+            length,
+            ratio,
+            isStable
+        };
+    }
+
+    /**
+     * Forget buffered votes
+     */
+    reset() {
+        this.buffer = [];
+    }
+}
+
+export default BinaryDetector;
@@ -0,0 +1,189 @@
+/**
+ * Camera Monitor Module
+ * Detects a lost camera and reconnects it with backoff
+ *
+ * The camera counts as lost when:
+ * - its video track ends (unplugged, permission revoked, killed by the OS)
+ * - frames stay identical for CONFIG.cameraFrozenMs (stalled stream)
+ * - ml:webcamError is emitted while monitoring
+ *
+ * Emits camera:lost { reason }, camera:retry { attempt, delay } and
+ * camera:restored { attempts, downtime }.
+ */
+
+import { CONFIG } from '../config/config.js';
+import { EventBus } from '../core/eventBus.js';
+import { stateDetector } from './stateDetector.js';
+import { sampleFrame, hashFrame, isUniformFrame } from './frameUtils.js';
+
+class CameraMonitor {
+    constructor() {
+        this.isActive = false;
+        this.isLost = false;
+        this.lostAt = null;
+        this.attempts = 0;
+        this.retryTimer = null;
+
+        this.track = null;
+        this.lastCheck = 0;
+        this.lastHash = null;
+        this.frozenSince = null;
+
+        this.onTrackEnded = () => this.markLost('ended');
+
+        EventBus.on('ml:webcamError', () => {
+            if (this.isActive) this.markLost('error');
+        });
+    }
+
+    /**
+     * Start watching the current webcam
+     */
+    start() {
+        this.isActive = true;
+        this.watchTrack();
+    }
+
+    /**
+     * Stop watching (detection stopped or app suspended)
+     */
+    stop() {
+        this.isActive = false;
+        this.isLost = false;
+        this.lostAt = null;
+        this.attempts = 0;
+        this.unwatchTrack();
+
+        if (this.retryTimer) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        }
+    }
+
+    /**
+     * Listen for the video track ending
+     */
+    watchTrack() {
+        this.unwatchTrack();
+        this.lastHash = null;
+        this.frozenSince = null;
+
+        this.track = stateDetector.getVideoTrack();
+        if (!this.track) return;
+
+        if (this.track.readyState === 'ended') {
+            this.markLost('ended');
+            return;
+        }
+        this.track.addEventListener('ended', this.onTrackEnded);
+    }
+
+    /**
+     * Remove the track listener
+     */
+    unwatchTrack() {
+        if (this.track) {
+            this.track.removeEventListener('ended', this.onTrackEnded);
+            this.track = null;
+        }
+    }
+
+    /**
+     * Check the current frame for a frozen stream (call after updating the frame)
+     * @param {HTMLCanvasElement} canvas - Webcam canvas
+     */
+    check(canvas, now = Date.now()) {
+        if (!this.isActive || this.isLost || !canvas) return;
+        if (now - this.lastCheck < CONFIG.cameraCheckIntervalMs) return;
+        this.lastCheck = now;
+
+        const sample = sampleFrame(canvas, CONFIG.motionSampleWidth, CONFIG.motionSampleHeight);
+
+        // A flat frame (dark room, covered lens) repeats naturally - not a stall
+        if (isUniformFrame(sample)) {
+            this.frozenSince = null;
+            this.lastHash = null;
+            return;
+        }
+
+        const hash = hashFrame(sample);
+        if (hash !== this.lastHash) {
+            this.lastHash = hash;
+            this.frozenSince = null;
+            return;
+        }
+
+        this.frozenSince = this.frozenSince ?? now;
+        if (now - this.frozenSince >= CONFIG.cameraFrozenMs) {
+            this.markLost('frozen');
+        }
+    }
+
+    /**
+     * Report the camera as lost and start reconnecting
+     * @param {string} reason - 'ended' | 'frozen' | 'error' | 'unavailable'
+     */
+    markLost(reason) {
+        if (this.isLost) return;
+
+        console.warn(`Camera lost (${reason})`);
+        this.isActive = true;
+        this.isLost = true;
+        this.lostAt = Date.now();
+        this.attempts = 0;
+        this.unwatchTrack();
+
+        EventBus.emit('camera:lost', { reason, timestamp: this.lostAt });
+        this.scheduleRetry();
+    }
+
+    /**
+     * Queue the next reconnection attempt (exponential backoff)
+     */
+    scheduleRetry() {
+        const delay = Math.min(CONFIG.cameraRetryBaseMs * 2 ** this.attempts, CONFIG.cameraRetryMaxMs);
+        this.attempts++;
+
+        EventBus.emit('camera:retry', { attempt: this.attempts, delay });
+        this.retryTimer = setTimeout(() => this.retry(), delay);
+    }
+
+    /**
+     * Try to reopen the webcam
+     */
+    async retry() {
+        this.retryTimer = null;
+        if (!this.isLost) return;
+
+        console.log(`Reconnecting camera (attempt ${this.attempts})...`);
+        stateDetector.stopWebcam();
+
+        try {
+            await stateDetector.setupWebcam();
+        } catch (error) {
+            if (this.isLost) this.scheduleRetry();
+            return;
+        }
+
+        // Stopped while reconnecting
+        if (!this.isLost) {
+            stateDetector.stopWebcam();
+            return;
+        }
+
+        const downtime = Date.now() - this.lostAt;
+        const attempts = this.attempts;
+        console.log(`Camera restored after ${Math.round(downtime / 1000)}s`);
+
+        this.isLost = false;
+        this.lostAt = null;
+        this.attempts = 0;
+        this.watchTrack();
+
+        EventBus.emit('camera:restored', { attempts, downtime });
+    }
+}
+
+// Export singleton instance
+export const cameraMonitor = new CameraMonitor();
+export default cameraMonitor;
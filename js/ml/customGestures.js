@@ -0,0 +1,287 @@
+/**
+ * Custom Gestures Module
+ * Hand signs taught on the device, recognized by k-nearest neighbours
+ *
+ * A recording stores the landmarks of a held pose as samples: the 20 points
+ * (wrist left out, it's the origin) in the hand-local frame of
+ * ml/handGeometry.js, so a sample doesn't depend on where the hand is, how far
+ * away, how it is turned or which hand is used. A frame matches a gesture when
+ * most of its CONFIG.customGestureK nearest samples are within
+ * customGestureMaxDistance and belong to that gesture.
+ *
+ * Each gesture is registered in the classifier registry (after the built-in
+ * ones, which take precedence) and is stored in the `customGestures` store.
+ * Its `binding` is the gesture or command (GESTURE_BINDINGS) the flow table
+ * handles it as.
+ */
+
+import { CONFIG } from '../config/config.js';
+import { EventBus } from '../core/eventBus.js';
+import { storage } from '../core/storage.js';
+import { persistence } from '../core/persistence.js';
+import { gestureClassifiers } from './gestureClassifiers.js';
+
+const STORE = 'customGestures';
+const ID_PREFIX = 'custom_';
+
+/**
+ * Sample vector of a measured hand: local x, y, z of landmarks 1-20
+ */
+export function toSampleVector(features) {
+    return features.local.slice(1).flatMap(({ x, y, z }) => [x, y, z]);
+}
+
+/**
+ * Mean distance between corresponding landmarks of two samples (palm sizes)
+ */
+function sampleDistance(a, b) {
+    let total = 0;
+    for (let i = 0; i < a.length; i += 3) {
+        total += Math.hypot(a[i] - b[i], a[i + 1] - b[i + 1], a[i + 2] - b[i + 2]);
+    }
+    return total / (a.length / 3);
+}
+
+class CustomGestures {
+    constructor() {
+        this.gestures = new Map();      // id → { id, label, icon, binding, samples, createdAt, updatedAt }
+        this.recording = null;          // { id, samples, lastCaptureAt }
+        this.useStorage = false;
+        this.lastFeatures = null;       // Frame classified last (every classifier asks)
+        this.lastMatch = null;
+    }
+
+    /**
+     * Load stored gestures and register them
+     */
+    async initialize() {
+        this.useStorage = persistence.isReady;
+        if (!this.useStorage) return true;
+
+        try {
+            const records = await storage.getAll(STORE);
+            records.forEach(record => this.add(record));
+            if (records.length > 0) {
+                console.log(`Custom gestures: ${records.map(record => record.label).join(', ')}`);
+            }
+        } catch (error) {
+            console.warn('Failed to load custom gestures:', error);
+        }
+
+        return true;
+    }
+
+    /**
+     * Keep a gesture and make it recognizable
+     */
+    add(gesture) {
+        this.gestures.set(gesture.id, gesture);
+        this.lastFeatures = null;
+
+        gestureClassifiers.register({
+            id: gesture.id,
+            label: gesture.label,
+            icon: gesture.icon,
+            custom: true,
+            detect: (features) => this.classify(features) === gesture.id
+        });
+    }
+
+    /**
+     * Gesture id for a label ("Rock on" → custom_rock_on)
+     */
+    getId(label) {
+        const slug = label.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+        return `${ID_PREFIX}${slug || 'gesture'}`;
+    }
+
+    /**
+     * All custom gestures (without their samples)
+     * @returns {Array} { id, label, icon, binding, sampleCount }
+     */
+    list() {
+        return [...this.gestures.values()].map(({ id, label, icon, binding, samples }) => ({
+            id, label, icon, binding, sampleCount: samples.length
+        }));
+    }
+
+    /**
+     * Get a custom gesture by id
+     */
+    get(id) {
+        return this.gestures.get(id) || null;
+    }
+
+    /**
+     * Gesture or command a custom gesture stands for in the flow table
+     * @returns {string|null} Null for built-in or unbound gestures
+     */
+    getBinding(id) {
+        return this.gestures.get(id)?.binding || null;
+    }
+
+    /**
+     * Start recording samples (adds to the gesture if the label exists)
+     * Frames are passed in by captureFrame() while Gesture Test Mode runs.
+     * @param {Object} options - { label, icon, binding }
+     * @returns {string} Gesture id
+     */
+    startRecording({ label, icon = '✋', binding = null }) {
+        const id = this.getId(label);
+        this.recording = {
+            id,
+            label: label.trim(),
+            icon,
+            binding,
+            samples: [],
+            lastCaptureAt: 0
+        };
+
+        console.log(`Recording custom gesture: ${id}`);
+        EventBus.emit('gesture:recording', { id, count: 0, total: CONFIG.customGestureSamples });
+        return id;
+    }
+
+    /**
+     * Add a measured frame to the recording (one every customGestureCaptureIntervalMs)
+     * @param {Object|null} features - measureHand() result, null without a hand
+     */
+    captureFrame(features, now = Date.now()) {
+        const recording = this.recording;
+        if (!recording || !features?.local) return;
+        if (now - recording.lastCaptureAt < CONFIG.customGestureCaptureIntervalMs) return;
+
+        recording.samples.push(toSampleVector(features));
+        recording.lastCaptureAt = now;
+
+        const count = recording.samples.length;
+        EventBus.emit('gesture:recording', { id: recording.id, count, total: CONFIG.customGestureSamples });
+
+        if (count >= CONFIG.customGestureSamples) {
+            this.finishRecording();
+        }
+    }
+
+    /**
+     * Store the recorded samples
+     */
+    async finishRecording() {
+        const recording = this.recording;
+        if (!recording) return null;
+        this.recording = null;
+
+        const existing = this.gestures.get(recording.id);
+        const now = Date.now();
+        const gesture = {
+            id: recording.id,
+            label: recording.label,
+            icon: recording.icon,
+            binding: recording.binding,
+            samples: [...(existing?.samples || []), ...recording.samples].slice(-CONFIG.customGestureMaxSamples),
+            createdAt: existing?.createdAt || now,
+            updatedAt: now
+        };
+
+        this.add(gesture);
+        await this.save(gesture);
+
+        console.log(`Custom gesture ${gesture.id}: ${gesture.samples.length} samples`);
+        EventBus.emit('gesture:recorded', { id: gesture.id, sampleCount: gesture.samples.length });
+        EventBus.emit('gesture:customChanged', { gestures: this.list() });
+        return gesture;
+    }
+
+    /**
+     * Drop the recording in progress
+     */
+    cancelRecording() {
+        if (!this.recording) return;
+        this.recording = null;
+        EventBus.emit('gesture:recordingCancelled');
+    }
+
+    /**
+     * Change what a gesture is bound to
+     * @param {string|null} binding - GESTURE_BINDINGS id
+     */
+    async setBinding(id, binding) {
+        const gesture = this.gestures.get(id);
+        if (!gesture) return false;
+
+        gesture.binding = binding || null;
+        gesture.updatedAt = Date.now();
+        await this.save(gesture);
+
+        EventBus.emit('gesture:customChanged', { gestures: this.list() });
+        return true;
+    }
+
+    /**
+     * Forget a gesture and its samples
+     */
+    async remove(id) {
+        if (!this.gestures.delete(id)) return false;
+
+        gestureClassifiers.unregister(id);
+        this.lastFeatures = null;
+
+        if (this.useStorage) {
+            try {
+                await storage.delete(STORE, id);
+            } catch (error) {
+                console.warn('Failed to delete custom gesture:', error);
+            }
+        }
+
+        EventBus.emit('gesture:customChanged', { gestures: this.list() });
+        return true;
+    }
+
+    /**
+     * Write a gesture to storage
+     */
+    async save(gesture) {
+        if (!this.useStorage) return;
+
+        try {
+            await storage.put(STORE, { ...gesture });
+        } catch (error) {
+            console.warn('Failed to store custom gesture:', error);
+        }
+    }
+
+    /**
+     * k-NN vote over all samples
+     * @param {Object} features - measureHand() result
+     * @returns {string|null} Gesture id, null if no gesture has a majority of close neighbours
+     */
+    classify(features) {
+        if (features === this.lastFeatures) return this.lastMatch;
+
+        const vector = toSampleVector(features);
+        const neighbours = [];
+        for (const { id, samples } of this.gestures.values()) {
+            for (const sample of samples) {
+                neighbours.push({ id, distance: sampleDistance(vector, sample) });
+            }
+        }
+        neighbours.sort((a, b) => a.distance - b.distance);
+
+        const votes = {};
+        neighbours
+            .slice(0, CONFIG.customGestureK)
+            .filter(({ distance }) => distance <= CONFIG.customGestureMaxDistance)
+            .forEach(({ id }) => votes[id] = (votes[id] || 0) + 1);
+
+        const [best] = Object.entries(votes).sort((a, b) => b[1] - a[1]);
+        const match = best && best[1] >= Math.ceil(CONFIG.customGestureK / 2) ? best[0] : null;
+
+        this.lastFeatures = features;
+        this.lastMatch = match;
+        return match;
+    }
+}
+
+// Export singleton instance
+export const customGestures = new CustomGestures();
+export default customGestures;
@@ -0,0 +1,90 @@
+/**
+ * Frame Utilities
+ * Cheap image helpers used before (or instead of) running the models
+ */
+
+let sampleCanvas = null;
+let sampleContext = null;
+
+/**
+ * Downscale a frame to a small grayscale sample
+ * @param {HTMLCanvasElement} source - Frame to sample
+ * @param {number} width - Sample width
+ * @param {number} height - Sample height
+ * @returns {Uint8ClampedArray} Luminance values (0-255), one per pixel
+ */
+export function sampleFrame(source, width, height) {
+    if (!sampleCanvas) {
+        sampleCanvas = document.createElement('canvas');
+        sampleContext = sampleCanvas.getContext('2d', { willReadFrequently: true });
+    }
+
+    if (sampleCanvas.width !== width || sampleCanvas.height !== height) {
+        sampleCanvas.width = width;
+        sampleCanvas.height = height;
+    }
+
+    sampleContext.drawImage(source, 0, 0, width, height);
+    const { data } = sampleContext.getImageData(0, 0, width, height);
+
+    const luma = new Uint8ClampedArray(width * height);
+    for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+        luma[p] = (data[i] * 77 + data[i + 1] * 150 + data[i + 2] * 29) >> 8;
+    }
+
+    return luma;
+}
+
+/**
+ * Mean absolute difference between two samples
+ * @returns {number} 0 (identical) to 1 (inverted); 1 if the samples can't be compared
+ */
+export function frameDifference(a, b) {
+    if (!a || !b || a.length !== b.length) return 1;
+
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        sum += Math.abs(a[i] - b[i]);
+    }
+
+    return sum / (a.length * 255);
+}
+
+/**
+ * Hash a sample (FNV-1a) - identical frames give identical hashes
+ * @returns {number} 32-bit hash
+ */
+export function hashFrame(sample) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < sample.length; i++) {
+        hash ^= sample[i];
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Check if a sample is (almost) a single flat color, e.g. a black frame
+ * @param {number} tolerance - Maximum luminance spread (0-255)
+ */
+export function isUniformFrame(sample, tolerance = 4) {
+    let min = 255;
+    let max = 0;
+    for (let i = 0; i < sample.length; i++) {
+        if (sample[i] < min) min = sample[i];
+        if (sample[i] > max) max = sample[i];
+    }
+    return max - min <= tolerance;
+}
+
+/**
+ * Mean luminance of a sample
+ * @returns {number} 0 (black) to 255 (white)
+ */
+export function meanBrightness(sample) {
+    let sum = 0;
+    for (let i = 0; i < sample.length; i++) {
+        sum += sample[i];
+    }
+    return sample.length ? sum / sample.length : 0;
+}
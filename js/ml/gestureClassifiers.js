@@ -0,0 +1,245 @@
+/**
+ * Gesture Classifiers Module
+ * Registry of geometric hand gesture detectors over MediaPipe landmarks
+ *
+ * A classifier is { id, label, icon, holdMs, hands, detect(features, history, other) }:
+ *   features - measurements of the responding hand (measureHand in handGeometry.js)
+ *   history  - its recent { t, x, palmSize, extendedCount } samples, oldest first
+ *   other    - measurements of the second hand, if one is visible
+ * Classifiers with `hands: 2` are only tried when two hands are visible.
+ * Classifiers are tried in registration order and the first match wins, so
+ * two-hand gestures come before their one-hand halves and moving gestures
+ * (wave) before the poses they are made of.
+ *
+ * Poses are read from joint angles in a hand-local frame, so they work with
+ * the hand tilted or turned and with either hand. Thresholds live in
+ * CONFIG.gestureThresholds; distances are in palm sizes.
+ */
+
+import { CONFIG, GESTURES } from '../config/config.js';
+import { measureHand } from './handGeometry.js';
+
+/**
+ * Count side-to-side direction changes of at least minAmplitude palm sizes
+ */
+function countReversals(samples, minAmplitude) {
+    let direction = 0;
+    let extreme = samples[0].x;
+    let reversals = 0;
+
+    for (const { x, palmSize } of samples.slice(1)) {
+        const swing = (x - extreme) / palmSize;
+
+        if (direction === 0) {
+            if (Math.abs(swing) >= minAmplitude) {
+                direction = Math.sign(swing);
+                extreme = x;
+            }
+        } else if (swing * direction > 0) {
+            extreme = x;                    // Still moving the same way
+        } else if (Math.abs(swing) >= minAmplitude) {
+            reversals++;
+            direction = -direction;
+            extreme = x;
+        }
+    }
+
+    return reversals;
+}
+
+/**
+ * Samples of the last `ms` milliseconds
+ */
+function recent(history, ms) {
+    const last = history[history.length - 1];
+    return last ? history.filter(sample => last.t - sample.t <= ms) : [];
+}
+
+/**
+ * Straight thumb pointing up + fingers curled
+ */
+const isThumbsUp = ({ thumbExtended, thumbTilt, fingersCurled }) =>
+    thumbExtended && fingersCurled && thumbTilt <= CONFIG.thumbMaxTilt;
+
+/**
+ * Straight thumb pointing down + fingers curled
+ */
+const isThumbsDown = ({ thumbExtended, thumbTilt, fingersCurled }) =>
+    thumbExtended && fingersCurled && thumbTilt >= 180 - CONFIG.thumbMaxTilt;
+
+// Built-in classifiers, in matching order
+export const BUILT_IN_CLASSIFIERS = [
+    {
+        id: GESTURES.BOTH_YES,
+        label: 'Both Thumbs Up',
+        icon: '👍👍',
+        hands: 2,
+        detect: (features, history, other) => isThumbsUp(features) && isThumbsUp(other)
+    },
+    {
+        id: GESTURES.CROSSED,
+        label: 'Hands Crossed',
+        icon: '🙅',
+        hands: 2,
+        // The hand labelled 'Left' is normally on the left of the frame
+        // (labels match the image whether it is mirrored or not)
+        detect: (features, history, other) => {
+            const left = [features, other].find(hand => hand.handedness === 'Left');
+            const right = [features, other].find(hand => hand.handedness === 'Right');
+            if (!left || !right) return false;
+
+            const palmSize = (left.palmSize + right.palmSize) / 2;
+            return (left.x - right.x) / palmSize >= CONFIG.gestureThresholds.crossed.minCrossing;
+        }
+    },
+    {
+        id: GESTURES.WAVE,
+        label: 'Wave',
+        icon: '👋',
+        holdMs: () => CONFIG.gestureThresholds.wave.holdMs,
+        detect: (features, history) => {
+            const { windowMs, minReversals, minAmplitude, minExtended } = CONFIG.gestureThresholds.wave;
+            const samples = recent(history, windowMs);
+
+            return samples.length >= 4
+                && samples.every(sample => sample.extendedCount >= minExtended)
+                && countReversals(samples, minAmplitude) >= minReversals;
+        }
+    },
+    {
+        id: GESTURES.POINT_UP,
+        label: 'Pointing Up',
+        icon: '☝️',
+        detect: ({ extended, curled, indexTilt }) => {
+            const { maxTilt, minCurled } = CONFIG.gestureThresholds.pointUp;
+            return extended[0]
+                && indexTilt <= maxTilt
+                && curled.slice(1).filter(Boolean).length >= minCurled;
+        }
+    },
+    {
+        id: GESTURES.YES,
+        label: 'Thumbs Up',
+        icon: '👍',
+        detect: isThumbsUp
+    },
+    {
+        id: GESTURES.NO,
+        label: 'Thumbs Down',
+        icon: '👎',
+        detect: isThumbsDown
+    },
+    {
+        id: GESTURES.OK,
+        label: 'OK',
+        icon: '👌',
+        detect: ({ extended, pinch }) => {
+            const { maxPinch, minExtended } = CONFIG.gestureThresholds.ok;
+            return pinch <= maxPinch
+                && extended.slice(1).filter(Boolean).length >= minExtended;
+        }
+    },
+    {
+        id: GESTURES.PALM,
+        label: 'Open Palm',
+        icon: '✋',
+        // Open hand held still (a moving one is a wave)
+        detect: ({ extendedCount, thumbSpread, palmFacing }, history) => {
+            const { minExtended, minThumbSpread, minFacing, stillMs, maxMotion } = CONFIG.gestureThresholds.openPalm;
+            if (extendedCount < minExtended || thumbSpread < minThumbSpread) return false;
+            if (minFacing !== null && palmFacing < minFacing) return false;
+
+            const samples = recent(history, stillMs);
+            const xs = samples.map(sample => sample.x);
+            return samples.length > 0
+                && history[history.length - 1].t - history[0].t >= stillMs
+                && (Math.max(...xs) - Math.min(...xs)) / samples[0].palmSize <= maxMotion;
+        }
+    }
+];
+
+class GestureClassifiers {
+    constructor() {
+        this.classifiers = [];
+        this.history = [];
+        BUILT_IN_CLASSIFIERS.forEach(classifier => this.register(classifier));
+    }
+
+    /**
+     * Add a classifier (replaces one with the same id)
+     * @param {Object} classifier - { id, label, icon, holdMs, hands, detect(features, history, other) }
+     * @param {Object} options - { before: id } to match ahead of another classifier
+     */
+    register(classifier, { before = null } = {}) {
+        this.unregister(classifier.id);
+
+        const index = before ? this.classifiers.findIndex(c => c.id === before) : -1;
+        if (index >= 0) {
+            this.classifiers.splice(index, 0, classifier);
+        } else {
+            this.classifiers.push(classifier);
+        }
+    }
+
+    /**
+     * Remove a classifier
+     */
+    unregister(id) {
+        this.classifiers = this.classifiers.filter(classifier => classifier.id !== id);
+    }
+
+    /**
+     * Get a classifier by gesture id
+     */
+    get(id) {
+        return this.classifiers.find(classifier => classifier.id === id) || null;
+    }
+
+    /**
+     * Time a gesture must be held before it is confirmed
+     */
+    getHoldDuration(id) {
+        const holdMs = this.get(id)?.holdMs;
+        const value = typeof holdMs === 'function' ? holdMs() : holdMs;
+        return value ?? CONFIG.gestureHoldDuration;
+    }
+
+    /**
+     * Classify the visible hands (adds the responding hand to the motion history)
+     * @param {Array} hands - { landmarks, handedness, aspect }, responding hand first
+     * @param {number} now - Frame time
+     * @returns {Object} { gesture, features, other } - other: second hand's measurements or null
+     */
+    classify(hands, now = Date.now()) {
+        const [features, other = null] = hands.slice(0, 2).map(hand => measureHand(hand.landmarks, hand));
+
+        this.history.push({ t: now, x: features.x, palmSize: features.palmSize, extendedCount: features.extendedCount });
+        const keepMs = Math.max(CONFIG.gestureThresholds.wave.windowMs, CONFIG.gestureThresholds.openPalm.stillMs);
+        while (now - this.history[0].t > keepMs) {
+            this.history.shift();
+        }
+
+        const match = this.classifiers.find(classifier => {
+            if (classifier.hands === 2 && !other) return false;
+            try {
+                return classifier.detect(features, this.history, other);
+            } catch (error) {
+                console.warn(`Gesture classifier "${classifier.id}" failed:`, error);
+                return false;
+            }
+        });
+
+        return { gesture: match ? match.id : null, features, other };
+    }
+
+    /**
+     * Forget the motion history (hand lost or another hand responding)
+     */
+    reset() {
+        this.history = [];
+    }
+}
+
+// Export singleton instance
+export const gestureClassifiers = new GestureClassifiers();
+export default gestureClassifiers;
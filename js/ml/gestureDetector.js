@@ -1,16 +1,63 @@
 /**
  * Gesture Detector Module
- * Handles MediaPipe Hands for gesture recognition (thumbs up/down)
+ * Handles MediaPipe Hands for gesture recognition
+ * (poses are classified by ml/gestureClassifiers.js)
+ *
+ * Up to CONFIG.handsMaxNumHands hands are tracked. Each gets a tracking id
+ * that follows it from frame to frame, and one of them is the responding hand
+ * (CONFIG.respondingHandPolicy) whose gestures count. It stays responding
+ * while it is in view, so a second hand entering the frame doesn't take over.
+ * appState 'hands' lists every hand; 'handLandmarks' / 'handedness' are the
+ * responding hand's.
  */
 
-import { CONFIG, GESTURES } from '../config/config.js';
+import { CONFIG } from '../config/config.js';
 import { appState } from '../core/state.js';
 import { EventBus } from '../core/eventBus.js';
+import { vendorLoader } from '../core/vendorLoader.js';
+import { gestureClassifiers } from './gestureClassifiers.js';
+
+// Wrist and finger MCPs - their mean is the palm centre
+const PALM_POINTS = [0, 5, 9, 13, 17];
+
+/**
+ * Palm centre in frame heights
+ */
+function getPalmCenter(landmarks, aspect) {
+    const sum = PALM_POINTS.reduce((acc, i) => ({ x: acc.x + landmarks[i].x, y: acc.y + landmarks[i].y }), { x: 0, y: 0 });
+    return { x: sum.x / PALM_POINTS.length * aspect, y: sum.y / PALM_POINTS.length };
+}
+
+/**
+ * Score of a hand under a responding hand policy (higher wins)
+ */
+function getPolicyScore(hand, policy, aspect) {
+    const { landmarks } = hand;
+
+    if (policy === 'central') {
+        return -Math.hypot(hand.center.x - aspect / 2, hand.center.y - 0.5);
+    }
+    if (policy === 'largest') {
+        const xs = landmarks.map(l => l.x * aspect);
+        const ys = landmarks.map(l => l.y);
+        return (Math.max(...xs) - Math.min(...xs)) * (Math.max(...ys) - Math.min(...ys));
+    }
+    // 'nearest' - wrist → middle MCP doesn't change with the finger pose
+    const wrist = landmarks[0];
+    const middle = landmarks[9];
+    return Math.hypot((middle.x - wrist.x) * aspect, middle.y - wrist.y, (middle.z - wrist.z) * aspect);
+}
 
 class GestureDetector {
     constructor() {
         this.hands = null;
         this.isInitialized = false;
+        this.tracks = [];                   // { id, center, lastSeen } of recently seen hands
+        this.nextHandId = 1;
+        this.classifiedHandId = null;       // Hand the motion history belongs to
+        this.confirmedHoldStart = null;     // Hold that was already confirmed
+        this.lastConfirmedAt = 0;
+        this.aspect = 1;                    // Width / height of the frames sent
     }
 
     /**
@@ -20,14 +67,14 @@ class GestureDetector {
         try {
             console.log('Initializing MediaPipe Hands...');
 
+            // wasm, tflite and graph files sit next to hands.js
+            const filesURL = vendorLoader.getBaseURL('hands');
             this.hands = new Hands({
-                locateFile: (file) => {
-                    return `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`;
-                }
+                locateFile: (file) => `${filesURL}${file}`
             });
 
             this.hands.setOptions({
-                maxNumHands: 1,
+                maxNumHands: CONFIG.handsMaxNumHands,
                 modelComplexity: CONFIG.handsModelComplexity,
                 minDetectionConfidence: CONFIG.handsMinDetectionConfidence,
                 minTrackingConfidence: CONFIG.handsMinTrackingConfidence
@@ -53,10 +100,25 @@ class GestureDetector {
      * Callback when MediaPipe Hands processes a frame
      */
     onResults(results) {
-        if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
-            appState.set('handLandmarks', results.multiHandLandmarks[0]);
-            appState.set('handedness', results.multiHandedness?.[0]?.label || null);
-            EventBus.emit('gesture:handDetected', { landmarks: results.multiHandLandmarks[0] });
+        const now = Date.now();
+        const hands = (results.multiHandLandmarks || []).map((landmarks, i) => ({
+            id: null,
+            landmarks,
+            handedness: results.multiHandedness?.[i]?.label || null,
+            score: results.multiHandedness?.[i]?.score ?? null,
+            center: getPalmCenter(landmarks, this.aspect)
+        }));
+
+        this.assignTrackingIds(hands, now);
+        const responding = this.pickRespondingHand(hands);
+
+        appState.set('hands', hands);
+        appState.set('respondingHandId', responding?.id ?? null);
+
+        if (responding) {
+            appState.set('handLandmarks', responding.landmarks);
+            appState.set('handedness', responding.handedness);
+            EventBus.emit('gesture:handDetected', { landmarks: responding.landmarks, hand: responding, hands });
         } else {
             appState.set('handLandmarks', null);
             appState.set('handedness', null);
@@ -64,12 +126,62 @@ class GestureDetector {
         }
     }
 
+    /**
+     * Give each hand the id of the nearest hand of the previous frames
+     * (closest pairs first), or a new id if none is close enough
+     */
+    assignTrackingIds(hands, now) {
+        this.tracks = this.tracks.filter(track => now - track.lastSeen <= CONFIG.handTrackingGraceMs);
+
+        const pairs = [];
+        hands.forEach(hand => this.tracks.forEach(track => {
+            const distance = Math.hypot(hand.center.x - track.center.x, hand.center.y - track.center.y);
+            if (distance <= CONFIG.handTrackingMaxJump) pairs.push({ hand, track, distance });
+        }));
+        pairs.sort((a, b) => a.distance - b.distance);
+
+        const matched = new Set();
+        pairs.forEach(({ hand, track }) => {
+            if (hand.id !== null || matched.has(track)) return;
+            hand.id = track.id;
+            matched.add(track);
+        });
+
+        hands.forEach(hand => {
+            if (hand.id === null) {
+                hand.id = this.nextHandId++;
+                this.tracks.push({ id: hand.id, center: hand.center, lastSeen: now });
+            }
+            const track = this.tracks.find(t => t.id === hand.id);
+            track.center = hand.center;
+            track.lastSeen = now;
+        });
+    }
+
+    /**
+     * Keep the responding hand while it's visible, otherwise pick one by policy
+     */
+    pickRespondingHand(hands) {
+        const current = hands.find(hand => hand.id === appState.get('respondingHandId'));
+        if (current || hands.length === 0) return current || null;
+
+        const policy = CONFIG.respondingHandPolicy;
+        return hands.reduce((best, hand) =>
+            getPolicyScore(hand, policy, this.aspect) > getPolicyScore(best, policy, this.aspect) ? hand : best
+        );
+    }
+
     /**
      * Send a frame to MediaPipe for processing
      */
     async processFrame(canvas) {
         if (!this.hands || !canvas) return;
 
+        // Landmarks are normalized per axis; geometry needs the frame shape
+        if (canvas.width && canvas.height) {
+            this.aspect = canvas.width / canvas.height;
+        }
+
         try {
             await this.hands.send({ image: canvas });
         } catch (error) {
@@ -78,69 +190,50 @@ class GestureDetector {
     }
 
     /**
-     * Detect thumbs up/down from hand landmarks using geometry
-     * 
-     * MediaPipe landmark indices:
-     *   0=wrist, 4=thumb_tip
-     *   5=index_mcp, 6=index_pip, 8=index_tip
-     *   9=middle_mcp, 10=middle_pip, 12=middle_tip
-     *   13=ring_mcp, 14=ring_pip, 16=ring_tip
-     *   17=pinky_mcp, 18=pinky_pip, 20=pinky_tip
+     * Classify the responding hand's pose, with the other hand for two-hand
+     * gestures (see ml/gestureClassifiers.js)
+     * @returns {Object} { gesture, features } - Gesture id or null, hand measurements
      */
-    detectGesture() {
-        const landmarks = appState.get('handLandmarks');
-
-        if (!landmarks || landmarks.length !== 21) {
-            appState.set('debugGeo', { thumbVertical: 0, fingersCurled: false, curledCount: 0 });
-            return { gesture: null };
+    detectGesture(now = Date.now()) {
+        const hands = (appState.get('hands') || []).filter(hand => hand.landmarks?.length === 21);
+        const respondingId = appState.get('respondingHandId');
+        const responding = hands.find(hand => hand.id === respondingId);
+
+        if (!responding) {
+            gestureClassifiers.reset();
+            this.classifiedHandId = null;
+            appState.set('debugGeo', null);
+            return { gesture: null, features: null };
         }
 
-        const thumbTip = landmarks[4];
-        const palmCentre = landmarks[9]; // middle finger MCP
-
-        const indexPIP = landmarks[6];
-        const indexTip = landmarks[8];
-        const middlePIP = landmarks[10];
-        const middleTip = landmarks[12];
-        const ringPIP = landmarks[14];
-        const ringTip = landmarks[16];
-        const pinkyPIP = landmarks[18];
-        const pinkyTip = landmarks[20];
-
-        // Positive = thumb ABOVE palm centre (up), negative = BELOW (down)
-        const thumbVertical = palmCentre.y - thumbTip.y;
-
-        // Finger curl: tip is below (larger y) its PIP joint
-        const indexCurled = indexTip.y > indexPIP.y;
-        const middleCurled = middleTip.y > middlePIP.y;
-        const ringCurled = ringTip.y > ringPIP.y;
-        const pinkyCurled = pinkyTip.y > pinkyPIP.y;
+        // Motion history belongs to one hand
+        if (responding.id !== this.classifiedHandId) {
+            gestureClassifiers.reset();
+            this.resetHold();
+            this.classifiedHandId = responding.id;
+        }
 
-        const curledCount = [indexCurled, middleCurled, ringCurled, pinkyCurled]
-            .filter(Boolean).length;
-        const fingersCurled = curledCount >= 3;
+        const ordered = [responding, ...hands.filter(hand => hand !== responding)];
+        const { gesture, features } = gestureClassifiers.classify(
+            ordered.map(({ landmarks, handedness }) => ({ landmarks, handedness, aspect: this.aspect })),
+            now
+        );
 
         // Store debug info
-        appState.set('debugGeo', { thumbVertical, fingersCurled, curledCount });
+        appState.set('debugGeo', features);
 
-        // THUMBS UP: thumb well above palm centre + fingers curled
-        if (thumbVertical > CONFIG.thumbExtensionThreshold && fingersCurled) {
-            return { gesture: GESTURES.YES };
-        }
-
-        // THUMBS DOWN: thumb well below palm centre + fingers curled
-        if (thumbVertical < -CONFIG.thumbExtensionThreshold && fingersCurled) {
-            return { gesture: GESTURES.NO };
-        }
-
-        return { gesture: null };
+        return { gesture, features };
     }
 
     /**
      * Handle gesture result with hold validation
+     * A hold is confirmed once: the gesture has to change (or the hand leave)
+     * before it counts again, and nothing counts during gestureCooldownMs.
+     * @returns {Object|null} { gesture, holdDuration } on the confirming frame,
+     *                        with `pending` while held and `handled` after
      */
-    handleGestureResult(result) {
-        if (appState.get('confirmedGesture')) return;
+    handleGestureResult(result, now = Date.now()) {
+        if (appState.get('confirmedGesture')) return null;
 
         const { gesture } = result;
 
@@ -153,17 +246,25 @@ class GestureDetector {
         // Gesture changed - reset hold timer
         if (gesture !== appState.get('currentGesture')) {
             appState.set('currentGesture', gesture);
-            appState.set('gestureHoldStart', Date.now());
+            appState.set('gestureHoldStart', now);
             console.log(`Gesture detected: ${gesture}, starting hold`);
             return null;
         }
 
         // Calculate hold duration
-        const holdDuration = Date.now() - appState.get('gestureHoldStart');
+        const holdStart = appState.get('gestureHoldStart');
+        const holdDuration = now - holdStart;
+
+        if (this.confirmedHoldStart === holdStart) {
+            return { gesture, holdDuration, handled: true };
+        }
 
         // Check if held long enough
-        if (holdDuration >= CONFIG.gestureHoldDuration) {
+        if (holdDuration >= gestureClassifiers.getHoldDuration(gesture)
+            && now - this.lastConfirmedAt >= CONFIG.gestureCooldownMs) {
             console.log(`Gesture confirmed: ${gesture} after ${holdDuration}ms`);
+            this.confirmedHoldStart = holdStart;
+            this.lastConfirmedAt = now;
             return { gesture, holdDuration };
         }
 
@@ -178,6 +279,15 @@ class GestureDetector {
         appState.set('gestureHoldStart', null);
     }
 
+    /**
+     * Treat the gesture held now as handled (flow state changed): it has to
+     * change, or the hand leave, before it counts again
+     */
+    consumeHold() {
+        const holdStart = appState.get('gestureHoldStart');
+        if (holdStart !== null) this.confirmedHoldStart = holdStart;
+    }
+
     /**
      * Check if detector is ready
      */
@@ -0,0 +1,274 @@
+/**
+ * Gesture Sequences Module
+ * Temporal layer over the hand stream: palm motions and sequences of steps
+ *
+ * Every frame, update() turns the classified pose and the palm position into
+ * steps:
+ *   pose   - a gesture that has been seen for CONFIG.sequencePoseMs (and went
+ *            away before it counts again)
+ *   motion - a swipe or circle of the palm (CONFIG.gestureMotions)
+ * Steps are matched against SEQUENCE_PATTERNS (config/sequences.js). A pattern
+ * in flight shows on the progress indicator ('gesture:sequenceProgress'), a
+ * completed one emits 'gesture:sequence'.
+ */
+
+import { CONFIG } from '../config/config.js';
+import { SEQUENCE_PATTERNS, MOTIONS } from '../config/sequences.js';
+import { EventBus } from '../core/eventBus.js';
+import { appState } from '../core/state.js';
+
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+/**
+ * Swipe over the path, if any: 'swipe_left' | 'swipe_right' | 'swipe_up' | 'swipe_down'
+ * Left/right are as seen on a mirrored preview (your left).
+ */
+function detectSwipe(path) {
+    const { maxMs, minDistance, maxSlope, minStraightness } = CONFIG.gestureMotions.swipe;
+    const last = path[path.length - 1];
+
+    // Try the longest stretch within maxMs first
+    for (const first of path.filter(point => last.t - point.t <= maxMs)) {
+        const palmSize = (first.palmSize + last.palmSize) / 2;
+        const dx = (last.x - first.x) / palmSize;
+        const dy = (last.y - first.y) / palmSize;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        if (distance < minDistance || Math.min(Math.abs(dx), Math.abs(dy)) > distance * maxSlope) continue;
+
+        const stretch = path.slice(path.indexOf(first));
+        let pathLength = 0;
+        for (let i = 1; i < stretch.length; i++) {
+            pathLength += Math.hypot(stretch[i].x - stretch[i - 1].x, stretch[i].y - stretch[i - 1].y) / palmSize;
+        }
+        if (Math.hypot(dx, dy) < pathLength * minStraightness) continue;
+
+        if (Math.abs(dx) >= Math.abs(dy)) {
+            // Image x grows to the right; without mirroring, your left is on the right
+            const towardsImageLeft = dx < 0;
+            return towardsImageLeft === CONFIG.flipWebcam ? MOTIONS.SWIPE_LEFT : MOTIONS.SWIPE_RIGHT;
+        }
+        return dy < 0 ? MOTIONS.SWIPE_UP : MOTIONS.SWIPE_DOWN;
+    }
+
+    return null;
+}
+
+/**
+ * Circle over the path: the palm turned around the centre of its path
+ */
+function detectCircle(path) {
+    const { maxMs, minTurn, minRadius } = CONFIG.gestureMotions.circle;
+    const last = path[path.length - 1];
+    const points = path.filter(point => last.t - point.t <= maxMs);
+    if (points.length < 8) return null;
+
+    const cx = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+    const cy = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+    const palmSize = points.reduce((sum, p) => sum + p.palmSize, 0) / points.length;
+    const radius = points.reduce((sum, p) => sum + Math.hypot(p.x - cx, p.y - cy), 0) / points.length / palmSize;
+    if (radius < minRadius) return null;
+
+    let turn = 0;
+    for (let i = 1; i < points.length; i++) {
+        let delta = Math.atan2(points[i].y - cy, points[i].x - cx) - Math.atan2(points[i - 1].y - cy, points[i - 1].x - cx);
+        if (delta > Math.PI) delta -= 2 * Math.PI;
+        if (delta < -Math.PI) delta += 2 * Math.PI;
+        turn += delta;
+    }
+
+    return Math.abs(toDegrees(turn)) >= minTurn ? MOTIONS.CIRCLE : null;
+}
+
+class GestureSequences {
+    constructor() {
+        this.patterns = SEQUENCE_PATTERNS;
+        this.path = [];                 // Palm { t, x, y, palmSize }, oldest first
+        this.candidate = { pose: null, since: 0 };
+        this.stablePose = null;         // Pose seen for sequencePoseMs
+        this.progress = new Map();      // Pattern id → { step, startedAt, lastStepAt }
+        this.completed = null;          // { pattern, until } - kept on the indicator for a moment
+        this.shownKey = null;           // Last published progress
+    }
+
+    /**
+     * Feed one frame
+     * @param {Object} result - detectGesture() result { gesture, features } (features null without a hand)
+     * @param {number} now - Frame time
+     * @returns {Object|null} Pattern completed on this frame
+     */
+    update({ gesture = null, features = null } = {}, now = Date.now()) {
+        this.expire(now);
+
+        const steps = [];
+        const pose = this.updatePose(features ? gesture : null, now);
+        if (pose) steps.push({ pose });
+
+        const motion = this.updatePath(features, now);
+        if (motion) steps.push({ motion });
+
+        let completed = null;
+        for (const step of steps) {
+            completed = this.advance(step, now) || completed;
+        }
+
+        this.showProgress(now);
+        return completed;
+    }
+
+    /**
+     * Debounce the classified pose
+     * @returns {string|null} Pose that just became stable
+     */
+    updatePose(gesture, now) {
+        if (gesture !== this.candidate.pose) {
+            this.candidate = { pose: gesture, since: now };
+            return null;
+        }
+        if (gesture === this.stablePose || now - this.candidate.since < CONFIG.sequencePoseMs) return null;
+
+        this.stablePose = gesture;
+        return gesture;
+    }
+
+    /**
+     * Track the palm and look for motions
+     * @returns {string|null} Motion completed on this frame
+     */
+    updatePath(features, now) {
+        if (!features) {
+            this.path = [];
+            return null;
+        }
+
+        this.path.push({ t: now, x: features.x, y: features.y, palmSize: features.palmSize });
+        const keepMs = Math.max(CONFIG.gestureMotions.swipe.maxMs, CONFIG.gestureMotions.circle.maxMs);
+        while (now - this.path[0].t > keepMs) {
+            this.path.shift();
+        }
+        if (this.path.length < 3) return null;
+
+        const motion = detectSwipe(this.path) || detectCircle(this.path);
+        if (motion) this.path = [];         // Each movement counts once
+        return motion;
+    }
+
+    /**
+     * Match a step against every pattern
+     * @returns {Object|null} Completed pattern
+     */
+    advance(step, now) {
+        const matches = (patternStep) =>
+            (step.pose && patternStep.pose === step.pose) || (step.motion && patternStep.motion === step.motion);
+
+        let completed = null;
+        for (const pattern of this.patterns) {
+            const current = this.progress.get(pattern.id);
+            let next = null;
+
+            if (current && matches(pattern.steps[current.step])) {
+                next = { ...current, step: current.step + 1, lastStepAt: now };
+            } else if (matches(pattern.steps[0])) {
+                next = { step: 1, startedAt: now, lastStepAt: now };
+            }
+
+            if (!next) {
+                this.progress.delete(pattern.id);
+            } else if (next.step >= pattern.steps.length) {
+                this.progress.delete(pattern.id);
+                completed = completed || pattern;
+            } else {
+                this.progress.set(pattern.id, next);
+            }
+        }
+
+        if (completed) {
+            // One pattern per movement - the others start over
+            this.progress.clear();
+            console.log(`Gesture sequence: ${completed.id}`);
+            this.completed = { pattern: completed, until: now + CONFIG.sequenceDoneMs };
+            EventBus.emit('gesture:sequence', { id: completed.id, pattern: completed, at: now });
+        }
+        return completed;
+    }
+
+    /**
+     * Drop patterns whose timing windows ran out
+     */
+    expire(now) {
+        for (const pattern of this.patterns) {
+            const current = this.progress.get(pattern.id);
+            if (!current) continue;
+
+            const gapExceeded = pattern.maxGapMs !== undefined && now - current.lastStepAt > pattern.maxGapMs;
+            const totalExceeded = pattern.withinMs !== undefined && now - current.startedAt > pattern.withinMs;
+            if (gapExceeded || totalExceeded) this.progress.delete(pattern.id);
+        }
+    }
+
+    /**
+     * Publish the most advanced pattern in flight (or the one just completed)
+     * as { id, label, icon, step, steps, done }
+     */
+    showProgress(now) {
+        let shown = null;
+
+        if (this.completed && now < this.completed.until) {
+            const { pattern } = this.completed;
+            shown = { pattern, step: pattern.steps.length, done: true };
+        } else {
+            this.completed = null;
+            for (const pattern of this.patterns) {
+                const current = this.progress.get(pattern.id);
+                if (current && (!shown || current.step / pattern.steps.length > shown.step / shown.pattern.steps.length)) {
+                    shown = { pattern, step: current.step, done: false };
+                }
+            }
+        }
+
+        const key = shown ? `${shown.pattern.id}:${shown.step}:${shown.done}` : null;
+        if (key === this.shownKey) return;
+        this.shownKey = key;
+
+        const progress = shown && {
+            id: shown.pattern.id,
+            label: shown.pattern.label,
+            icon: shown.pattern.icon,
+            step: shown.step,
+            steps: shown.pattern.steps.length,
+            done: shown.done
+        };
+        appState.set('sequenceProgress', progress);
+        EventBus.emit('gesture:sequenceProgress', { progress });
+    }
+
+    /**
+     * Start over for a new flow state: patterns in flight and the palm path are
+     * dropped, and the pose held now has to go away before it counts as a step
+     * (a completed pattern stays on the indicator)
+     */
+    restart() {
+        this.path = [];
+        this.progress.clear();
+        this.stablePose = this.candidate.pose;
+    }
+
+    /**
+     * Forget everything in flight (gesture listening stopped)
+     */
+    reset() {
+        this.path = [];
+        this.candidate = { pose: null, since: 0 };
+        this.stablePose = null;
+        this.progress.clear();
+        this.completed = null;
+        if (this.shownKey === null) return;
+
+        this.shownKey = null;
+        appState.set('sequenceProgress', null);
+        EventBus.emit('gesture:sequenceProgress', { progress: null });
+    }
+}
+
+// Export singleton instance
+export const gestureSequences = new GestureSequences();
+export default gestureSequences;
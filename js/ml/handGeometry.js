@@ -0,0 +1,168 @@
+/**
+ * Hand Geometry Module
+ * Rotation- and handedness-invariant measurements of a MediaPipe hand
+ *
+ * Landmarks are first made isotropic (x and z are in frame widths, y in frame
+ * heights) and then expressed in a hand-local frame:
+ *   origin - wrist
+ *   y      - wrist → middle finger MCP (towards the fingers)
+ *   x      - across the palm, towards the thumb side
+ *   z      - palm normal, out of the palm (uses the handedness label)
+ * with one palm size (wrist → middle MCP) as the unit. A pose measured this
+ * way is the same whether the hand is tilted, seen from the side, or the
+ * camera looks down at an angle.
+ *
+ * Finger curl is the sum of the flexion angles at the finger's joints
+ * (0° = straight), so it doesn't depend on the hand's orientation either.
+ * Only the "up"/"down" of thumbs up/down and pointing up is measured against
+ * the frame's vertical (the frame is already rotated by cameraRotation).
+ *
+ * MediaPipe landmark indices:
+ *   0=wrist
+ *   1-4=thumb (cmc, mcp, ip, tip)
+ *   5-8=index, 9-12=middle, 13-16=ring, 17-20=pinky (mcp, pip, dip, tip)
+ */
+
+import { CONFIG } from '../config/config.js';
+
+export const FINGER_NAMES = ['thumb', 'index', 'middle', 'ring', 'pinky'];
+
+// Joint chains from the wrist to each fingertip
+const CHAINS = [
+    [0, 1, 2, 3, 4],
+    [0, 5, 6, 7, 8],
+    [0, 9, 10, 11, 12],
+    [0, 13, 14, 15, 16],
+    [0, 17, 18, 19, 20]
+];
+
+const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const scale = (a, k) => ({ x: a.x * k, y: a.y * k, z: a.z * k });
+const length = (a) => Math.sqrt(dot(a, a));
+const normalize = (a) => scale(a, 1 / (length(a) || 1e-6));
+const cross = (a, b) => ({
+    x: a.y * b.z - a.z * b.y,
+    y: a.z * b.x - a.x * b.z,
+    z: a.x * b.y - a.y * b.x
+});
+
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+/**
+ * Angle between two vectors (degrees)
+ */
+const angleBetween = (a, b) => {
+    const cosine = dot(a, b) / ((length(a) * length(b)) || 1e-6);
+    return toDegrees(Math.acos(Math.max(-1, Math.min(1, cosine))));
+};
+
+/**
+ * Landmarks in isotropic units (frame heights)
+ * @param {number} aspect - Frame width / height
+ */
+function toPoints(landmarks, aspect) {
+    return landmarks.map(({ x, y, z = 0 }) => ({ x: x * aspect, y, z: z * aspect }));
+}
+
+/**
+ * Hand-local frame { origin, x, y, z, palmSize }
+ * @param {string|null} handedness - 'Left' | 'Right' as labelled by MediaPipe
+ */
+export function getHandFrame(points, handedness = null) {
+    const origin = points[0];
+    const palmSize = length(sub(points[9], origin)) || 1e-6;
+    const y = normalize(sub(points[9], origin));
+
+    // Across the palm (pinky MCP → index MCP), made orthogonal to y
+    const across = sub(points[5], points[17]);
+    const x = normalize(sub(across, scale(y, dot(across, y))));
+
+    // x × y points out of the palm of a hand labelled 'Left' and out of the
+    // back of one labelled 'Right'. The label describes the hand as it appears
+    // in the frame (mirrored or not), so it matches the geometry either way.
+    const chirality = handedness === 'Right' ? -1 : 1;
+    const z = scale(cross(x, y), chirality);
+
+    return { origin, x, y, z, palmSize };
+}
+
+/**
+ * Express points in the hand-local frame (palm sizes)
+ */
+export function toLocal(points, frame) {
+    return points.map(point => {
+        const v = sub(point, frame.origin);
+        return {
+            x: dot(v, frame.x) / frame.palmSize,
+            y: dot(v, frame.y) / frame.palmSize,
+            z: dot(v, frame.z) / frame.palmSize
+        };
+    });
+}
+
+/**
+ * Flexion of a finger: sum of the bend at each joint (degrees, 0 = straight)
+ * The thumb's first bone (wrist → CMC) isn't counted: it is never straight.
+ */
+function getFlexion(points, chain, skipFirst) {
+    let total = 0;
+    for (let i = skipFirst ? 2 : 1; i < chain.length - 1; i++) {
+        const before = sub(points[chain[i]], points[chain[i - 1]]);
+        const after = sub(points[chain[i + 1]], points[chain[i]]);
+        total += angleBetween(before, after);
+    }
+    return total;
+}
+
+/**
+ * Direction of a bone in the frame, as an angle from straight up (degrees)
+ * 0 = pointing up, 180 = pointing down
+ */
+function getTiltFromUp(from, to) {
+    const direction = sub(to, from);
+    return angleBetween({ x: direction.x, y: direction.y, z: 0 }, { x: 0, y: -1, z: 0 });
+}
+
+/**
+ * Measure a hand pose
+ * @param {Array} landmarks - 21 MediaPipe hand landmarks (normalized x, y, z)
+ * @param {Object} options - { handedness: 'Left' | 'Right' | null, aspect: frame width / height }
+ * @returns {Object} Features used by the gesture classifiers (and the debug panel)
+ */
+export function measureHand(landmarks, { handedness = null, aspect = 1 } = {}) {
+    const points = toPoints(landmarks, aspect);
+    const frame = getHandFrame(points, handedness);
+    const local = toLocal(points, frame);
+
+    // Flexion per finger (thumb, index, middle, ring, pinky)
+    const angles = CHAINS.map((chain, i) => getFlexion(points, chain, i === 0));
+
+    // Index..pinky: curled / extended (in between counts as neither)
+    const fingerAngles = angles.slice(1);
+    const curled = fingerAngles.map(angle => angle >= CONFIG.fingerCurledAngle);
+    const extended = fingerAngles.map(angle => angle <= CONFIG.fingerExtendedAngle);
+    const curledCount = curled.filter(Boolean).length;
+
+    const distance = (a, b) => length(sub(points[a], points[b])) / frame.palmSize;
+
+    return {
+        handedness,
+        palmSize: frame.palmSize,
+        local,                                  // 21 points in the hand-local frame
+        angles,                                 // Flexion per finger (degrees)
+        curled,
+        extended,
+        curledCount,
+        extendedCount: extended.filter(Boolean).length,
+        fingersCurled: curledCount >= 3,
+        thumbExtended: angles[0] <= CONFIG.thumbExtendedAngle,
+        thumbTilt: getTiltFromUp(points[2], points[4]),     // Thumb MCP → tip
+        indexTilt: getTiltFromUp(points[5], points[8]),     // Index MCP → tip
+        thumbSpread: distance(4, 5),                        // Thumb tip ↔ index MCP
+        pinch: distance(4, 8),                              // Thumb tip ↔ index tip
+        palmFacing: -frame.z.z,                             // 1 = palm towards the camera
+        x: points[9].x,                                     // Palm position (for motion)
+        y: points[9].y
+    };
+}
@@ -0,0 +1,180 @@
+/**
+ * Inference Client Module
+ * Main-thread side of the inference worker (see inferenceWorker.js)
+ *
+ * A worker that crashes after startup (error, out of memory, unreadable
+ * message) is terminated, its pending predictions are rejected and
+ * 'ml:workerFailed' is emitted so detection can carry on in-thread.
+ */
+
+import { CONFIG } from '../config/config.js';
+import { EventBus } from '../core/eventBus.js';
+import { vendorLoader } from '../core/vendorLoader.js';
+
+class InferenceClient {
+    constructor() {
+        this.worker = null;
+        this.pending = new Map();
+        this.nextId = 1;
+        this.models = {};
+        this.isReady = false;
+    }
+
+    /**
+     * Check if the browser can run inference in a worker
+     */
+    isSupported() {
+        return typeof Worker !== 'undefined'
+            && typeof OffscreenCanvas !== 'undefined'
+            && typeof createImageBitmap === 'function';
+    }
+
+    /**
+     * Start the worker and load models
+     * @param {Object} models - { name: { modelURL, metadataURL } } (relative URLs allowed)
+     *                          or { name: { artifacts, metadata } } for a stored model
+     * @returns {Promise<Object>} Loaded model info ({ name: { labels, imageSize } })
+     */
+    async initialize(models) {
+        this.terminate();
+
+        const absolute = (url) => new URL(url, document.baseURI).href;
+        const modelConfigs = {};
+        Object.entries(models).forEach(([name, config]) => {
+            modelConfigs[name] = config.artifacts
+                ? config
+                : { modelURL: absolute(config.modelURL), metadataURL: absolute(config.metadataURL) };
+        });
+
+        this.worker = new Worker(new URL('./inferenceWorker.js', import.meta.url));
+
+        const ready = new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                reject(new Error('Inference worker init timed out'));
+            }, CONFIG.workerInitTimeoutMs);
+
+            this.worker.onmessage = (event) => {
+                const message = event.data;
+
+                if (message.type === 'ready') {
+                    clearTimeout(timeout);
+                    resolve(message);
+                } else if (message.type === 'error' && !message.id) {
+                    clearTimeout(timeout);
+                    reject(new Error(message.message));
+                } else {
+                    this.handleMessage(message);
+                }
+            };
+
+            this.worker.onerror = (event) => {
+                clearTimeout(timeout);
+                reject(new Error(event.message || 'Inference worker failed'));
+            };
+        });
+
+        this.worker.postMessage({
+            type: 'init',
+            tfjsURL: vendorLoader.getURL('tfjs'),
+            models: modelConfigs
+        });
+
+        try {
+            const { backend, models: info } = await ready;
+            this.worker.onerror = (event) => this.fail(new Error(event.message || 'Inference worker crashed'));
+            this.worker.onmessageerror = () => this.fail(new Error('Inference worker message could not be read'));
+            this.models = info;
+            this.isReady = true;
+            console.log(`Inference worker ready (backend: ${backend})`);
+            EventBus.emit('ml:workerReady', { backend, models: info });
+            return info;
+        } catch (error) {
+            this.terminate();
+            throw error;
+        }
+    }
+
+    /**
+     * Route prediction replies to their promises
+     */
+    handleMessage(message) {
+        const request = this.pending.get(message.id);
+        if (!request) return;
+        this.pending.delete(message.id);
+
+        if (message.type === 'prediction') {
+            request.resolve(message.predictions);
+        } else {
+            request.reject(new Error(message.message));
+        }
+    }
+
+    /**
+     * Run a model on a canvas frame
+     * @param {string} model - Model name
+     * @param {HTMLCanvasElement} canvas - Source frame
+     * @returns {Promise<Array>} Predictions ({ className, probability })
+     */
+    async predict(model, canvas) {
+        if (!this.isReady) return null;
+
+        const bitmap = await createImageBitmap(canvas);
+        const id = this.nextId++;
+
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new Error('Inference worker prediction timed out'));
+            }, CONFIG.workerPredictTimeoutMs);
+
+            this.pending.set(id, {
+                resolve: (predictions) => {
+                    clearTimeout(timeout);
+                    resolve(predictions);
+                },
+                reject: (error) => {
+                    clearTimeout(timeout);
+                    reject(error);
+                }
+            });
+            this.worker.postMessage({ type: 'predict', id, model, bitmap }, [bitmap]);
+        });
+    }
+
+    /**
+     * The worker stopped working after startup - stop it and tell the detector
+     */
+    fail(error) {
+        if (!this.worker) return;
+
+        console.error('Inference worker failed:', error);
+        this.terminate();
+        EventBus.emit('ml:workerFailed', { error });
+    }
+
+    /**
+     * Get the labels of a loaded model
+     */
+    getLabels(model) {
+        return this.models[model]?.labels || [];
+    }
+
+    /**
+     * Stop the worker and reject pending requests
+     */
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        this.pending.forEach(request => request.reject(new Error('Inference worker terminated')));
+        this.pending.clear();
+        this.models = {};
+        this.isReady = false;
+    }
+}
+
+// Export singleton instance
+export const inferenceClient = new InferenceClient();
+export default inferenceClient;
@@ -0,0 +1,132 @@
+/**
+ * Inference Scheduler Module
+ * Decides when the state classifier runs
+ *
+ * - Rate limit: target rate per flow state (CONFIG.inferenceRates), full rate
+ *   while gesture detection is active (or CONFIG.gestureInferenceRate if set)
+ * - Motion gate: a small grayscale sample of the frame is compared with the one
+ *   of the last classified frame; a static scene skips the classifier
+ * - Motion boost: movement in a slow state raises the rate for a while so a
+ *   person arriving is picked up quickly
+ */
+
+import { CONFIG } from '../config/config.js';
+import { sampleFrame, frameDifference } from './frameUtils.js';
+
+class InferenceScheduler {
+    constructor() {
+        this.lastCheck = 0;
+        this.lastInference = 0;
+        this.reference = null;      // Sample of the last classified frame
+        this.pending = null;        // Sample of the frame being classified
+        this.boostUntil = 0;
+        this.lastDifference = 0;
+
+        this.counters = { inferences: 0, skipped: 0 };
+        this.stats = { inferenceRate: 0, skipRate: 0, targetRate: 0, motion: 0 };
+    }
+
+    /**
+     * Target classifier rate (Hz)
+     * @param {string} flowState - Current flow state
+     * @param {boolean} gestures - Gesture detection active (full rate, or CONFIG.gestureInferenceRate)
+     */
+    getTargetRate(flowState, gestures = false, now = Date.now()) {
+        // Gesture detection runs at its own rate (every frame unless capped)
+        if (gestures) return CONFIG.gestureInferenceRate ?? Infinity;
+
+        const rate = CONFIG.inferenceRates[flowState] ?? CONFIG.defaultInferenceRate;
+        return now < this.boostUntil ? Math.max(rate, CONFIG.motionBoostRate) : rate;
+    }
+
+    /**
+     * Time left until the next frame should be checked
+     * @returns {number} Delay in ms (0 = due now)
+     */
+    getDelay(now, flowState, gestures = false) {
+        const rate = this.getTargetRate(flowState, gestures, now);
+        this.stats.targetRate = rate;
+
+        if (rate === Infinity) return 0;
+        return Math.max(0, this.lastCheck + 1000 / rate - now);
+    }
+
+    /**
+     * Check if a frame is due and claim the slot
+     */
+    shouldCheck(now, flowState, gestures = false) {
+        if (this.getDelay(now, flowState, gestures) > 0) return false;
+
+        this.lastCheck = now;
+        return true;
+    }
+
+    /**
+     * Motion gate - check if the frame changed enough to be classified
+     * @param {HTMLCanvasElement} canvas - Current webcam frame
+     */
+    hasMotion(canvas, now) {
+        if (!CONFIG.motionGateEnabled || !canvas) return true;
+
+        this.pending = sampleFrame(canvas, CONFIG.motionSampleWidth, CONFIG.motionSampleHeight);
+        this.lastDifference = frameDifference(this.pending, this.reference);
+
+        if (this.lastDifference >= CONFIG.motionThreshold) {
+            this.boostUntil = now + CONFIG.motionBoostMs;
+            return true;
+        }
+
+        // Classify a static scene now and then anyway (lighting drift, missed changes)
+        if (now - this.lastInference >= CONFIG.motionGateMaxSkipMs) {
+            return true;
+        }
+
+        this.counters.skipped++;
+        return false;
+    }
+
+    /**
+     * Remember the classified frame as the new motion reference
+     */
+    recordInference(now) {
+        this.lastInference = now;
+        this.counters.inferences++;
+
+        if (this.pending) {
+            this.reference = this.pending;
+            this.pending = null;
+        }
+    }
+
+    /**
+     * Turn counters into per-second rates (call once per second)
+     * @param {number} elapsed - Time since the last call (ms)
+     */
+    updateStats(elapsed) {
+        const seconds = Math.max(elapsed, 1) / 1000;
+
+        this.stats.inferenceRate = this.counters.inferences / seconds;
+        this.stats.skipRate = this.counters.skipped / seconds;
+        this.stats.motion = this.lastDifference;
+        this.counters = { inferences: 0, skipped: 0 };
+
+        return this.stats;
+    }
+
+    /**
+     * Forget timing and motion reference (detection restarted)
+     */
+    reset() {
+        this.lastCheck = 0;
+        this.lastInference = 0;
+        this.reference = null;
+        this.pending = null;
+        this.boostUntil = 0;
+        this.lastDifference = 0;
+        this.counters = { inferences: 0, skipped: 0 };
+    }
+}
+
+// Export singleton instance
+export const inferenceScheduler = new InferenceScheduler();
+export default inferenceScheduler;
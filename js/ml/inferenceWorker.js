@@ -0,0 +1,116 @@
+/**
+ * Inference Worker
+ * Runs Teachable Machine image models off the main thread
+ *
+ * Classic worker (loaded with importScripts) so the UMD build of tfjs can be used.
+ * Frames arrive as ImageBitmaps and are preprocessed like tmImage does:
+ * centre crop → resize to the model's image size → normalize to [-1, 1].
+ *
+ * Messages in:
+ *   { type: 'init', tfjsURL, models: { name: { modelURL, metadataURL } | { artifacts, metadata } } }
+ *   { type: 'predict', id, model, bitmap }
+ * Messages out:
+ *   { type: 'ready', backend, models: { name: { labels, imageSize } } }
+ *   { type: 'prediction', id, predictions: [{ className, probability }] }
+ *   { type: 'error', id?, message }
+ */
+
+/* global tf */
+
+const models = {};
+let canvas = null;
+let context = null;
+
+/**
+ * Load tfjs and the requested models
+ */
+async function init({ tfjsURL, models: modelConfigs }) {
+    importScripts(tfjsURL);
+    await tf.ready();
+
+    for (const [name, config] of Object.entries(modelConfigs)) {
+        // Stored models (teach mode) arrive as artifacts instead of URLs
+        const [model, metadata] = config.artifacts
+            ? [await tf.loadLayersModel(tf.io.fromMemory(config.artifacts)), config.metadata]
+            : await Promise.all([
+                tf.loadLayersModel(config.modelURL),
+                fetch(config.metadataURL).then(response => response.json())
+            ]);
+
+        models[name] = {
+            model,
+            labels: metadata.labels,
+            imageSize: metadata.imageSize || 224
+        };
+    }
+
+    const info = {};
+    Object.entries(models).forEach(([name, { labels, imageSize }]) => {
+        info[name] = { labels, imageSize };
+    });
+
+    self.postMessage({ type: 'ready', backend: tf.getBackend(), models: info });
+}
+
+/**
+ * Centre-crop and scale a frame to a square of the model's size
+ */
+function cropToSquare(bitmap, size) {
+    if (!canvas || canvas.width !== size) {
+        canvas = new OffscreenCanvas(size, size);
+        context = canvas.getContext('2d');
+    }
+
+    const min = Math.min(bitmap.width, bitmap.height);
+    const scale = size / min;
+    const width = bitmap.width * scale;
+    const height = bitmap.height * scale;
+
+    context.drawImage(bitmap, (size - width) / 2, (size - height) / 2, width, height);
+    return context.getImageData(0, 0, size, size);
+}
+
+/**
+ * Run a model on a frame
+ */
+async function predict({ id, model: name, bitmap }) {
+    const entry = models[name];
+    if (!entry) {
+        bitmap.close();
+        throw new Error(`Model not loaded: ${name}`);
+    }
+
+    const imageData = cropToSquare(bitmap, entry.imageSize);
+    bitmap.close();
+
+    const output = tf.tidy(() => {
+        const offset = tf.scalar(127.5);
+        const pixels = tf.browser.fromPixels(imageData).toFloat();
+        const normalized = pixels.sub(offset).div(offset);
+        return entry.model.predict(normalized.expandDims(0));
+    });
+
+    const probabilities = await output.data();
+    output.dispose();
+
+    const predictions = entry.labels.map((className, i) => ({
+        className,
+        probability: probabilities[i]
+    }));
+
+    self.postMessage({ type: 'prediction', id, predictions });
+}
+
+self.onmessage = async (event) => {
+    const message = event.data;
+
+    try {
+        if (message.type === 'init') {
+            await init(message);
+        } else if (message.type === 'predict') {
+            await predict(message);
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', id: message.id, message: error.message });
+    }
+};
@@ -0,0 +1,286 @@
+/**
+ * Model Trainer Module
+ * Teach mode: capture labelled frames and retrain the state model in the browser
+ *
+ * Teachable Machine exports a two-layer model: a truncated MobileNet producing
+ * embeddings, then a small classification head. Training starts from the
+ * bundled model every time, computes the embeddings of the captured samples
+ * once and fits only the head. The whole model is then saved to IndexedDB
+ * (`models` store) and becomes active through settings.stateModelSource.
+ */
+
+/* global tf */
+
+import { CONFIG, CLASSES } from '../config/config.js';
+import { EventBus } from '../core/eventBus.js';
+import { settings } from '../core/settings.js';
+import { storage } from '../core/storage.js';
+
+const SAMPLES = 'samples';
+const MODELS = 'models';
+const MODEL_NAME = 'state';
+
+class ModelTrainer {
+    constructor() {
+        this.isTraining = false;
+        this.canvas = null;         // Square crop for captured samples
+    }
+
+    /**
+     * Store a labelled frame
+     * @param {number} classNum - Class 1-4
+     * @param {HTMLCanvasElement} source - Frame as the classifier sees it (ROI crop)
+     * @returns {Promise<boolean>} False if the class already has enough samples
+     */
+    async captureSample(classNum, source) {
+        if (!source || !CLASSES[classNum]) return false;
+
+        const count = await storage.count(SAMPLES, 'classNum', classNum);
+        if (count >= CONFIG.teachMaxSamples) return false;
+
+        const blob = await this.toSquareBlob(source, CONFIG.teachImageSize);
+        await storage.put(SAMPLES, { classNum, blob, createdAt: Date.now() });
+
+        EventBus.emit('teach:sampleAdded', { classNum, count: count + 1 });
+        return true;
+    }
+
+    /**
+     * Centre-crop a frame to a JPEG square (same crop as the classifier input)
+     */
+    toSquareBlob(source, size) {
+        if (!this.canvas) {
+            this.canvas = document.createElement('canvas');
+        }
+        this.canvas.width = size;
+        this.canvas.height = size;
+
+        const min = Math.min(source.width, source.height);
+        const scale = size / min;
+        const width = source.width * scale;
+        const height = source.height * scale;
+
+        this.canvas.getContext('2d').drawImage(source, (size - width) / 2, (size - height) / 2, width, height);
+
+        return new Promise((resolve, reject) => {
+            this.canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Frame capture failed'))),
+                'image/jpeg', 0.9);
+        });
+    }
+
+    /**
+     * Number of stored samples per class
+     * @returns {Promise<Object>} classNum → count
+     */
+    async getSampleCounts() {
+        const counts = {};
+        for (const classNum of Object.keys(CLASSES)) {
+            counts[classNum] = await storage.count(SAMPLES, 'classNum', Number(classNum));
+        }
+        return counts;
+    }
+
+    /**
+     * Delete stored samples
+     * @param {number|null} classNum - Only this class (all classes if null)
+     */
+    async clearSamples(classNum = null) {
+        if (classNum === null) {
+            await storage.clear(SAMPLES);
+        } else {
+            await storage.request(SAMPLES, 'readwrite', (store) => {
+                const request = store.index('classNum').openKeyCursor(IDBKeyRange.only(classNum));
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (cursor) {
+                        store.delete(cursor.primaryKey);
+                        cursor.continue();
+                    }
+                };
+                return request;
+            });
+        }
+
+        EventBus.emit('teach:samplesCleared', { classNum });
+    }
+
+    /**
+     * Check every class has enough samples to train
+     */
+    async canTrain() {
+        const counts = await this.getSampleCounts();
+        return Object.values(counts).every(count => count >= CONFIG.teachMinSamples);
+    }
+
+    /**
+     * Retrain the classification head on the stored samples and save the model
+     * @param {Function} onProgress - Optional ({ stage, epoch, epochs, loss, accuracy }) => void
+     * @returns {Promise<Object>} Saved model record (without weights)
+     */
+    async train(onProgress = () => {}) {
+        if (this.isTraining) throw new Error('Training already running');
+        if (!(await this.canTrain())) {
+            throw new Error(`Every class needs at least ${CONFIG.teachMinSamples} samples`);
+        }
+
+        this.isTraining = true;
+        let model = null;
+        let xs = null;
+        let ys = null;
+
+        try {
+            onProgress({ stage: 'loading' });
+            const [loaded, metadata] = await Promise.all([
+                tf.loadLayersModel(CONFIG.stateModelURL + 'model.json'),
+                fetch(CONFIG.stateModelURL + 'metadata.json').then(response => response.json())
+            ]);
+            model = loaded;
+
+            const [base, head] = model.layers;
+            if (model.layers.length !== 2 || typeof head.fit !== 'function') {
+                throw new Error('Model layout not supported for retraining');
+            }
+
+            onProgress({ stage: 'embedding' });
+            const samples = this.shuffle(await storage.getAll(SAMPLES));
+            ({ xs, ys } = await this.embedSamples(base, samples, metadata.imageSize || CONFIG.teachImageSize));
+
+            head.compile({
+                optimizer: tf.train.adam(CONFIG.teachLearningRate),
+                loss: 'categoricalCrossentropy',
+                metrics: ['accuracy']
+            });
+
+            let accuracy = null;
+            await head.fit(xs, ys, {
+                epochs: CONFIG.teachEpochs,
+                batchSize: CONFIG.teachBatchSize,
+                validationSplit: CONFIG.teachValidationSplit,
+                shuffle: true,
+                callbacks: {
+                    onEpochEnd: (epoch, logs) => {
+                        accuracy = logs.val_acc ?? logs.val_accuracy ?? logs.acc ?? logs.accuracy ?? null;
+                        onProgress({ stage: 'training', epoch: epoch + 1, epochs: CONFIG.teachEpochs, loss: logs.loss, accuracy });
+                    }
+                }
+            });
+
+            onProgress({ stage: 'saving' });
+            const record = await this.saveModel(model, metadata, samples, accuracy);
+
+            EventBus.emit('teach:trained', { accuracy, samples: samples.length });
+            return record;
+        } finally {
+            xs?.dispose();
+            ys?.dispose();
+            model?.dispose();
+            this.isTraining = false;
+        }
+    }
+
+    /**
+     * Shuffle samples so the validation split covers every class
+     */
+    shuffle(samples) {
+        for (let i = samples.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [samples[i], samples[j]] = [samples[j], samples[i]];
+        }
+        return samples;
+    }
+
+    /**
+     * Run the frozen MobileNet on every sample
+     * @returns {Promise<Object>} { xs: embeddings, ys: one-hot labels }
+     */
+    async embedSamples(base, samples, imageSize) {
+        const embeddings = [];
+        const labels = [];
+
+        const canvas = document.createElement('canvas');
+        canvas.width = imageSize;
+        canvas.height = imageSize;
+        const context = canvas.getContext('2d');
+
+        for (const sample of samples) {
+            const bitmap = await createImageBitmap(sample.blob);
+            context.drawImage(bitmap, 0, 0, imageSize, imageSize);
+            bitmap.close();
+
+            const embedding = tf.tidy(() => {
+                const offset = tf.scalar(127.5);
+                const pixels = tf.browser.fromPixels(canvas).toFloat();
+                return base.predict(pixels.sub(offset).div(offset).expandDims(0));
+            });
+
+            embeddings.push(embedding);
+            labels.push(sample.classNum - 1);       // Label order is Class 1..4
+        }
+
+        const xs = tf.concat(embeddings);
+        embeddings.forEach(embedding => embedding.dispose());
+
+        const ys = tf.tidy(() => tf.oneHot(tf.tensor1d(labels, 'int32'), Object.keys(CLASSES).length).toFloat());
+        return { xs, ys };
+    }
+
+    /**
+     * Serialize the model and store it as the trained state model
+     */
+    async saveModel(model, metadata, samples, accuracy) {
+        let artifacts = null;
+        await model.save(tf.io.withSaveHandler(async (saved) => {
+            artifacts = saved;
+            return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+        }));
+
+        const sampleCounts = {};
+        samples.forEach(({ classNum }) => {
+            sampleCounts[classNum] = (sampleCounts[classNum] || 0) + 1;
+        });
+
+        const record = {
+            name: MODEL_NAME,
+            artifacts: {
+                modelTopology: artifacts.modelTopology,
+                weightSpecs: artifacts.weightSpecs,
+                weightData: artifacts.weightData
+            },
+            metadata: { ...metadata, timeStamp: new Date().toISOString(), modelName: 'wama-teach' },
+            trainedAt: Date.now(),
+            sampleCounts,
+            accuracy
+        };
+        await storage.put(MODELS, record);
+
+        const info = { ...record };
+        delete info.artifacts;
+        return info;
+    }
+
+    /**
+     * Get the stored trained model
+     * @returns {Promise<Object|null>} { artifacts, metadata, trainedAt, sampleCounts, accuracy }
+     */
+    async getTrainedModel() {
+        try {
+            return (await storage.get(MODELS, MODEL_NAME)) || null;
+        } catch (error) {
+            console.warn('Trained model not available:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Switch the active state model
+     * @param {string} source - 'trained' or 'bundled' (rollback to models/state-model)
+     */
+    activate(source) {
+        settings.set('stateModelSource', source);
+        EventBus.emit('ml:stateModelChanged', { source });
+    }
+}
+
+// Export singleton instance
+export const modelTrainer = new ModelTrainer();
+export default modelTrainer;
@@ -0,0 +1,103 @@
+/**
+ * Region Of Interest Module
+ * Crops webcam frames to the calibrated regions before inference
+ *
+ * ROIs are rectangles normalized to the (rotated) frame: { x, y, w, h } in 0-1.
+ * They are stored as settings (roiWater, roiPerson); null means the whole frame.
+ */
+
+import { ROI_REGIONS } from '../config/config.js';
+import { settings } from '../core/settings.js';
+
+const MIN_SIZE = 0.05;     // Smaller rectangles are treated as accidental clicks
+const cropCanvases = new Map();
+
+/**
+ * Get the calibrated ROI of a region
+ * @param {string} region - 'water' | 'person'
+ * @returns {Object|null} Normalized rectangle, null for the whole frame
+ */
+export function getRoi(region) {
+    const key = ROI_REGIONS[region]?.setting;
+    return (key && settings.get(key)) || null;
+}
+
+/**
+ * Normalize a rectangle drawn between two points (0-1 coordinates)
+ * @returns {Object|null} Rectangle, null if too small
+ */
+export function rectFromPoints(a, b) {
+    const clamp = (v) => Math.min(1, Math.max(0, v));
+    const x = clamp(Math.min(a.x, b.x));
+    const y = clamp(Math.min(a.y, b.y));
+    const w = clamp(Math.max(a.x, b.x)) - x;
+    const h = clamp(Math.max(a.y, b.y)) - y;
+
+    return w >= MIN_SIZE && h >= MIN_SIZE ? { x, y, w, h } : null;
+}
+
+/**
+ * Bounding box of several ROIs (null entries are skipped)
+ * @returns {Object|null} Rectangle, null if no ROI is set
+ */
+export function unionRoi(rois) {
+    const defined = rois.filter(Boolean);
+    if (defined.length === 0) return null;
+
+    const x = Math.min(...defined.map(r => r.x));
+    const y = Math.min(...defined.map(r => r.y));
+    const right = Math.max(...defined.map(r => r.x + r.w));
+    const bottom = Math.max(...defined.map(r => r.y + r.h));
+
+    return { x, y, w: right - x, h: bottom - y };
+}
+
+/**
+ * Crop a frame to a ROI
+ * @param {HTMLCanvasElement} source - Full frame
+ * @param {Object|null} roi - Normalized rectangle (null returns the source)
+ * @param {string} name - Reuses one canvas per name
+ */
+export function cropToRoi(source, roi, name = 'default') {
+    if (!roi || !source) return source;
+
+    const sx = Math.round(roi.x * source.width);
+    const sy = Math.round(roi.y * source.height);
+    const sw = Math.max(1, Math.round(roi.w * source.width));
+    const sh = Math.max(1, Math.round(roi.h * source.height));
+
+    let canvas = cropCanvases.get(name);
+    if (!canvas) {
+        canvas = document.createElement('canvas');
+        cropCanvases.set(name, canvas);
+    }
+    if (canvas.width !== sw || canvas.height !== sh) {
+        canvas.width = sw;
+        canvas.height = sh;
+    }
+
+    canvas.getContext('2d').drawImage(source, sx, sy, sw, sh, 0, 0, sw, sh);
+    return canvas;
+}
+
+/**
+ * Outline the calibrated ROIs on a canvas
+ * @param {CanvasRenderingContext2D} context - Target (already showing the frame)
+ * @param {Object} overrides - Region → rectangle to draw instead of the stored one
+ */
+export function drawRois(context, overrides = {}) {
+    const { width, height } = context.canvas;
+
+    Object.entries(ROI_REGIONS).forEach(([region, { color, label }]) => {
+        const roi = region in overrides ? overrides[region] : getRoi(region);
+        if (!roi) return;
+
+        context.strokeStyle = color;
+        context.lineWidth = Math.max(2, width / 200);
+        context.strokeRect(roi.x * width, roi.y * height, roi.w * width, roi.h * height);
+
+        context.fillStyle = color;
+        context.font = `${Math.max(10, Math.round(width / 40))}px sans-serif`;
+        context.fillText(label, roi.x * width + 4, roi.y * height + Math.max(12, width / 35));
+    });
+}
@@ -0,0 +1,224 @@
+/**
+ * Smoothing Module
+ * Strategies turning noisy per-frame predictions into a stable class
+ *
+ * A strategy implements:
+ *   update(predictions, currentClass, now) → { classNum, confidence, isStable, ... }
+ *     classNum is the class the strategy settles on (currentClass while undecided);
+ *     extra fields (voteCounts, posterior) are shown by the debug panel.
+ *   reset()
+ *
+ * stateDetector applies CONFIG.stateDebounceMs on top of the chosen strategy.
+ */
+
+import { CONFIG, CLASSES } from '../config/config.js';
+import { appState } from '../core/state.js';
+
+const CLASS_NUMS = Object.keys(CLASSES).map(Number);
+
+/**
+ * Class with the highest probability, null when below minConfidenceThreshold
+ */
+const getActiveClass = (predictions) => {
+    let maxIndex = 0;
+    let maxConfidence = 0;
+
+    for (let i = 0; i < predictions.length; i++) {
+        if (predictions[i].probability > maxConfidence) {
+            maxConfidence = predictions[i].probability;
+            maxIndex = i;
+        }
+    }
+
+    // Return null if confidence is too low
+    if (maxConfidence < CONFIG.minConfidenceThreshold) {
+        return null;
+    }
+
+    return maxIndex + 1; // Classes are 1-indexed
+};
+
+/**
+ * Majority vote over the last predictionBufferSize frames
+ * Class 4 (Interruption) also needs stabilityFrames consecutive votes.
+ */
+export class MajorityVoteSmoother {
+    update(predictions, currentClass) {
+        const classNum = getActiveClass(predictions);
+
+        // Vote for current class or status quo
+        const vote = classNum !== null ? classNum : (currentClass || 1);
+
+        const buffer = appState.get('predictionBuffer');
+        buffer.push(vote);
+
+        if (buffer.length > CONFIG.predictionBufferSize) {
+            buffer.shift();
+        }
+
+        appState.set('predictionBuffer', buffer);
+
+        // Count votes
+        const voteCounts = {};
+        for (const v of buffer) {
+            voteCounts[v] = (voteCounts[v] || 0) + 1;
+        }
+
+        // Find majority
+        let majorityClass = currentClass;
+        let majorityCount = 0;
+
+        for (const [cls, count] of Object.entries(voteCounts)) {
+            if (count > majorityCount) {
+                majorityCount = count;
+                majorityClass = parseInt(cls);
+            }
+        }
+
+        const majorityRatio = majorityCount / buffer.length;
+
+        // Track consecutive predictions for stability (especially for Class 4)
+        const lastPredictions = buffer.slice(-CONFIG.stabilityFrames);
+        const isStable = lastPredictions.every(p => p === majorityClass);
+
+        // For Class 4 (Interruption), require extra stability to avoid false triggers
+        const requiresStability = majorityClass === 4;
+        const stabilityMet = !requiresStability || isStable;
+
+        const accepted = majorityRatio >= CONFIG.majorityThreshold && stabilityMet;
+
+        return {
+            classNum: accepted ? majorityClass : currentClass,
+            confidence: majorityRatio,
+            voteCounts,
+            bufferLength: buffer.length,
+            isStable
+        };
+    }
+
+    reset() {
+        appState.set('predictionBuffer', []);
+    }
+}
+
+/**
+ * Bayesian (hidden Markov) filter over the four classes
+ *
+ * Each frame the posterior is propagated through CONFIG.hmm.transitions
+ * (scaled to the time since the last frame, so the adaptive inference rate
+ * doesn't change how sticky the states are), then weighted by the classifier
+ * probabilities. A class is entered when its posterior reaches its `enter`
+ * threshold, and the current class is only left once it drops below `exit`.
+ */
+export class HmmSmoother {
+    constructor() {
+        this.posterior = null;
+        this.lastUpdate = null;
+    }
+
+    update(predictions, currentClass, now = Date.now()) {
+        const { transitions, hysteresis, referenceMs, observationWeight, observationFloor } = CONFIG.hmm;
+
+        if (!this.posterior) {
+            this.posterior = this.getInitialPosterior(currentClass);
+        }
+
+        // Predict: prior_j = Σ_i posterior_i × T(i → j)
+        const steps = this.lastUpdate === null
+            ? 1
+            : Math.min(10, Math.max(0.1, (now - this.lastUpdate) / referenceMs));
+        this.lastUpdate = now;
+
+        const prior = {};
+        CLASS_NUMS.forEach(to => { prior[to] = 0; });
+        CLASS_NUMS.forEach(from => {
+            const row = this.getTransitionRow(transitions[from], from, steps);
+            CLASS_NUMS.forEach(to => { prior[to] += this.posterior[from] * row[to]; });
+        });
+
+        // Update: weight by the (tempered, floored) classifier probabilities
+        let total = 0;
+        const posterior = {};
+        CLASS_NUMS.forEach((classNum, i) => {
+            const probability = predictions[i]?.probability ?? 0;
+            const likelihood = Math.pow(Math.max(probability, observationFloor), observationWeight);
+            posterior[classNum] = prior[classNum] * likelihood;
+            total += posterior[classNum];
+        });
+        CLASS_NUMS.forEach(classNum => { posterior[classNum] /= total; });
+        this.posterior = posterior;
+
+        // Hysteresis: leave the current class below `exit`, enter another at `enter`
+        const best = CLASS_NUMS.reduce((a, b) => (posterior[b] > posterior[a] ? b : a));
+        const canLeave = !currentClass || posterior[currentClass] < hysteresis[currentClass].exit;
+        const canEnter = posterior[best] >= hysteresis[best].enter;
+        const classNum = best !== currentClass && canLeave && canEnter ? best : currentClass;
+
+        return {
+            classNum,
+            confidence: posterior[best],
+            posterior,
+            isStable: canEnter
+        };
+    }
+
+    /**
+     * Transition probabilities from one class over `steps` reference intervals
+     * (off-diagonal probabilities scale with time, the rest stays put)
+     */
+    getTransitionRow(row, from, steps) {
+        const scaled = {};
+        let leave = 0;
+
+        CLASS_NUMS.forEach(to => {
+            if (to === from) return;
+            scaled[to] = (row[to] || 0) * steps;
+            leave += scaled[to];
+        });
+
+        // Cap leaving probability so the row stays a distribution
+        const norm = leave > 0.99 ? 0.99 / leave : 1;
+        CLASS_NUMS.forEach(to => {
+            if (to !== from) scaled[to] *= norm;
+        });
+        scaled[from] = 1 - leave * norm;
+
+        return scaled;
+    }
+
+    /**
+     * Start certain of the current class, uniform when there is none
+     */
+    getInitialPosterior(currentClass) {
+        const posterior = {};
+        CLASS_NUMS.forEach(classNum => {
+            posterior[classNum] = currentClass
+                ? (classNum === currentClass ? 0.97 : 0.01)
+                : 1 / CLASS_NUMS.length;
+        });
+        return posterior;
+    }
+
+    reset() {
+        this.posterior = null;
+        this.lastUpdate = null;
+    }
+}
+
+const STRATEGIES = {
+    majority: MajorityVoteSmoother,
+    hmm: HmmSmoother
+};
+
+/**
+ * Create the smoother named in CONFIG.smoothingStrategy
+ * @param {string} name - 'majority' | 'hmm'
+ */
+export function createSmoother(name = CONFIG.smoothingStrategy) {
+    const Strategy = STRATEGIES[name];
+    if (!Strategy) {
+        console.warn(`Unknown smoothing strategy "${name}", using majority vote`);
+        return new MajorityVoteSmoother();
+    }
+    return new Strategy();
+}
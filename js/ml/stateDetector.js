@@ -6,31 +6,110 @@
 import { CONFIG, CLASSES } from '../config/config.js';
 import { appState } from '../core/state.js';
 import { EventBus } from '../core/eventBus.js';
+import { settings } from '../core/settings.js';
+import { inferenceClient } from './inferenceClient.js';
+import { getRoi, unionRoi, cropToRoi } from './roi.js';
+import { BinaryDetector } from './binaryDetector.js';
+import { modelTrainer } from './modelTrainer.js';
+import { createSmoother } from './smoothing.js';
+
+/**
+ * Clamp a value to a capability range ({ min, max })
+ */
+const clampToRange = (value, { min, max }) => Math.min(max, Math.max(min, value));
+
+/**
+ * Model sources by name for the configured mode
+ * Each source is { url } or, for a model trained in teach mode, { artifacts, metadata }
+ */
+const getModelSources = async () => {
+    if (CONFIG.stateModelMode === 'split') {
+        return { person: { url: CONFIG.personModelURL }, water: { url: CONFIG.waterModelURL } };
+    }
+
+    if (settings.get('stateModelSource') === 'trained') {
+        const trained = await modelTrainer.getTrainedModel();
+        if (trained) {
+            return { state: { artifacts: trained.artifacts, metadata: trained.metadata } };
+        }
+        console.warn('No trained state model stored, using the bundled one');
+    }
+
+    return { state: { url: CONFIG.stateModelURL } };
+};
+
+/**
+ * Files for tmImage.loadFromFiles from stored model artifacts
+ */
+const toModelFiles = ({ artifacts, metadata }) => {
+    const modelJSON = {
+        format: 'layers-model',
+        modelTopology: artifacts.modelTopology,
+        weightsManifest: [{ paths: ['model.weights.bin'], weights: artifacts.weightSpecs }]
+    };
+
+    return [
+        new File([JSON.stringify(modelJSON)], 'model.json', { type: 'application/json' }),
+        new File([artifacts.weightData], 'model.weights.bin', { type: 'application/octet-stream' }),
+        new File([JSON.stringify(metadata)], 'metadata.json', { type: 'application/json' })
+    ];
+};
+
+/**
+ * Load a model in-thread with tmImage
+ */
+const loadModel = (source) => (source.artifacts
+    ? tmImage.loadFromFiles(...toModelFiles(source))
+    : tmImage.load(source.url + 'model.json', source.url + 'metadata.json'));
 
 class StateDetector {
     constructor() {
-        this.model = null;
+        this.models = {};               // Model name → model ('state', or 'person' + 'water')
+        this.detectors = {};            // Split mode: detector name → BinaryDetector
+        this.smoother = createSmoother();   // Single mode: majority vote or HMM
+        this.mode = null;               // 'single' | 'split'
         this.webcam = null;
+        this.rotatedCanvas = null;      // Frame turned by settings.cameraRotation
         this.isInitialized = false;
+        this.backend = null;            // 'worker' | 'main'
+        this.sources = null;            // Model sources of the loaded models
     }
 
     /**
-     * Initialize the state detection model
+     * Initialize the state detection model(s)
+     * Runs in a Web Worker when possible, in-thread otherwise
      */
     async initialize() {
         try {
-            console.log('Loading state detection model...');
-            
-            this.model = await tmImage.load(
-                CONFIG.stateModelURL + 'model.json',
-                CONFIG.stateModelURL + 'metadata.json'
-            );
-
-            console.log('State model loaded:', this.model.getTotalClasses(), 'classes');
+            this.mode = CONFIG.stateModelMode === 'split' ? 'split' : 'single';
+            const sources = await getModelSources();
+            this.sources = sources;
+            console.log(`Loading state detection models (${this.mode}):`, Object.keys(sources).join(', '));
+
+            if (await this.initializeWorker(sources)) {
+                this.models = {};
+                Object.keys(sources).forEach(name => {
+                    this.models[name] = { labels: inferenceClient.getLabels(name) };
+                });
+                this.backend = 'worker';
+            } else {
+                this.models = await this.loadMainModels(sources);
+                this.backend = 'main';
+            }
+
+            if (this.mode === 'split') {
+                this.detectors = {
+                    person: new BinaryDetector('person', CONFIG.detectors.person),
+                    water: new BinaryDetector('water', CONFIG.detectors.water)
+                };
+            }
+
+            const classes = this.getTotalClasses();
+            console.log(`State model loaded (${this.backend}):`, classes, 'classes');
             this.isInitialized = true;
-            appState.set('stateModel', this.model);
+            appState.set('stateModel', this.models);
 
-            EventBus.emit('ml:stateModelLoaded', { classes: this.model.getTotalClasses() });
+            EventBus.emit('ml:stateModelLoaded', { classes, backend: this.backend, mode: this.mode });
             return true;
         } catch (error) {
             console.error('Failed to load state model:', error);
@@ -40,18 +119,119 @@ class StateDetector {
     }
 
     /**
-     * Setup webcam for detection
+     * Try to load the models in the inference worker
+     * @param {Object} sources - Model name → source (see getModelSources)
+     * @returns {Promise<boolean>} False if the in-thread models should be used
+     */
+    async initializeWorker(sources) {
+        if (CONFIG.inferenceBackend === 'main') return false;
+
+        if (!inferenceClient.isSupported()) {
+            console.warn('Worker inference not supported, running in-thread');
+            return false;
+        }
+
+        try {
+            const models = {};
+            Object.entries(sources).forEach(([name, source]) => {
+                models[name] = source.artifacts
+                    ? { artifacts: source.artifacts, metadata: source.metadata }
+                    : { modelURL: source.url + 'model.json', metadataURL: source.url + 'metadata.json' };
+            });
+            await inferenceClient.initialize(models);
+            return true;
+        } catch (error) {
+            console.warn('Inference worker failed, running in-thread:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Load the models in-thread with tmImage
+     * @returns {Promise<Object>} Model name → model
+     */
+    async loadMainModels(sources) {
+        const entries = await Promise.all(Object.entries(sources).map(async ([name, source]) => [
+            name,
+            await loadModel(source)
+        ]));
+        return Object.fromEntries(entries);
+    }
+
+    /**
+     * The inference worker failed after startup - carry on in-thread
+     * (predict() returns null until the models are loaded)
+     */
+    async useMainThread() {
+        if (this.backend !== 'worker' || !this.sources) return false;
+
+        console.warn('Inference worker stopped - loading the models in-thread');
+        this.isInitialized = false;
+
+        try {
+            this.models = await this.loadMainModels(this.sources);
+            this.backend = 'main';
+            this.isInitialized = true;
+            appState.set('stateModel', this.models);
+
+            EventBus.emit('ml:stateModelLoaded', { classes: this.getTotalClasses(), backend: this.backend, mode: this.mode });
+            return true;
+        } catch (error) {
+            console.error('Failed to load state model in-thread:', error);
+            EventBus.emit('ml:stateModelError', { error });
+            return false;
+        }
+    }
+
+    /**
+     * Reload the models (active model changed in teach mode)
+     * Does nothing until detection has loaded them once
+     */
+    async reload() {
+        if (!this.isInitialized) return true;
+
+        inferenceClient.terminate();
+        this.models = {};
+        this.isInitialized = false;
+        this.resetBuffers();
+
+        return this.initialize();
+    }
+
+    /**
+     * Number of classes of the loaded model (split mode combines into 4)
+     */
+    getTotalClasses() {
+        if (this.mode === 'split') return Object.keys(CLASSES).length;
+
+        const model = this.models.state;
+        if (this.backend === 'worker') return model.labels.length;
+        return model?.getTotalClasses() || 0;
+    }
+
+    /**
+     * Setup webcam for detection (camera settings from `settings`)
      */
     async setupWebcam() {
+        this.stopWebcam();
+
         try {
-            this.webcam = new tmImage.Webcam(
-                CONFIG.webcamWidth,
-                CONFIG.webcamHeight,
-                CONFIG.flipWebcam
-            );
+            const { width, height } = this.getResolution();
+            this.webcam = new tmImage.Webcam(width, height, CONFIG.flipWebcam);
+
+            try {
+                await this.webcam.setup(this.getConstraints());
+            } catch (error) {
+                // Selected camera unplugged - use whatever the facing mode gives
+                const missingDevice = ['OverconstrainedError', 'NotFoundError'].includes(error.name);
+                if (!settings.get('cameraDeviceId') || !missingDevice) throw error;
+
+                console.warn('Selected camera unavailable, using the default one:', error);
+                await this.webcam.setup(this.getConstraints({ ignoreDevice: true }));
+            }
 
-            await this.webcam.setup();
             await this.webcam.play();
+            await this.applyTrackSettings();
 
             appState.set('webcam', this.webcam);
             EventBus.emit('ml:webcamReady', { webcam: this.webcam });
@@ -59,11 +239,97 @@ class StateDetector {
             return this.webcam;
         } catch (error) {
             console.error('Failed to setup webcam:', error);
+            this.webcam = null;
             EventBus.emit('ml:webcamError', { error });
             throw error;
         }
     }
 
+    /**
+     * Selected resolution
+     * @returns {Object} { width, height }
+     */
+    getResolution() {
+        const [width, height] = String(settings.get('cameraResolution')).split('x').map(Number);
+        return width && height
+            ? { width, height }
+            : { width: CONFIG.webcamWidth, height: CONFIG.webcamHeight };
+    }
+
+    /**
+     * getUserMedia video constraints from the camera settings
+     */
+    getConstraints({ ignoreDevice = false } = {}) {
+        const { width, height } = this.getResolution();
+        const deviceId = ignoreDevice ? '' : settings.get('cameraDeviceId');
+
+        return {
+            ...(deviceId
+                ? { deviceId: { exact: deviceId } }
+                : { facingMode: settings.get('cameraFacingMode') }),
+            width: { ideal: width },
+            height: { ideal: height },
+            frameRate: { ideal: settings.get('cameraFrameRate') }
+        };
+    }
+
+    /**
+     * Apply exposure/white balance settings the track supports
+     */
+    async applyTrackSettings() {
+        const track = this.getVideoTrack();
+        if (!track?.getCapabilities) return;
+
+        const capabilities = track.getCapabilities();
+        const constraint = {};
+
+        const exposureMode = settings.get('cameraExposureMode') === 'manual' ? 'manual' : 'continuous';
+        if (capabilities.exposureMode?.includes(exposureMode)) {
+            constraint.exposureMode = exposureMode;
+        }
+        if (capabilities.exposureCompensation) {
+            constraint.exposureCompensation = clampToRange(
+                settings.get('cameraExposureCompensation'), capabilities.exposureCompensation);
+        }
+
+        const whiteBalanceMode = settings.get('cameraWhiteBalanceMode') === 'manual' ? 'manual' : 'continuous';
+        if (capabilities.whiteBalanceMode?.includes(whiteBalanceMode)) {
+            constraint.whiteBalanceMode = whiteBalanceMode;
+        }
+        const colorTemperature = settings.get('cameraColorTemperature');
+        if (whiteBalanceMode === 'manual' && colorTemperature && capabilities.colorTemperature) {
+            constraint.colorTemperature = clampToRange(colorTemperature, capabilities.colorTemperature);
+        }
+
+        if (Object.keys(constraint).length === 0) return;
+
+        try {
+            await track.applyConstraints({ advanced: [constraint] });
+        } catch (error) {
+            console.warn('Camera settings not applied:', error);
+        }
+    }
+
+    /**
+     * Capabilities of the current camera (empty if unknown)
+     */
+    getCapabilities() {
+        return this.getVideoTrack()?.getCapabilities?.() || {};
+    }
+
+    /**
+     * List the available cameras
+     * @returns {Promise<Array>} [{ deviceId, label }] (labels need camera permission)
+     */
+    async listCameras() {
+        if (!navigator.mediaDevices?.enumerateDevices) return [];
+
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(device => device.kind === 'videoinput')
+            .map((device, i) => ({ deviceId: device.deviceId, label: device.label || `Camera ${i + 1}` }));
+    }
+
     /**
      * Stop webcam
      */
@@ -76,10 +342,58 @@ class StateDetector {
     }
 
     /**
-     * Get webcam canvas for display/processing
+     * Release the camera while the app is suspended (the model stays loaded)
+     */
+    suspend() {
+        this.stopWebcam();
+    }
+
+    /**
+     * Re-acquire the camera after suspend()
+     */
+    async wake() {
+        if (!this.webcam) {
+            await this.setupWebcam();
+        }
+    }
+
+    /**
+     * Get the live video track of the webcam
+     */
+    getVideoTrack() {
+        return this.webcam?.webcam?.srcObject?.getVideoTracks?.()[0] || null;
+    }
+
+    /**
+     * Check if the webcam is open
+     */
+    hasWebcam() {
+        return this.webcam !== null;
+    }
+
+    /**
+     * Get webcam canvas for display/processing (rotated if configured)
      */
     getWebcamCanvas() {
-        return this.webcam?.canvas;
+        if (!this.webcam) return undefined;
+        return settings.get('cameraRotation') && this.rotatedCanvas ? this.rotatedCanvas : this.webcam.canvas;
+    }
+
+    /**
+     * Frame fed to the classifier: cropped to the calibrated regions
+     * (bounding box of the water and person ROIs, whole frame if none)
+     */
+    getInputCanvas() {
+        const roi = unionRoi([getRoi('water'), getRoi('person')]);
+        return cropToRoi(this.getWebcamCanvas(), roi, 'state');
+    }
+
+    /**
+     * Frame cropped to one region (split mode models each see their own ROI)
+     * @param {string} region - 'water' | 'person'
+     */
+    getRegionCanvas(region) {
+        return cropToRoi(this.getWebcamCanvas(), getRoi(region), region);
     }
 
     /**
@@ -88,118 +402,191 @@ class StateDetector {
     updateFrame() {
         if (this.webcam) {
             this.webcam.update();
+
+            const rotation = settings.get('cameraRotation');
+            if (rotation) {
+                this.rotateFrame(rotation);
+            }
         }
     }
 
+    /**
+     * Draw the webcam frame turned by 90/180/270 degrees
+     */
+    rotateFrame(rotation) {
+        const source = this.webcam.canvas;
+        const sideways = rotation === 90 || rotation === 270;
+        const width = sideways ? source.height : source.width;
+        const height = sideways ? source.width : source.height;
+
+        if (!this.rotatedCanvas) {
+            this.rotatedCanvas = document.createElement('canvas');
+        }
+        if (this.rotatedCanvas.width !== width || this.rotatedCanvas.height !== height) {
+            this.rotatedCanvas.width = width;
+            this.rotatedCanvas.height = height;
+        }
+
+        const context = this.rotatedCanvas.getContext('2d');
+        context.save();
+        context.translate(width / 2, height / 2);
+        context.rotate((rotation * Math.PI) / 180);
+        context.drawImage(source, -source.width / 2, -source.height / 2);
+        context.restore();
+    }
+
     /**
      * Run prediction on current frame
+     * In split mode the person and water models run on their own ROI crops
+     * and are combined into class 1-4 probabilities.
+     * @param {HTMLCanvasElement} input - Frame to classify (defaults to the ROI crop, single mode only)
      */
-    async predict() {
-        if (!this.model || !this.webcam) {
+    async predict(input = this.getInputCanvas()) {
+        if (!this.isReady() || !this.webcam) {
             return null;
         }
 
-        const predictions = await this.model.predict(this.webcam.canvas);
-        return predictions;
+        if (this.mode !== 'split') {
+            return this.predictModel('state', input);
+        }
+
+        const [person, water] = await Promise.all([
+            this.predictModel('person', this.getRegionCanvas('person')),
+            this.predictModel('water', this.getRegionCanvas('water'))
+        ]);
+        if (!person || !water) return null;
+
+        return this.combinePredictions(
+            person[CONFIG.detectors.person.positiveIndex].probability,
+            water[CONFIG.detectors.water.positiveIndex].probability
+        );
     }
 
     /**
-     * Get the active class from predictions
+     * Run one model
+     * @param {string} name - Model name
+     * @param {HTMLCanvasElement} input - Frame to classify
      */
-    getActiveClass(predictions) {
-        let maxIndex = 0;
-        let maxConfidence = 0;
-
-        for (let i = 0; i < predictions.length; i++) {
-            if (predictions[i].probability > maxConfidence) {
-                maxConfidence = predictions[i].probability;
-                maxIndex = i;
+    async predictModel(name, input) {
+        if (this.backend === 'worker') {
+            try {
+                return await inferenceClient.predict(name, input);
+            } catch (error) {
+                // Skip the frame, the next loop iteration tries again
+                console.warn('Worker prediction failed:', error);
+                return null;
             }
         }
 
-        // Return null if confidence is too low
-        if (maxConfidence < CONFIG.minConfidenceThreshold) {
-            return null;
-        }
+        return this.models[name].predict(input);
+    }
+
+    /**
+     * Combine person/water probabilities into class 1-4 predictions
+     * (treated as independent, so the four probabilities sum to 1)
+     */
+    combinePredictions(person, water) {
+        return Object.entries(CLASSES).map(([classNum, info]) => ({
+            className: `Class ${classNum}`,
+            probability: (info.person ? person : 1 - person) * (info.water ? water : 1 - water)
+        }));
+    }
 
-        return maxIndex + 1; // Classes are 1-indexed
+    /**
+     * Class number for a person/water combination
+     */
+    getClassFor(person, water) {
+        const entry = Object.entries(CLASSES).find(([, info]) => info.person === person && info.water === water);
+        return parseInt(entry[0]);
     }
 
     /**
-     * Process prediction buffer and determine majority class
+     * Smooth predictions into a class (CONFIG.smoothingStrategy, see smoothing.js)
      */
     processPredictionBuffer(predictions) {
-        const now = Date.now();
-        const classNum = this.getActiveClass(predictions);
-        
-        // Vote for current class or status quo
-        const vote = classNum !== null ? classNum : (appState.get('currentClass') || 1);
-        
-        const buffer = appState.get('predictionBuffer');
-        buffer.push(vote);
-        
-        if (buffer.length > CONFIG.predictionBufferSize) {
-            buffer.shift();
-        }
-        
-        appState.set('predictionBuffer', buffer);
-
-        // Count votes
-        const voteCounts = {};
-        for (const v of buffer) {
-            voteCounts[v] = (voteCounts[v] || 0) + 1;
-        }
-
-        // Find majority
-        let majorityClass = appState.get('currentClass');
-        let majorityCount = 0;
-        
-        for (const [cls, count] of Object.entries(voteCounts)) {
-            if (count > majorityCount) {
-                majorityCount = count;
-                majorityClass = parseInt(cls);
-            }
+        if (this.mode === 'split') {
+            return this.processDetectors(predictions);
         }
 
-        const majorityRatio = majorityCount / buffer.length;
-
-        // Check for state change
+        const now = Date.now();
         const currentClass = appState.get('currentClass');
         const lastClassChange = appState.get('lastClassChange');
 
-        // Track consecutive predictions for stability (especially for Class 4)
-        const lastPredictions = buffer.slice(-CONFIG.stabilityFrames);
-        const isStable = lastPredictions.every(p => p === majorityClass);
-        
-        // For Class 4 (Interruption), require extra stability to avoid false triggers
-        const requiresStability = majorityClass === 4;
-        const stabilityMet = !requiresStability || isStable;
-
-        if (majorityClass !== currentClass 
-            && majorityRatio >= CONFIG.majorityThreshold
-            && (now - lastClassChange) > CONFIG.stateDebounceMs
-            && stabilityMet) {
-            
-            console.log(`State change: Class ${currentClass} → Class ${majorityClass} (confidence: ${(majorityRatio * 100).toFixed(0)}%, stable: ${isStable})`);
-            
+        const { classNum, ...result } = this.smoother.update(predictions, currentClass, now);
+
+        if (classNum !== currentClass
+            && (now - lastClassChange) > CONFIG.stateDebounceMs) {
+
+            console.log(`State change: Class ${currentClass} → Class ${classNum} (${CONFIG.smoothingStrategy}, confidence: ${(result.confidence * 100).toFixed(0)}%, stable: ${result.isStable})`);
+
             return {
-                newClass: majorityClass,
+                newClass: classNum,
                 oldClass: currentClass,
-                confidence: majorityRatio,
-                voteCounts,
-                isStable
+                ...result
             };
         }
 
         return {
             newClass: null,
             currentClass,
-            confidence: majorityRatio,
-            voteCounts,
+            ...result
+        };
+    }
+
+    /**
+     * Split mode: vote person and water separately, then combine
+     * @param {Array} predictions - Combined class 1-4 predictions (see combinePredictions)
+     */
+    processDetectors(predictions) {
+        const now = Date.now();
+        const [, c2, c3, c4] = predictions.map(p => p.probability);
+
+        const currentClass = appState.get('currentClass') || 1;
+        const current = CLASSES[currentClass];
+
+        // Marginals: person in classes 2+3, water in classes 3+4
+        const detectors = {
+            person: this.detectors.person.push(c2 + c3, current.person),
+            water: this.detectors.water.push(c3 + c4, current.water)
+        };
+
+        const classNum = this.getClassFor(detectors.person.value, detectors.water.value);
+        const confidence = Math.min(detectors.person.ratio, detectors.water.ratio);
+        const isStable = detectors.person.isStable && detectors.water.isStable;
+        const lastClassChange = appState.get('lastClassChange');
+
+        if (classNum !== appState.get('currentClass')
+            && (now - lastClassChange) > CONFIG.stateDebounceMs) {
+
+            console.log(`State change: Class ${appState.get('currentClass')} → Class ${classNum} (person: ${(detectors.person.ratio * 100).toFixed(0)}%, water: ${(detectors.water.ratio * 100).toFixed(0)}%)`);
+
+            return {
+                newClass: classNum,
+                oldClass: appState.get('currentClass'),
+                confidence,
+                detectors,
+                isStable
+            };
+        }
+
+        return {
+            newClass: null,
+            currentClass: appState.get('currentClass'),
+            confidence,
+            detectors,
             isStable
         };
     }
 
+    /**
+     * Forget buffered predictions (camera lost, restart)
+     */
+    resetBuffers() {
+        this.smoother.reset();
+        appState.set('predictionBuffer', []);
+        Object.values(this.detectors).forEach(detector => detector.reset());
+    }
+
     /**
      * Get class info by number
      */
@@ -211,7 +598,7 @@ class StateDetector {
      * Check if model is ready
      */
     isReady() {
-        return this.isInitialized && this.model !== null;
+        return this.isInitialized && Object.keys(this.models).length > 0;
     }
 
     /**
@@ -219,7 +606,12 @@ class StateDetector {
      */
     cleanup() {
         this.stopWebcam();
-        this.model = null;
+        inferenceClient.terminate();
+        this.models = {};
+        this.detectors = {};
+        this.mode = null;
+        this.backend = null;
+        this.sources = null;
         this.isInitialized = false;
     }
 }
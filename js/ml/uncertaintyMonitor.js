@@ -0,0 +1,140 @@
+/**
+ * Uncertainty Monitor Module
+ * Detects when the state model can't be trusted (UNKNOWN state)
+ *
+ * A frame is uncertain when it is too dark or overexposed, when the top class
+ * probability is below minConfidenceThreshold, or when the prediction entropy
+ * is high (probabilities spread over several classes). Uncertainty must last
+ * unknownEnterMs before UNKNOWN starts, and clear frames must last
+ * unknownExitMs before it ends. While UNKNOWN the current class is frozen.
+ */
+
+import { CONFIG } from '../config/config.js';
+import { EventBus } from '../core/eventBus.js';
+import { appState } from '../core/state.js';
+import { sampleFrame, meanBrightness } from './frameUtils.js';
+
+class UncertaintyMonitor {
+    constructor() {
+        this.isUnknown = false;
+        this.reason = null;             // 'too_dark' | 'overexposed' | 'low_confidence' | 'high_entropy'
+        this.predictionReason = null;   // Last prediction verdict (kept while the motion gate skips inference)
+        this.uncertainSince = null;
+        this.clearSince = null;
+        this.unknownSince = null;
+        this.stats = { brightness: null, confidence: null, entropy: null };
+    }
+
+    /**
+     * Check the latest frame and predictions
+     * @param {HTMLCanvasElement} frame - Classifier input
+     * @param {Array|null} predictions - Class probabilities, null if inference was skipped
+     * @param {number} now - Timestamp
+     * @returns {boolean} True while UNKNOWN
+     */
+    update(frame, predictions, now) {
+        const exposureReason = this.checkExposure(frame);
+        if (predictions) {
+            this.predictionReason = this.checkPredictions(predictions);
+        }
+
+        const reason = exposureReason || this.predictionReason;
+
+        if (reason) {
+            this.clearSince = null;
+            if (this.uncertainSince === null) this.uncertainSince = now;
+
+            if (this.isUnknown) {
+                this.reason = reason;
+            } else if (now - this.uncertainSince >= CONFIG.unknownEnterMs) {
+                this.setUnknown(true, reason, now);
+            }
+        } else {
+            this.uncertainSince = null;
+            if (this.clearSince === null) this.clearSince = now;
+
+            if (this.isUnknown && now - this.clearSince >= CONFIG.unknownExitMs) {
+                this.setUnknown(false, null, now);
+            }
+        }
+
+        return this.isUnknown;
+    }
+
+    /**
+     * Very dark or overexposed frame
+     */
+    checkExposure(frame) {
+        if (!frame) return null;
+
+        const brightness = meanBrightness(sampleFrame(frame, CONFIG.motionSampleWidth, CONFIG.motionSampleHeight));
+        this.stats.brightness = brightness;
+
+        if (brightness < CONFIG.unknownDarkLuma) return 'too_dark';
+        if (brightness > CONFIG.unknownBrightLuma) return 'overexposed';
+        return null;
+    }
+
+    /**
+     * Low top probability or high normalized entropy
+     */
+    checkPredictions(predictions) {
+        const probabilities = predictions.map(p => p.probability);
+        const confidence = Math.max(...probabilities);
+
+        let entropy = 0;
+        probabilities.forEach(p => {
+            if (p > 0) entropy -= p * Math.log(p);
+        });
+        entropy /= Math.log(probabilities.length);
+
+        this.stats.confidence = confidence;
+        this.stats.entropy = entropy;
+
+        if (confidence < CONFIG.minConfidenceThreshold) return 'low_confidence';
+        if (entropy > CONFIG.unknownEntropyThreshold) return 'high_entropy';
+        return null;
+    }
+
+    /**
+     * Enter/leave UNKNOWN
+     */
+    setUnknown(isUnknown, reason, now) {
+        this.isUnknown = isUnknown;
+        this.reason = reason;
+        appState.set('unknownReason', reason);
+        appState.set('isUnknown', isUnknown);
+
+        if (isUnknown) {
+            this.unknownSince = now;
+            console.log(`Unknown state: ${reason}`);
+            EventBus.emit('ml:unknown', { reason, timestamp: now });
+        } else {
+            const duration = now - this.unknownSince;
+            this.unknownSince = null;
+            console.log(`Seeing clearly again after ${Math.round(duration / 1000)}s`);
+            EventBus.emit('ml:known', { duration, timestamp: now });
+        }
+    }
+
+    /**
+     * Forget all evidence (detection started/stopped, camera restored)
+     */
+    reset() {
+        if (this.isUnknown) {
+            appState.set('unknownReason', null);
+            appState.set('isUnknown', false);
+        }
+        this.isUnknown = false;
+        this.reason = null;
+        this.predictionReason = null;
+        this.uncertainSince = null;
+        this.clearSince = null;
+        this.unknownSince = null;
+        this.stats = { brightness: null, confidence: null, entropy: null };
+    }
+}
+
+// Export singleton instance
+export const uncertaintyMonitor = new UncertaintyMonitor();
+export default uncertaintyMonitor;
@@ -0,0 +1,399 @@
+/**
+ * Music Library Module
+ * Tracks from a local manifest, playlists, shuffle, repeat and resume
+ *
+ * The manifest (CONFIG.musicLibraryURL) lists tracks
+ * { id, title, artist, mood, duration, src, fallbackSrc } and optional
+ * playlists { id, name, tracks }. Every library also has an 'all' playlist and
+ * a 'mood:<mood>' one per mood. Tracks play on the `music` sound of
+ * ui/audioManager.js, which is pointed at the track's file. A fallbackSrc on
+ * another origin is loaded with CORS once the music goes through the mixer;
+ * if its server doesn't allow that, the track is skipped.
+ *
+ * The current track and its position are persisted (appState musicTrackId /
+ * musicPosition), so the music picks up where it stopped - after an
+ * interruption, the stop gesture or a reload.
+ */
+
+import { CONFIG } from '../config/config.js';
+import { EventBus } from '../core/eventBus.js';
+import { appState } from '../core/state.js';
+import { settings } from '../core/settings.js';
+import { audioManager } from '../ui/audioManager.js';
+
+const ALL = 'all';
+const MOOD_PREFIX = 'mood:';
+const REPEAT_MODES = ['all', 'one', 'off'];
+
+// Played when the manifest can't be loaded: the <audio id="audio-music"> sources
+const BUILT_IN_TRACK = { id: 'music', title: 'Music', artist: '', mood: null, duration: null, src: null };
+
+/**
+ * Shuffle a copy of a list (Fisher-Yates)
+ */
+function shuffled(list) {
+    const result = [...list];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+class MusicLibrary {
+    constructor() {
+        this.tracks = new Map();        // id → track
+        this.playlists = new Map();     // id → { id, name, tracks }
+        this.queue = [];                // Track ids of the playlist in play order
+        this.index = 0;
+        this.failedSources = new Set(); // Files that didn't load (use fallbackSrc / skip)
+        this.failures = 0;              // Tracks skipped in a row
+        this.lastSaveAt = 0;
+    }
+
+    /**
+     * Load the manifest and pick up the last track
+     */
+    async initialize() {
+        let manifest = null;
+        try {
+            const response = await fetch(CONFIG.musicLibraryURL);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            manifest = await response.json();
+        } catch (error) {
+            console.warn('Music library not loaded - playing the built-in track:', error);
+        }
+
+        this.load(manifest);
+        this.buildQueue(appState.get('musicTrackId'));
+        this.bindAudio();
+
+        console.log(`Music library: ${this.tracks.size} tracks, ${this.playlists.size} playlists`);
+        return true;
+    }
+
+    /**
+     * Build tracks and playlists from a manifest
+     */
+    load(manifest) {
+        this.tracks.clear();
+        this.playlists.clear();
+
+        const tracks = manifest?.tracks?.length ? manifest.tracks : [BUILT_IN_TRACK];
+        tracks.forEach(track => {
+            this.tracks.set(track.id, { artist: '', mood: null, duration: null, fallbackSrc: null, ...track });
+        });
+
+        this.playlists.set(ALL, { id: ALL, name: 'All Tracks', tracks: [...this.tracks.keys()] });
+
+        (manifest?.playlists || []).forEach(playlist => {
+            this.playlists.set(playlist.id, {
+                ...playlist,
+                tracks: playlist.tracks.filter(id => this.tracks.has(id))
+            });
+        });
+
+        const moods = new Set([...this.tracks.values()].map(track => track.mood).filter(Boolean));
+        moods.forEach(mood => {
+            this.playlists.set(`${MOOD_PREFIX}${mood}`, {
+                id: `${MOOD_PREFIX}${mood}`,
+                name: mood.charAt(0).toUpperCase() + mood.slice(1),
+                tracks: [...this.tracks.values()].filter(track => track.mood === mood).map(track => track.id)
+            });
+        });
+    }
+
+    /**
+     * Follow the music element: position, track end, load errors
+     */
+    bindAudio() {
+        const element = audioManager.audioElements.music;
+        if (!element) return;
+
+        element.addEventListener('timeupdate', () => {
+            if (!audioManager.isPlaying('music')) return;
+            if (Date.now() - this.lastSaveAt >= CONFIG.musicPositionSaveMs) {
+                this.savePosition();
+            }
+        });
+
+        // Fill in durations the manifest doesn't give
+        element.addEventListener('loadedmetadata', () => {
+            const track = this.getCurrentTrack();
+            if (track && !track.duration && Number.isFinite(element.duration)) {
+                track.duration = Math.round(element.duration);
+                EventBus.emit('music:trackChanged', this.getNowPlaying());
+            }
+        });
+
+        element.addEventListener('error', () => this.onTrackError());
+
+        EventBus.on('audio:playing', ({ name }) => {
+            if (name === 'music') this.failures = 0;
+        });
+        EventBus.on('audio:paused', ({ name }) => {
+            if (name === 'music') this.savePosition();
+        });
+        EventBus.on('audio:stopped', ({ name }) => {
+            if (name === 'music') this.savePosition();
+        });
+        EventBus.on('audio:ended', ({ name }) => {
+            if (name === 'music') this.next({ auto: true });
+        });
+    }
+
+    /**
+     * Order the selected playlist (shuffled or not), keeping a track current
+     * @param {string|null} currentId - Track to keep current if it is in the playlist
+     */
+    buildQueue(currentId = null) {
+        const playlist = this.playlists.get(settings.get('musicPlaylist')) || this.playlists.get(ALL);
+        let ids = [...playlist.tracks];
+
+        if (settings.get('musicShuffle')) {
+            ids = shuffled(ids);
+            // The current track stays first, the rest come in a new order
+            if (ids.includes(currentId)) {
+                ids = [currentId, ...ids.filter(id => id !== currentId)];
+            }
+        }
+
+        this.queue = ids;
+        this.index = Math.max(0, ids.indexOf(currentId));
+    }
+
+    /**
+     * Play the current track from the saved position (music page opened)
+     */
+    play({ fadeMs = CONFIG.musicFadeInMs } = {}) {
+        const track = this.getCurrentTrack();
+        if (!track) return;
+
+        let position = appState.get('musicTrackId') === track.id ? appState.get('musicPosition') || 0 : 0;
+        if (track.duration && position >= track.duration - 1) {
+            position = 0;
+        }
+
+        this.playTrack(track, { startTime: position, fadeMs });
+    }
+
+    /**
+     * Next track (wraps around; at the end of the playlist with repeat 'off',
+     * a track that ended on its own stops the music)
+     * @param {Object} options - { auto: true when the previous track ended }
+     */
+    next({ auto = false } = {}) {
+        if (this.queue.length === 0) return null;
+
+        let index = this.index + 1;
+        if (index >= this.queue.length) {
+            if (auto && settings.get('musicRepeat') === 'off') {
+                // Next time the music starts, the playlist starts over
+                this.index = 0;
+                appState.set('musicTrackId', this.queue[0]);
+                appState.set('musicPosition', 0);
+                EventBus.emit('music:playlistEnded', { playlist: this.getPlaylist() });
+                return null;
+            }
+
+            index = 0;
+            if (settings.get('musicShuffle') && this.queue.length > 1) {
+                // New order for the next round, not starting with the track just played
+                const last = this.queue[this.queue.length - 1];
+                const rest = shuffled(this.queue.filter(id => id !== last));
+                this.queue = [...rest, last];
+            }
+        }
+
+        this.index = index;
+        return this.playTrack(this.getCurrentTrack(), { fadeMs: CONFIG.musicTrackFadeMs });
+    }
+
+    /**
+     * Previous track, or the start of this one when it has played a while
+     */
+    previous() {
+        if (this.queue.length === 0) return null;
+
+        const element = audioManager.audioElements.music;
+        if (!element || element.currentTime <= CONFIG.musicPreviousRestartSec) {
+            this.index = (this.index - 1 + this.queue.length) % this.queue.length;
+        }
+
+        return this.playTrack(this.getCurrentTrack(), { fadeMs: CONFIG.musicTrackFadeMs });
+    }
+
+    /**
+     * Start a track
+     */
+    playTrack(track, { startTime = 0, fadeMs = CONFIG.musicTrackFadeMs } = {}) {
+        const src = this.getSource(track);
+        if (src === undefined) {
+            console.warn(`No playable source for track ${track.id}`);
+            return null;
+        }
+
+        appState.set('musicTrackId', track.id);
+        appState.set('musicPosition', startTime);
+        this.lastSaveAt = Date.now();
+
+        console.log(`Playing track: ${track.title}${track.artist ? ` - ${track.artist}` : ''}`);
+        audioManager.play('music', {
+            src,
+            startTime,
+            loop: settings.get('musicRepeat') === 'one',
+            fadeMs
+        });
+
+        EventBus.emit('music:trackChanged', this.getNowPlaying());
+        return track;
+    }
+
+    /**
+     * File to play for a track: src, else fallbackSrc once src failed
+     * @returns {string|null|undefined} Null keeps the element's own sources, undefined if nothing is left
+     */
+    getSource(track) {
+        if (!track.src) return null;
+        if (!this.failedSources.has(track.src)) return track.src;
+        if (track.fallbackSrc && !this.failedSources.has(track.fallbackSrc)) return track.fallbackSrc;
+        return undefined;
+    }
+
+    /**
+     * A track's file didn't load: try its fallback, else skip it
+     */
+    onTrackError() {
+        const element = audioManager.audioElements.music;
+        const track = this.getCurrentTrack();
+        const src = element?.getAttribute('src');
+        if (!track || !src) return;
+
+        this.failedSources.add(src);
+        if (!audioManager.isPlaying('music')) return;
+
+        if (this.getSource(track) !== undefined) {
+            console.warn(`Track ${track.id} not found at ${src} - trying its fallback`);
+            this.playTrack(track, { startTime: appState.get('musicPosition') || 0 });
+            return;
+        }
+
+        // Skip it, unless nothing in the playlist plays
+        this.failures++;
+        if (this.failures >= this.queue.length) {
+            console.warn('No track of the playlist could be played');
+            audioManager.stop();
+            return;
+        }
+        console.warn(`Track ${track.id} unavailable - skipping`);
+        this.next();
+    }
+
+    /**
+     * Remember where the current track is
+     */
+    savePosition() {
+        const element = audioManager.audioElements.music;
+        if (!element || !this.getCurrentTrack()) return;
+
+        appState.set('musicPosition', element.currentTime);
+        this.lastSaveAt = Date.now();
+    }
+
+    /**
+     * Select a playlist ('all', a manifest playlist id or 'mood:<mood>')
+     */
+    setPlaylist(id) {
+        if (!this.playlists.has(id)) {
+            console.warn(`Unknown playlist: ${id}`);
+            return false;
+        }
+
+        const current = this.getCurrentTrack();
+        settings.set('musicPlaylist', id);
+        this.buildQueue(current?.id);
+
+        // The playing track isn't in the new playlist - start the playlist
+        const playing = audioManager.isPlaying('music');
+        if (playing && this.getCurrentTrack() !== current) {
+            this.playTrack(this.getCurrentTrack(), { fadeMs: CONFIG.musicTrackFadeMs });
+        } else {
+            EventBus.emit('music:trackChanged', this.getNowPlaying());
+        }
+        return true;
+    }
+
+    /**
+     * Shuffle the playlist (the current track carries on)
+     */
+    setShuffle(shuffle) {
+        settings.set('musicShuffle', !!shuffle);
+        this.buildQueue(this.getCurrentTrack()?.id);
+        EventBus.emit('music:trackChanged', this.getNowPlaying());
+    }
+
+    /**
+     * Repeat 'all' (the playlist), 'one' (the track) or 'off'
+     */
+    setRepeat(mode) {
+        if (!REPEAT_MODES.includes(mode)) {
+            console.warn(`Unknown repeat mode: ${mode}`);
+            return false;
+        }
+
+        settings.set('musicRepeat', mode);
+        const element = audioManager.audioElements.music;
+        if (element) element.loop = mode === 'one';
+
+        EventBus.emit('music:trackChanged', this.getNowPlaying());
+        return true;
+    }
+
+    /**
+     * Get the current track
+     */
+    getCurrentTrack() {
+        return this.tracks.get(this.queue[this.index]) || null;
+    }
+
+    /**
+     * Get the selected playlist
+     */
+    getPlaylist() {
+        return this.playlists.get(settings.get('musicPlaylist')) || this.playlists.get(ALL) || null;
+    }
+
+    /**
+     * All playlists as { id, name, trackCount }
+     */
+    getPlaylists() {
+        return [...this.playlists.values()].map(({ id, name, tracks }) => ({ id, name, trackCount: tracks.length }));
+    }
+
+    /**
+     * All tracks
+     */
+    getTracks() {
+        return [...this.tracks.values()];
+    }
+
+    /**
+     * What the music page shows
+     * @returns {Object} { track, index, count, playlist, shuffle, repeat }
+     */
+    getNowPlaying() {
+        const playlist = this.getPlaylist();
+        return {
+            track: this.getCurrentTrack(),
+            index: this.index,
+            count: this.queue.length,
+            playlist: playlist && { id: playlist.id, name: playlist.name },
+            shuffle: settings.get('musicShuffle'),
+            repeat: settings.get('musicRepeat')
+        };
+    }
+}
+
+// Export singleton instance
+export const musicLibrary = new MusicLibrary();
+export default musicLibrary;
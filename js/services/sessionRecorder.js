@@ -0,0 +1,313 @@
+/**
+ * Session Recorder Module
+ * Records every pass through the flow (IDLE → ... → IDLE) as a session
+ * with timing, water, interruption, music and gesture statistics
+ */
+
+import { FLOW_STATE } from '../config/flow.js';
+import { CLASSES } from '../config/config.js';
+import { EventBus } from '../core/eventBus.js';
+import { storage } from '../core/storage.js';
+import { persistence } from '../core/persistence.js';
+
+const STORE = 'sessions';
+
+// Columns of the CSV export
+const CSV_COLUMNS = [
+    'id', 'startTime', 'endTime', 'durationMs', 'endReason', 'taskStarted',
+    'waterOnMs', 'litres', 'wastedLitres', 'interruptionCount', 'interruptionMs',
+    'musicOffered', 'musicAccepted', 'musicDeclined', 'musicTimedOut', 'gestures'
+];
+
+class SessionRecorder {
+    constructor() {
+        this.current = null;
+        this.memorySessions = [];   // Fallback when IndexedDB is unavailable
+        this.useStorage = false;
+        this.waterOnSince = null;
+    }
+
+    /**
+     * Start listening to flow events
+     */
+    initialize() {
+        this.useStorage = persistence.isReady;
+
+        EventBus.on('flow:transition', (data) => this.onFlowTransition(data));
+
+        EventBus.on('route:change', ({ current }) => {
+            this.current?.routes.push({ route: current, at: Date.now() });
+        });
+
+        EventBus.on('state:currentClass', ({ newValue }) => this.onClassChange(newValue));
+
+        EventBus.on('state:musicResponse', ({ newValue }) => this.onMusicResponse(newValue));
+
+        EventBus.on('gesture:confirmed', ({ gesture }) => {
+            this.current?.gestures.push(gesture);
+        });
+
+        // Detection stopped mid-session
+        EventBus.on('state:isRunning', ({ newValue }) => {
+            if (!newValue && this.current) {
+                this.endSession('stopped');
+            }
+        });
+
+        return true;
+    }
+
+    /**
+     * Track session boundaries, interruptions and music offers
+     */
+    onFlowTransition({ from, to, timestamp }) {
+        if (from === FLOW_STATE.IDLE && to !== FLOW_STATE.IDLE) {
+            this.startSession(timestamp);
+        }
+
+        const session = this.current;
+        if (!session) return;
+
+        session.states.push({ state: to, at: timestamp });
+
+        if (to === FLOW_STATE.TASK_ACTIVE) {
+            session.taskStarted = true;
+        }
+
+        if (to === FLOW_STATE.LONG_TASK) {
+            session.music.offered++;
+        }
+
+        if (to === FLOW_STATE.INTERRUPTION) {
+            session.interruptions.push({ startTime: timestamp, endTime: null, durationMs: 0 });
+        } else if (from === FLOW_STATE.INTERRUPTION) {
+            this.closeInterruption(timestamp);
+        }
+
+        if (to === FLOW_STATE.IDLE) {
+            const completed = session.states.some(s =>
+                s.state === FLOW_STATE.SESSION_FINISHED || s.state === FLOW_STATE.SESSION_ENDS
+            );
+            this.endSession(completed ? 'completed' : 'left', timestamp);
+        }
+    }
+
+    /**
+     * Accumulate time spent with water running (classes 3 and 4)
+     */
+    onClassChange(classNum) {
+        const now = Date.now();
+        const waterOn = !!CLASSES[classNum]?.water;
+
+        if (waterOn && this.waterOnSince === null) {
+            this.waterOnSince = now;
+        } else if (!waterOn && this.waterOnSince !== null) {
+            if (this.current) {
+                this.current.waterOnMs += now - Math.max(this.waterOnSince, this.current.startTime);
+            }
+            this.waterOnSince = null;
+        }
+    }
+
+    /**
+     * Count answers to the music question
+     */
+    onMusicResponse(response) {
+        const music = this.current?.music;
+        if (!music) return;
+
+        if (response === 'yes') music.accepted++;
+        else if (response === 'no') music.declined++;
+        else if (response === 'timeout') music.timedOut++;
+    }
+
+    /**
+     * Open a new session record
+     */
+    startSession(timestamp = Date.now()) {
+        this.current = {
+            id: `${timestamp}-${Math.random().toString(36).slice(2, 8)}`,
+            startTime: timestamp,
+            endTime: null,
+            durationMs: 0,
+            endReason: null,
+            taskStarted: false,
+            waterOnMs: 0,
+            interruptions: [],
+            music: { offered: 0, accepted: 0, declined: 0, timedOut: 0 },
+            gestures: [],
+            states: [],
+            routes: []
+        };
+
+        // Water may already be running when the person arrives
+        if (this.waterOnSince !== null) {
+            this.waterOnSince = timestamp;
+        }
+
+        console.log('Session started:', this.current.id);
+        EventBus.emit('session:start', { session: this.current });
+    }
+
+    /**
+     * Close an open interruption
+     */
+    closeInterruption(timestamp) {
+        const interruption = this.current?.interruptions.at(-1);
+        if (interruption && interruption.endTime === null) {
+            interruption.endTime = timestamp;
+            interruption.durationMs = timestamp - interruption.startTime;
+        }
+    }
+
+    /**
+     * Finalize and store the current session
+     */
+    async endSession(reason, timestamp = Date.now()) {
+        const session = this.current;
+        if (!session) return null;
+        this.current = null;
+
+        this.closeInterruption(timestamp);
+
+        if (this.waterOnSince !== null) {
+            session.waterOnMs += timestamp - Math.max(this.waterOnSince, session.startTime);
+            this.waterOnSince = timestamp;
+        }
+
+        session.endTime = timestamp;
+        session.durationMs = timestamp - session.startTime;
+        session.endReason = reason;
+
+        // Listeners may annotate the record before it is saved
+        EventBus.emit('session:end', { session });
+
+        await this.save(session);
+
+        console.log(`Session recorded: ${Math.round(session.durationMs / 1000)}s, ${reason}`);
+        EventBus.emit('session:recorded', { session });
+        return session;
+    }
+
+    /**
+     * Save a session record
+     */
+    async save(session) {
+        if (this.useStorage) {
+            try {
+                await storage.put(STORE, session);
+                return;
+            } catch (error) {
+                console.warn('Failed to store session, keeping it in memory:', error);
+                this.useStorage = false;
+            }
+        }
+        this.memorySessions.push(session);
+    }
+
+    /**
+     * Query recorded sessions
+     * @param {Object} options - { since, until, limit } (Dates or timestamps in ms)
+     * @returns {Promise<Object[]>} Sessions sorted by start time
+     */
+    async getSessions({ since = 0, until = Infinity, limit } = {}) {
+        since = Number(since);
+        until = Number(until);
+        let sessions;
+
+        if (this.useStorage) {
+            const range = IDBKeyRange.lowerBound(since);
+            sessions = await storage.getAllFromIndex(STORE, 'startTime', range);
+        } else {
+            sessions = this.memorySessions.filter(s => s.startTime >= since);
+        }
+
+        sessions = sessions
+            .filter(s => s.startTime <= until)
+            .sort((a, b) => a.startTime - b.startTime);
+
+        return limit ? sessions.slice(-limit) : sessions;
+    }
+
+    /**
+     * Get the session in progress (if any)
+     */
+    getCurrentSession() {
+        return this.current;
+    }
+
+    /**
+     * Export sessions as a JSON string
+     */
+    async exportJSON(options) {
+        const sessions = await this.getSessions(options);
+        return JSON.stringify(sessions, null, 2);
+    }
+
+    /**
+     * Export sessions as CSV (one row per session)
+     */
+    async exportCSV(options) {
+        const sessions = await this.getSessions(options);
+
+        const rows = sessions.map(session => {
+            const row = {
+                ...session,
+                startTime: new Date(session.startTime).toISOString(),
+                endTime: new Date(session.endTime).toISOString(),
+                litres: session.water?.litres.toFixed(2),
+                wastedLitres: session.water?.wastedLitres.toFixed(2),
+                interruptionCount: session.interruptions.length,
+                interruptionMs: session.interruptions.reduce((sum, i) => sum + i.durationMs, 0),
+                musicOffered: session.music.offered,
+                musicAccepted: session.music.accepted,
+                musicDeclined: session.music.declined,
+                musicTimedOut: session.music.timedOut,
+                gestures: session.gestures.join('|')
+            };
+            return CSV_COLUMNS.map(column => this.escapeCSV(row[column])).join(',');
+        });
+
+        return [CSV_COLUMNS.join(','), ...rows].join('\n');
+    }
+
+    /**
+     * Escape a CSV cell
+     */
+    escapeCSV(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Download sessions as a file
+     * @param {string} format - 'json' or 'csv'
+     */
+    async download(format = 'json', options) {
+        const content = format === 'csv'
+            ? await this.exportCSV(options)
+            : await this.exportJSON(options);
+
+        const blob = new Blob([content], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `wama-sessions-${new Date().toISOString().slice(0, 10)}.${format}`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Delete all recorded sessions
+     */
+    async clear() {
+        this.memorySessions = [];
+        if (this.useStorage) {
+            await storage.clear(STORE);
+        }
+    }
+}
+
+// Export singleton instance
+export const sessionRecorder = new SessionRecorder();
+export default sessionRecorder;
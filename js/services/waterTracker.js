@@ -0,0 +1,289 @@
+/**
+ * Water Tracker Module
+ * Estimates water usage from the time spent in water-on classes
+ *
+ * Class 3 (person + water) and class 4 (water, nobody present) count as
+ * water running; class 4 time is also counted separately as wasted water.
+ * Litres = minutes running × flow rate (settings.waterFlowRate, L/min).
+ */
+
+import { CLASSES } from '../config/config.js';
+import { EventBus } from '../core/eventBus.js';
+import { settings } from '../core/settings.js';
+import { storage } from '../core/storage.js';
+import { persistence } from '../core/persistence.js';
+
+const STORE = 'waterDaily';
+const CACHED_DAYS = 35;
+
+class WaterTracker {
+    constructor() {
+        this.waterOnSince = null;
+        this.wastedSince = null;
+        this.session = null;
+        this.daily = new Map();     // date key → daily record
+        this.useStorage = false;
+    }
+
+    /**
+     * Load recent daily totals and start tracking
+     */
+    async initialize() {
+        this.useStorage = persistence.isReady;
+        await this.loadRecentDays();
+
+        EventBus.on('state:currentClass', ({ newValue }) => this.onClassChange(newValue));
+
+        EventBus.on('session:start', ({ session }) => {
+            this.session = { startTime: session.startTime, waterOnMs: 0, wastedMs: 0 };
+        });
+
+        // Annotate the session record before it is saved
+        EventBus.on('session:end', ({ session }) => {
+            session.water = this.getSessionUsage(session.endTime);
+            this.session = null;
+        });
+
+        // Detection stopped - close running intervals
+        EventBus.on('state:isRunning', ({ newValue }) => {
+            if (!newValue) {
+                this.onClassChange(null);
+            }
+        });
+
+        return true;
+    }
+
+    /**
+     * Open/close water and waste intervals on class changes
+     */
+    onClassChange(classNum) {
+        const now = Date.now();
+        const info = CLASSES[classNum] || {};
+        const waterOn = !!info.water;
+        const wasted = waterOn && !info.person;
+
+        if (waterOn && this.waterOnSince === null) {
+            this.waterOnSince = now;
+        } else if (!waterOn && this.waterOnSince !== null) {
+            this.addUsage('waterOnMs', this.waterOnSince, now);
+            this.waterOnSince = null;
+        }
+
+        if (wasted && this.wastedSince === null) {
+            this.wastedSince = now;
+        } else if (!wasted && this.wastedSince !== null) {
+            this.addUsage('wastedMs', this.wastedSince, now);
+            this.wastedSince = null;
+        }
+    }
+
+    /**
+     * Add a closed interval to the session and daily totals
+     * (an interval crossing midnight is split between the days)
+     */
+    addUsage(key, since, until) {
+        if (this.session) {
+            this.session[key] += Math.max(0, until - Math.max(since, this.session.startTime));
+        }
+
+        let start = since;
+        while (start < until) {
+            const end = Math.min(until, this.getDayStart(-1, start));
+            const ms = end - start;
+            const record = this.getDayRecord(this.getDateKey(start));
+            record[key] += ms;
+            record[key === 'waterOnMs' ? 'litres' : 'wastedLitres'] += this.toLitres(ms);
+
+            this.saveDay(record);
+            EventBus.emit('water:usage', { date: record.date, record });
+            start = end;
+        }
+    }
+
+    /**
+     * Convert running time to litres with the configured flow rate
+     */
+    toLitres(ms) {
+        return (ms / 60000) * settings.get('waterFlowRate');
+    }
+
+    /**
+     * Usage of the session in progress (including running water)
+     * @returns {Object} { waterOnMs, wastedMs, litres, wastedLitres }
+     */
+    getSessionUsage(now = Date.now()) {
+        if (!this.session) {
+            return { waterOnMs: 0, wastedMs: 0, litres: 0, wastedLitres: 0 };
+        }
+
+        const { startTime } = this.session;
+        const open = (since) => since === null ? 0 : Math.max(0, now - Math.max(since, startTime));
+
+        const waterOnMs = this.session.waterOnMs + open(this.waterOnSince);
+        const wastedMs = this.session.wastedMs + open(this.wastedSince);
+
+        return {
+            waterOnMs,
+            wastedMs,
+            litres: this.toLitres(waterOnMs),
+            wastedLitres: this.toLitres(wastedMs)
+        };
+    }
+
+    /**
+     * Today's totals (including running water)
+     */
+    getTodayUsage() {
+        const now = Date.now();
+        const record = { ...this.getDayRecord(this.getDateKey(now)) };
+        const open = (since) => now - Math.max(since, this.getDayStart(0, now));
+
+        if (this.waterOnSince !== null) {
+            record.waterOnMs += open(this.waterOnSince);
+            record.litres += this.toLitres(open(this.waterOnSince));
+        }
+        if (this.wastedSince !== null) {
+            record.wastedMs += open(this.wastedSince);
+            record.wastedLitres += this.toLitres(open(this.wastedSince));
+        }
+
+        return record;
+    }
+
+    /**
+     * Totals of the last 7 days, today included (from cache)
+     */
+    getLastWeekUsage() {
+        const total = this.emptyRecord('last7days');
+        const today = this.getTodayUsage();
+
+        for (let i = 0; i < 7; i++) {
+            const key = this.getDateKey(this.getDayStart(i));
+            this.sumInto(total, i === 0 ? today : this.daily.get(key));
+        }
+
+        return total;
+    }
+
+    /**
+     * Daily totals for the last N days, oldest first
+     * @param {Object} options - { days }
+     */
+    async getDailyUsage({ days = 7 } = {}) {
+        const keys = [];
+        for (let i = days - 1; i >= 0; i--) {
+            keys.push(this.getDateKey(this.getDayStart(i)));
+        }
+
+        let stored = [];
+        if (this.useStorage) {
+            stored = await storage.getAll(STORE, IDBKeyRange.bound(keys[0], keys[keys.length - 1]));
+        }
+        const byDate = new Map(stored.map(record => [record.date, record]));
+        const todayKey = this.getDateKey(Date.now());
+
+        return keys.map(key => {
+            if (key === todayKey) return this.getTodayUsage();
+            return byDate.get(key) || this.daily.get(key) || this.emptyRecord(key);
+        });
+    }
+
+    /**
+     * Weekly totals (weeks starting on Monday) for the last N weeks, oldest first
+     * @param {Object} options - { weeks }
+     */
+    async getWeeklyUsage({ weeks = 4 } = {}) {
+        const daysSinceMonday = (new Date().getDay() + 6) % 7;
+        const days = await this.getDailyUsage({ days: (weeks - 1) * 7 + daysSinceMonday + 1 });
+
+        const result = [];
+        for (let i = 0; i < days.length; i += 7) {
+            // Keyed by the date of the week's Monday
+            const week = this.emptyRecord(days[i].date);
+            days.slice(i, i + 7).forEach(day => this.sumInto(week, day));
+            result.push(week);
+        }
+
+        return result;
+    }
+
+    /**
+     * Load recent daily records into the cache
+     */
+    async loadRecentDays() {
+        if (!this.useStorage) return;
+
+        try {
+            const since = this.getDateKey(this.getDayStart(CACHED_DAYS));
+            const records = await storage.getAll(STORE, IDBKeyRange.lowerBound(since));
+            records.forEach(record => this.daily.set(record.date, record));
+        } catch (error) {
+            console.warn('Failed to load water usage history:', error);
+        }
+    }
+
+    /**
+     * Persist a daily record
+     */
+    async saveDay(record) {
+        if (!this.useStorage) return;
+
+        try {
+            await storage.put(STORE, { ...record });
+        } catch (error) {
+            console.warn('Failed to store water usage:', error);
+        }
+    }
+
+    /**
+     * Get (or create) the cached record of a day
+     */
+    getDayRecord(key) {
+        if (!this.daily.has(key)) {
+            this.daily.set(key, this.emptyRecord(key));
+        }
+        return this.daily.get(key);
+    }
+
+    /**
+     * Create an empty usage record
+     */
+    emptyRecord(date) {
+        return { date, waterOnMs: 0, wastedMs: 0, litres: 0, wastedLitres: 0 };
+    }
+
+    /**
+     * Add a record's totals into another
+     */
+    sumInto(target, record) {
+        if (!record) return;
+        target.waterOnMs += record.waterOnMs;
+        target.wastedMs += record.wastedMs;
+        target.litres += record.litres;
+        target.wastedLitres += record.wastedLitres;
+    }
+
+    /**
+     * Local midnight starting the day `daysAgo` calendar days before `timestamp`
+     * (negative = days after). Steps by calendar day, so DST changes don't shift it.
+     */
+    getDayStart(daysAgo, timestamp = Date.now()) {
+        const date = new Date(timestamp);
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() - daysAgo).getTime();
+    }
+
+    /**
+     * Local date key (YYYY-MM-DD)
+     */
+    getDateKey(timestamp) {
+        const date = new Date(timestamp);
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+}
+
+// Export singleton instance
+export const waterTracker = new WaterTracker();
+export default waterTracker;
@@ -12,6 +12,7 @@ class AnimationManager {
         this.currentAnimation = null;
         this.bgAnimation = null;
         this.cornerAnimation = null;
+        this.isSuspended = false;
         this.containers = {
             main: null,
             bg: null,
@@ -95,6 +96,21 @@ class AnimationManager {
         EventBus.emit('animation:loaded', { type: 'main' });
     }
 
+    /**
+     * Replace the main animation only (keeps background/corner animations)
+     */
+    async swapMainAnimation(lottieConfig) {
+        if (this.currentAnimation) {
+            this.currentAnimation.destroy();
+            this.currentAnimation = null;
+        }
+        if (this.containers.main) {
+            this.containers.main.innerHTML = '';
+        }
+
+        await this.loadMainAnimation(lottieConfig);
+    }
+
     /**
      * Load background Lottie animation (e.g., waves)
      */
@@ -233,6 +249,23 @@ class AnimationManager {
         }
     }
 
+    /**
+     * Pause all animations while the app is suspended
+     */
+    suspend() {
+        this.isSuspended = true;
+        this.pause();
+    }
+
+    /**
+     * Resume animations paused by suspend()
+     */
+    wake() {
+        if (!this.isSuspended) return;
+        this.isSuspended = false;
+        this.resume();
+    }
+
     /**
      * Cleanup all resources
      */
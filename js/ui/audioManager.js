@@ -1,42 +1,79 @@
 /**
  * Audio Manager Module
  * Handles audio playback for different pages/states
+ *
+ * Sounds play on mixer buses (AUDIO_CLIPS, ui/audioMixer.js): a new sound
+ * crossfades from whatever plays, except that a voice line leaves the music
+ * playing, ducked, until it ends. Volume and mute apply to the master
+ * (no bus) or to one bus.
  */
 
+import { CONFIG, AUDIO_BUSES, AUDIO_CLIPS } from '../config/config.js';
 import { EventBus } from '../core/eventBus.js';
+import { settings } from '../core/settings.js';
+import { audioMixer } from './audioMixer.js';
+
+const FADE_STEP_MS = 25;                // Element volume steps outside the graph
 
 class AudioManager {
     constructor() {
         this.audioElements = {};
-        this.currentAudio = null;
+        this.channels = {};             // Name → { name, element, bus, loop, gain, level, volume, state }
         this.isMuted = false;
+        this.volume = 1;
+        this.suspendedChannels = [];    // Audio to restart when the app wakes up
+        this.speaking = false;          // Text-to-speech in progress (ui/voiceManager.js)
     }
 
     /**
      * Initialize audio elements from DOM
      */
     initialize() {
-        // Get all audio elements
-        this.audioElements = {
-            music: document.getElementById('audio-music'),
-            askmusic: document.getElementById('audio-askmusic'),
-            hello: document.getElementById('audio-hello'),
-            howareyou: document.getElementById('audio-howareyou'),
-            bye: document.getElementById('audio-bye'),
-            worried: document.getElementById('audio-worried'),
-            youreback: document.getElementById('audio-youreback')
+        audioMixer.initialize();
+
+        Object.entries(AUDIO_CLIPS).forEach(([name, { bus, loop = false }]) => {
+            const element = document.getElementById(`audio-${name}`);
+            if (!element) return;
+
+            this.audioElements[name] = element;
+            this.channels[name] = {
+                name,
+                element,
+                bus,
+                loop,
+                gain: null,             // Fade GainNode once routed through the mixer
+                level: 1,               // Fade level (0..1)
+                volume: 1,              // Level the sound fades in to
+                state: 'stopped',       // 'playing' | 'paused' | 'stopped'
+                fadeTimer: null,
+                fadeInterval: null
+            };
+
+            element.addEventListener('ended', () => {
+                if (element.loop) return;
+                this.channels[name].state = 'stopped';
+                this.updateDucking();
+                EventBus.emit('audio:ended', { name });
+            });
+            element.addEventListener('error', (e) => {
+                console.warn(`Audio load error for ${name}:`, e);
+            });
+        });
+
+        // The AudioContext may only start from a user gesture
+        const unlock = () => {
+            audioMixer.resume();
+            if (!audioMixer.isRunning()) return;
+            ['pointerdown', 'keydown'].forEach(type => document.removeEventListener(type, unlock, true));
         };
+        ['pointerdown', 'keydown'].forEach(type => document.addEventListener(type, unlock, true));
 
-        // Set up ended event listeners
-        Object.entries(this.audioElements).forEach(([name, element]) => {
-            if (element) {
-                element.addEventListener('ended', () => {
-                    EventBus.emit('audio:ended', { name });
-                });
-                element.addEventListener('error', (e) => {
-                    console.warn(`Audio load error for ${name}:`, e);
-                });
-            }
+        // Apply persisted preferences
+        this.setVolume(settings.get('volume'));
+        this.setMute(settings.get('muted'));
+        AUDIO_BUSES.forEach(bus => {
+            this.setVolume(settings.get(`${bus}Volume`), bus);
+            this.setMute(settings.get(`${bus}Muted`), bus);
         });
 
         return true;
@@ -44,36 +81,59 @@ class AudioManager {
 
     /**
      * Play audio by name
+     * @param {Object} options - { loop, volume, startTime, fadeMs, src }
+     *   src replaces the element's source (music library tracks)
      */
     play(audioName, options = {}) {
-        const element = this.audioElements[audioName];
-        
-        if (!element) {
+        const channel = this.channels[audioName];
+
+        if (!channel) {
             console.warn(`Audio not found: ${audioName}`);
             return;
         }
 
-        // Stop current audio if playing
-        if (this.currentAudio && this.currentAudio !== element) {
-            this.stop();
-        }
+        const fadeMs = options.fadeMs ?? CONFIG.audioCrossfadeMs;
+
+        // Fade out what plays (music carries on under a voice line)
+        Object.values(this.channels).forEach(other => {
+            if (other === channel || (channel.bus === 'voice' && other.bus === 'music')) return;
+            this.stopChannel(other, fadeMs);
+        });
 
         // Configure audio
-        element.loop = options.loop || false;
-        element.volume = options.volume || 1;
+        const element = channel.element;
+        if (options.src && element.getAttribute('src') !== options.src) {
+            // Once routed through the mixer, a file from another origin plays
+            // as silence unless it's loaded with CORS (a CDN without it fails
+            // to load instead, and the caller moves on)
+            if (channel.gain && !audioMixer.isOwnOrigin(options.src)) {
+                element.crossOrigin = 'anonymous';
+            }
+            element.src = options.src;
+        }
+        this.connect(channel);
+        element.loop = options.loop ?? channel.loop;
         element.currentTime = options.startTime || 0;
+        channel.volume = options.volume ?? 1;
+        channel.state = 'playing';
+
+        this.fade(channel, channel.volume, fadeMs, null, 0);
+        this.updateDucking();
 
         // Play with user interaction handling
         const playPromise = element.play();
-        
+
         if (playPromise !== undefined) {
             playPromise
                 .then(() => {
-                    this.currentAudio = element;
-                    EventBus.emit('audio:playing', { name: audioName });
+                    EventBus.emit('audio:playing', { name: audioName, bus: channel.bus });
                 })
                 .catch(error => {
                     console.warn(`Audio playback failed for ${audioName}:`, error);
+                    if (element.paused) {
+                        channel.state = 'stopped';
+                        this.updateDucking();
+                    }
                     EventBus.emit('audio:error', { name: audioName, error });
                 });
         }
@@ -81,132 +141,282 @@ class AudioManager {
 
     /**
      * Play audio for a specific route
+     * The route's `crossfadeMs` overrides CONFIG.audioCrossfadeMs.
      */
     playForRoute(routeConfig) {
+        const fadeMs = routeConfig.crossfadeMs ?? CONFIG.audioCrossfadeMs;
+
         if (!routeConfig.audio) {
-            // Stop askmusic when leaving its page (even though it loops)
-            const currentAudioName = this.currentAudio ? this.getAudioName(this.currentAudio) : null;
-            if (currentAudioName === 'askmusic') {
-                this.stop();
-                return;
-            }
-            // Don't stop looping audio (music, worried) when navigating to routes without audio
-            // Only stop non-looping audio
-            if (this.currentAudio && !this.currentAudio.loop) {
-                this.stop();
-            }
+            // Music and looping effects (worried) carry on into routes without
+            // audio; voice lines stop (askmusic loops, but only on its page)
+            Object.values(this.channels).forEach(channel => {
+                if (channel.bus === 'music') return;
+                if (channel.bus === 'voice' || !channel.element.loop) {
+                    this.stopChannel(channel, fadeMs);
+                }
+            });
             return;
         }
 
         // Extract audio name from element ID
         const audioName = routeConfig.audio.replace('audio-', '');
-        
-        // Stop askmusic if navigating to a different audio route
-        const currentAudioName = this.currentAudio ? this.getAudioName(this.currentAudio) : null;
-        if (currentAudioName === 'askmusic' && audioName !== 'askmusic') {
-            this.stop();
-        }
-        
-        // Determine if it should loop (background music and askmusic)
-        const loopingAudio = ['worried', 'music', 'askmusic'];
-        const shouldLoop = loopingAudio.includes(audioName);
 
-        console.log(`Playing audio: ${audioName}, loop: ${shouldLoop}`);
-        this.play(audioName, { loop: shouldLoop });
+        console.log(`Playing audio: ${audioName}, crossfade: ${fadeMs}ms`);
+        this.play(audioName, { fadeMs });
     }
 
     /**
-     * Stop current audio
+     * Stop all audio
      */
-    stop() {
-        if (this.currentAudio) {
-            this.currentAudio.pause();
-            this.currentAudio.currentTime = 0;
-            
-            const audioName = this.getAudioName(this.currentAudio);
-            EventBus.emit('audio:stopped', { name: audioName });
-            
-            this.currentAudio = null;
-        }
+    stop(fadeMs = CONFIG.audioFadeMs) {
+        Object.values(this.channels).forEach(channel => this.stopChannel(channel, fadeMs));
+        this.suspendedChannels = [];
     }
 
     /**
-     * Pause current audio
+     * Pause playing audio
      */
-    pause() {
-        if (this.currentAudio) {
-            this.currentAudio.pause();
-            EventBus.emit('audio:paused', { name: this.getAudioName(this.currentAudio) });
-        }
+    pause(fadeMs = CONFIG.audioFadeMs) {
+        Object.values(this.channels).forEach(channel => {
+            if (channel.state !== 'playing') return;
+
+            channel.state = 'paused';
+            this.fade(channel, 0, fadeMs, () => channel.element.pause());
+            EventBus.emit('audio:paused', { name: channel.name });
+        });
+        this.updateDucking();
+    }
+
+    /**
+     * Resume paused audio
+     */
+    resume(fadeMs = CONFIG.audioFadeMs) {
+        Object.values(this.channels).forEach(channel => {
+            if (channel.state === 'paused') this.resumeChannel(channel, fadeMs);
+        });
+        this.updateDucking();
     }
 
     /**
-     * Resume current audio
+     * Pause playback while the app is suspended (keeps the position)
      */
-    resume() {
-        if (this.currentAudio) {
-            this.currentAudio.play().catch(e => console.warn('Resume failed:', e));
-            EventBus.emit('audio:resumed', { name: this.getAudioName(this.currentAudio) });
+    suspend() {
+        if (this.isPlaying()) {
+            this.suspendedChannels = Object.values(this.channels).filter(channel => channel.state === 'playing');
+            this.pause(0);
         }
     }
 
+    /**
+     * Continue playback paused by suspend()
+     */
+    wake() {
+        this.suspendedChannels
+            .filter(channel => channel.state === 'paused')
+            .forEach(channel => this.resumeChannel(channel, CONFIG.audioFadeMs));
+        this.suspendedChannels = [];
+        this.updateDucking();
+    }
+
     /**
      * Set mute state
+     * @param {string|null} bus - AUDIO_BUSES entry, null for the master
      */
-    setMute(muted) {
-        this.isMuted = muted;
-        Object.values(this.audioElements).forEach(element => {
-            if (element) {
-                element.muted = muted;
-            }
-        });
-        EventBus.emit('audio:muteChanged', { muted });
+    setMute(muted, bus = null) {
+        if (bus && !AUDIO_BUSES.includes(bus)) {
+            console.warn(`Unknown audio bus: ${bus}`);
+            return;
+        }
+
+        if (bus) {
+            settings.set(`${bus}Muted`, muted);
+        } else {
+            this.isMuted = muted;
+            settings.set('muted', muted);
+        }
+        audioMixer.setMute(muted, bus);
+        this.applyElementVolumes();
+        EventBus.emit('audio:muteChanged', { muted, bus });
     }
 
     /**
      * Toggle mute
      */
-    toggleMute() {
-        this.setMute(!this.isMuted);
-        return this.isMuted;
+    toggleMute(bus = null) {
+        this.setMute(!this.getMute(bus), bus);
+        return this.getMute(bus);
+    }
+
+    /**
+     * Mute state of the master (no bus) or a bus
+     */
+    getMute(bus = null) {
+        return bus ? audioMixer.busMuted[bus] : this.isMuted;
     }
 
     /**
-     * Set volume for all audio
+     * Set volume for all audio, or for one bus
+     * @param {string|null} bus - AUDIO_BUSES entry, null for the master
      */
-    setVolume(volume) {
+    setVolume(volume, bus = null) {
+        if (bus && !AUDIO_BUSES.includes(bus)) {
+            console.warn(`Unknown audio bus: ${bus}`);
+            return;
+        }
+
         const clampedVolume = Math.max(0, Math.min(1, volume));
-        Object.values(this.audioElements).forEach(element => {
-            if (element) {
-                element.volume = clampedVolume;
-            }
-        });
-        EventBus.emit('audio:volumeChanged', { volume: clampedVolume });
+        if (bus) {
+            settings.set(`${bus}Volume`, clampedVolume);
+        } else {
+            this.volume = clampedVolume;
+            settings.set('volume', clampedVolume);
+        }
+        audioMixer.setVolume(clampedVolume, bus);
+        this.applyElementVolumes();
+        EventBus.emit('audio:volumeChanged', { volume: clampedVolume, bus });
+    }
+
+    /**
+     * Volume of the master (no bus) or a bus
+     */
+    getVolume(bus = null) {
+        return bus ? audioMixer.busVolumes[bus] : this.volume;
+    }
+
+    /**
+     * Route a sound through the mixer once the AudioContext runs
+     */
+    connect(channel) {
+        audioMixer.resume();
+        if (channel.gain) return;
+
+        channel.gain = audioMixer.connect(channel.element, channel.bus);
+        if (channel.gain) channel.gain.gain.value = channel.level;
     }
 
     /**
-     * Get audio name from element
+     * Fade a sound to a level, then call done
+     * @param {number|null} from - Start level (default: the current one)
      */
-    getAudioName(element) {
-        for (const [name, el] of Object.entries(this.audioElements)) {
-            if (el === element) return name;
+    fade(channel, level, ms, done = null, from = null) {
+        clearTimeout(channel.fadeTimer);
+        clearInterval(channel.fadeInterval);
+        channel.fadeTimer = null;
+        channel.fadeInterval = null;
+
+        if (channel.gain) {
+            audioMixer.rampGain(channel.gain, level, ms, from);
+            channel.level = level;
+        } else if (ms > 0) {
+            // Outside the graph: step the element volume
+            const start = from ?? channel.level;
+            const startedAt = performance.now();
+            channel.fadeInterval = setInterval(() => {
+                const progress = Math.min(1, (performance.now() - startedAt) / ms);
+                channel.level = start + (level - start) * progress;
+                this.applyElementVolume(channel);
+                if (progress >= 1) clearInterval(channel.fadeInterval);
+            }, FADE_STEP_MS);
+        } else {
+            channel.level = level;
+            this.applyElementVolume(channel);
+        }
+
+        if (!done) return;
+        if (ms > 0) {
+            channel.fadeTimer = setTimeout(done, ms);
+        } else {
+            done();
         }
-        return 'unknown';
     }
 
     /**
-     * Check if audio is currently playing
+     * Fade a sound out and rewind it
+     */
+    stopChannel(channel, fadeMs) {
+        if (channel.state === 'stopped') return;
+
+        channel.state = 'stopped';
+        this.fade(channel, 0, fadeMs, () => {
+            channel.element.pause();
+            channel.element.currentTime = 0;
+            // Full level again for anything playing the element directly
+            this.fade(channel, 1, 0);
+        });
+
+        EventBus.emit('audio:stopped', { name: channel.name });
+        this.updateDucking();
+    }
+
+    /**
+     * Fade a paused sound back in
+     */
+    resumeChannel(channel, fadeMs) {
+        channel.state = 'playing';
+        this.connect(channel);
+        channel.element.play().catch(e => console.warn('Resume failed:', e));
+        this.fade(channel, channel.volume, fadeMs);
+        EventBus.emit('audio:resumed', { name: channel.name });
+    }
+
+    /**
+     * Text-to-speech started or ended (ducks the music like a voice clip)
+     */
+    setSpeaking(speaking) {
+        this.speaking = speaking;
+        this.updateDucking();
+    }
+
+    /**
+     * Duck the music while a voice line plays
+     */
+    updateDucking() {
+        const voicePlaying = this.speaking || Object.values(this.channels)
+            .some(channel => channel.bus === 'voice' && channel.state === 'playing');
+        audioMixer.duck(voicePlaying);
+        this.applyElementVolumes();
+    }
+
+    /**
+     * Volume of an element outside the graph (fade × bus × master)
+     */
+    applyElementVolume(channel) {
+        if (channel.gain) return;
+        const volume = channel.level * audioMixer.getOutputLevel(channel.bus);
+        channel.element.volume = Math.max(0, Math.min(1, volume));
+    }
+
+    /**
+     * Apply level changes to every element outside the graph
+     */
+    applyElementVolumes() {
+        Object.values(this.channels).forEach(channel => this.applyElementVolume(channel));
+    }
+
+    /**
+     * Whether a sound has a file to play (none of its sources failed to load)
+     */
+    isAvailable(audioName) {
+        const element = this.audioElements[audioName];
+        return !!element && !element.error && element.networkState !== element.NETWORK_NO_SOURCE;
+    }
+
+    /**
+     * Check if audio is currently playing (any, or one sound)
      */
-    isPlaying() {
-        return this.currentAudio && !this.currentAudio.paused;
+    isPlaying(audioName = null) {
+        return Object.values(this.channels).some(channel =>
+            channel.state === 'playing' && (!audioName || channel.name === audioName));
     }
 
     /**
      * Cleanup resources
      */
     cleanup() {
-        this.stop();
+        this.stop(0);
+        audioMixer.cleanup();
         this.audioElements = {};
+        this.channels = {};
     }
 }
 
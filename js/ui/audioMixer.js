@@ -0,0 +1,203 @@
+/**
+ * Audio Mixer Module
+ * Web Audio graph behind the audio manager
+ *
+ *   <audio> → source → fade gain ─┬→ music bus ───┐
+ *                                 ├→ voice bus ───┼→ master → speakers
+ *                                 └→ effects bus ─┘
+ *
+ * Each sound gets its own gain node for fades, each bus has a volume and a
+ * mute, and the music bus is ducked while a voice line plays. Browsers only
+ * start an AudioContext after a user gesture, and an element routed into a
+ * stopped context is silent, so elements are only connected once the context
+ * runs. Until then (and without Web Audio, or for a cross-origin CDN fallback
+ * the graph can't read) getOutputLevel() gives the level to set as the
+ * element's own volume.
+ */
+
+import { CONFIG, AUDIO_BUSES } from '../config/config.js';
+
+class AudioMixer {
+    constructor() {
+        this.context = null;
+        this.master = null;             // GainNode
+        this.buses = {};                // Bus → GainNode
+        this.volume = 1;
+        this.muted = false;
+        this.busVolumes = Object.fromEntries(AUDIO_BUSES.map(bus => [bus, 1]));
+        this.busMuted = Object.fromEntries(AUDIO_BUSES.map(bus => [bus, false]));
+        this.ducked = false;
+    }
+
+    /**
+     * Create the graph (the context starts suspended until resume())
+     * @returns {boolean} False without Web Audio
+     */
+    initialize() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) {
+            console.warn('Web Audio not supported - no crossfades or ducking');
+            return false;
+        }
+
+        try {
+            this.context = new AudioContextClass();
+        } catch (error) {
+            console.warn('Failed to create AudioContext:', error);
+            return false;
+        }
+
+        this.master = this.context.createGain();
+        this.master.connect(this.context.destination);
+
+        AUDIO_BUSES.forEach(bus => {
+            this.buses[bus] = this.context.createGain();
+            this.buses[bus].connect(this.master);
+        });
+
+        this.applyLevels(0);
+        return true;
+    }
+
+    /**
+     * Start the context (call from a user gesture or before playing)
+     */
+    resume() {
+        if (this.context?.state === 'suspended') {
+            this.context.resume().catch(error => console.warn('AudioContext resume failed:', error));
+        }
+    }
+
+    /**
+     * Whether elements can be routed through the graph now
+     */
+    isRunning() {
+        return this.context?.state === 'running';
+    }
+
+    /**
+     * Route an element into a bus
+     * @returns {GainNode|null} The element's fade gain, null if it can't be routed (yet)
+     */
+    connect(element, bus) {
+        if (!this.isRunning() || !this.isSameOrigin(element)) return null;
+
+        try {
+            const source = this.context.createMediaElementSource(element);
+            const gain = this.context.createGain();
+            source.connect(gain);
+            gain.connect(this.buses[bus] || this.master);
+            // The graph applies the levels from now on
+            element.volume = 1;
+            return gain;
+        } catch (error) {
+            console.warn('Failed to route audio element:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Cross-origin sources without CORS would play silence through the graph
+     */
+    isSameOrigin(element) {
+        // An src attribute wins over <source> children (and is known before it loads)
+        const src = element.getAttribute('src') ? element.src : element.currentSrc;
+        if (!src) return false;
+        return element.crossOrigin !== null || this.isOwnOrigin(src);
+    }
+
+    /**
+     * Whether a URL is on the app's origin
+     */
+    isOwnOrigin(url) {
+        return new URL(url, location.href).origin === location.origin;
+    }
+
+    /**
+     * Ramp a gain node to a value
+     * @param {number|null} from - Start value (default: where the gain is now)
+     */
+    rampGain(gain, value, ms, from = null) {
+        const now = this.context.currentTime;
+        gain.gain.cancelScheduledValues(now);
+        if (ms <= 0) {
+            gain.gain.setValueAtTime(value, now);
+            return;
+        }
+        gain.gain.setValueAtTime(from ?? gain.gain.value, now);
+        gain.gain.linearRampToValueAtTime(value, now + ms / 1000);
+    }
+
+    /**
+     * Set the master (bus null) or a bus volume, 0..1
+     */
+    setVolume(volume, bus = null) {
+        if (bus) {
+            this.busVolumes[bus] = volume;
+        } else {
+            this.volume = volume;
+        }
+        this.applyLevels(CONFIG.audioFadeMs);
+    }
+
+    /**
+     * Mute the master (bus null) or a bus
+     */
+    setMute(muted, bus = null) {
+        if (bus) {
+            this.busMuted[bus] = muted;
+        } else {
+            this.muted = muted;
+        }
+        this.applyLevels(CONFIG.audioFadeMs);
+    }
+
+    /**
+     * Duck the music bus (a voice line is playing) or bring it back
+     */
+    duck(ducked) {
+        if (ducked === this.ducked) return;
+        this.ducked = ducked;
+        this.applyLevels(ducked ? CONFIG.audioDuckAttackMs : CONFIG.audioDuckReleaseMs);
+    }
+
+    /**
+     * Gain of a bus (volume, mute and ducking)
+     */
+    getBusLevel(bus) {
+        if (this.busMuted[bus]) return 0;
+        const duck = bus === 'music' && this.ducked ? CONFIG.audioDuckLevel : 1;
+        return (this.busVolumes[bus] ?? 1) * duck;
+    }
+
+    /**
+     * Level of a bus at the speakers - the volume for an element outside the graph
+     */
+    getOutputLevel(bus) {
+        return (this.muted ? 0 : this.volume) * this.getBusLevel(bus);
+    }
+
+    /**
+     * Ramp the master and bus gains to the current settings
+     */
+    applyLevels(ms) {
+        if (!this.context) return;
+
+        this.rampGain(this.master, this.muted ? 0 : this.volume, ms);
+        AUDIO_BUSES.forEach(bus => this.rampGain(this.buses[bus], this.getBusLevel(bus), ms));
+    }
+
+    /**
+     * Close the context
+     */
+    cleanup() {
+        this.context?.close().catch(() => {});
+        this.context = null;
+        this.master = null;
+        this.buses = {};
+    }
+}
+
+// Export singleton instance
+export const audioMixer = new AudioMixer();
+export default audioMixer;
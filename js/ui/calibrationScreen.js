@@ -0,0 +1,150 @@
+/**
+ * Calibration Screen Module
+ * Draw the water and person regions of interest over the live feed
+ *
+ * Pick a region with its button, then drag a rectangle on the preview.
+ * Rectangles are saved as settings (see ml/roi.js) as soon as they are drawn.
+ */
+
+import { ROI_REGIONS } from '../config/config.js';
+import { EventBus } from '../core/eventBus.js';
+import { settings } from '../core/settings.js';
+import { drawRois, rectFromPoints } from '../ml/roi.js';
+import { CameraPreview } from './cameraPreview.js';
+
+class CalibrationScreen {
+    constructor() {
+        this.isOpen = false;
+        this.preview = new CameraPreview();
+        this.region = 'water';          // Region being drawn
+        this.dragStart = null;
+        this.draft = null;              // Rectangle being dragged
+    }
+
+    /**
+     * Listen for the calibration page being rendered/left
+     */
+    initialize() {
+        EventBus.on('page:rendered', ({ routeName }) => {
+            if (routeName === 'calibrate') {
+                this.open();
+            } else if (this.isOpen) {
+                this.close();
+            }
+        });
+
+        return true;
+    }
+
+    /**
+     * Bind controls and start the preview
+     */
+    async open() {
+        if (this.isOpen) this.close();
+        this.isOpen = true;
+        this.bindControls();
+        this.selectRegion(this.region);
+
+        const available = await this.preview.acquire();
+        if (!this.isOpen) return;
+        if (!available) this.setStatus('Camera not available');
+
+        this.preview.start(document.getElementById('calibrate-preview'), (context) => {
+            drawRois(context, this.draft ? { [this.region]: this.draft } : {});
+        });
+    }
+
+    /**
+     * Stop the preview
+     */
+    close() {
+        this.isOpen = false;
+        this.dragStart = null;
+        this.draft = null;
+        this.preview.stop();
+    }
+
+    /**
+     * Pick the region the next rectangle is drawn for
+     */
+    selectRegion(region) {
+        this.region = region;
+
+        document.querySelectorAll('[data-roi-region]').forEach(button => {
+            button.classList.toggle('active', button.dataset.roiRegion === region);
+        });
+        this.setStatus(`Drag a rectangle around the ${ROI_REGIONS[region].label.toLowerCase()} area`);
+    }
+
+    /**
+     * Bind region buttons, clear/done buttons and pointer dragging
+     */
+    bindControls() {
+        document.querySelectorAll('[data-roi-region]').forEach(button => {
+            button.addEventListener('click', () => this.selectRegion(button.dataset.roiRegion));
+        });
+
+        const clearBtn = document.getElementById('btn-calibrate-clear');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                settings.set(ROI_REGIONS[this.region].setting, null);
+                this.setStatus(`${ROI_REGIONS[this.region].label} area cleared (whole frame)`);
+            });
+        }
+
+        const doneBtn = document.getElementById('btn-calibrate-done');
+        if (doneBtn) {
+            doneBtn.addEventListener('click', () => EventBus.emit('settings:close'));
+        }
+
+        const canvas = document.getElementById('calibrate-preview');
+        if (!canvas) return;
+
+        canvas.addEventListener('pointerdown', (event) => {
+            canvas.setPointerCapture(event.pointerId);
+            this.dragStart = this.toFramePoint(canvas, event);
+            this.draft = null;
+        });
+
+        canvas.addEventListener('pointermove', (event) => {
+            if (!this.dragStart) return;
+            this.draft = rectFromPoints(this.dragStart, this.toFramePoint(canvas, event));
+        });
+
+        canvas.addEventListener('pointerup', (event) => {
+            if (!this.dragStart) return;
+
+            const rect = rectFromPoints(this.dragStart, this.toFramePoint(canvas, event));
+            this.dragStart = null;
+            this.draft = null;
+
+            if (rect) {
+                settings.set(ROI_REGIONS[this.region].setting, rect);
+                this.setStatus(`${ROI_REGIONS[this.region].label} area saved`);
+            }
+        });
+    }
+
+    /**
+     * Pointer position as normalized frame coordinates
+     */
+    toFramePoint(canvas, event) {
+        const bounds = canvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - bounds.left) / bounds.width,
+            y: (event.clientY - bounds.top) / bounds.height
+        };
+    }
+
+    /**
+     * Show a hint under the preview
+     */
+    setStatus(text) {
+        const statusEl = document.getElementById('calibrate-status');
+        if (statusEl) statusEl.textContent = text;
+    }
+}
+
+// Export singleton instance
+export const calibrationScreen = new CalibrationScreen();
+export default calibrationScreen;
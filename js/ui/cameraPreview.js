@@ -0,0 +1,94 @@
+/**
+ * Camera Preview Module
+ * Live webcam preview for tool pages (settings, calibration)
+ *
+ * Opens the webcam itself when detection isn't running and releases it on stop.
+ */
+
+import { appState } from '../core/state.js';
+import { stateDetector } from '../ml/stateDetector.js';
+
+export class CameraPreview {
+    constructor() {
+        this.frameId = null;
+        this.ownsWebcam = false;        // Camera opened by the preview
+        this.isActive = false;
+    }
+
+    /**
+     * Make sure a camera is open
+     * @returns {Promise<boolean>} False if the camera couldn't be opened
+     */
+    async acquire() {
+        this.isActive = true;
+        if (stateDetector.hasWebcam() || appState.get('isRunning')) return true;
+
+        let opened = false;
+        try {
+            await stateDetector.setupWebcam();
+            opened = true;
+        } catch (error) {
+            console.warn('Preview camera not available:', error);
+        }
+
+        // Stopped while the camera was opening
+        if (!this.isActive) {
+            if (opened && !appState.get('isRunning')) stateDetector.stopWebcam();
+            return false;
+        }
+
+        this.ownsWebcam = opened;
+        return opened;
+    }
+
+    /**
+     * Draw frames into a canvas on every animation frame
+     * @param {HTMLCanvasElement} canvas - Preview canvas (resized to the frame)
+     * @param {Function} drawOverlay - Optional (context) => void after each frame
+     */
+    start(canvas, drawOverlay = null) {
+        if (!canvas || this.frameId) return;
+
+        const context = canvas.getContext('2d');
+
+        const draw = () => {
+            // The prediction loop updates frames while detection runs
+            if (!appState.get('isRunning')) {
+                stateDetector.updateFrame();
+            }
+
+            const frame = stateDetector.getWebcamCanvas();
+            if (frame) {
+                if (canvas.width !== frame.width || canvas.height !== frame.height) {
+                    canvas.width = frame.width;
+                    canvas.height = frame.height;
+                }
+                context.drawImage(frame, 0, 0);
+                if (drawOverlay) drawOverlay(context);
+            }
+
+            this.frameId = requestAnimationFrame(draw);
+        };
+
+        this.frameId = requestAnimationFrame(draw);
+    }
+
+    /**
+     * Stop drawing and release the camera opened by the preview
+     */
+    stop() {
+        this.isActive = false;
+
+        if (this.frameId) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+
+        if (this.ownsWebcam && !appState.get('isRunning')) {
+            stateDetector.stopWebcam();
+        }
+        this.ownsWebcam = false;
+    }
+}
+
+export default CameraPreview;
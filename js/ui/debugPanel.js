@@ -6,6 +6,9 @@
 import { appState } from '../core/state.js';
 import { EventBus } from '../core/eventBus.js';
 import { CONFIG } from '../config/config.js';
+import { drawRois } from '../ml/roi.js';
+import { gestureClassifiers } from '../ml/gestureClassifiers.js';
+import { FINGER_NAMES } from '../ml/handGeometry.js';
 
 class DebugPanel {
     constructor() {
@@ -21,6 +24,7 @@ class DebugPanel {
             panel: document.getElementById('debug-panel'),
             probabilities: document.getElementById('debug-probabilities'),
             bufferVotes: document.getElementById('debug-buffer-votes'),
+            posterior: document.getElementById('debug-posterior'),
             gestureActive: document.getElementById('debug-gesture-active'),
             handDetected: document.getElementById('debug-hand-detected'),
             currentGesture: document.getElementById('debug-current-gesture'),
@@ -30,7 +34,10 @@ class DebugPanel {
             currentRoute: document.getElementById('debug-current-route'),
             mlClass: document.getElementById('debug-ml-class'),
             taskDuration: document.getElementById('debug-task-duration'),
-            fps: document.getElementById('debug-fps')
+            fps: document.getElementById('debug-fps'),
+            inferenceRate: document.getElementById('debug-inference-rate'),
+            uncertainty: document.getElementById('debug-uncertainty'),
+            roiOverlay: document.getElementById('debug-roi-overlay')
         };
 
         // Initialize probability bars
@@ -46,10 +53,18 @@ class DebugPanel {
     }
 
     /**
-     * Initialize probability bar display
+     * Initialize probability and posterior bar displays
      */
     initProbabilityDisplay() {
-        if (!this.elements.probabilities) return;
+        this.renderClassBars(this.elements.probabilities, 'prob');
+        this.renderClassBars(this.elements.posterior, 'post');
+    }
+
+    /**
+     * Render one bar per class (ids `${prefix}-fill-i` / `${prefix}-value-i`)
+     */
+    renderClassBars(container, prefix) {
+        if (!container) return;
 
         const labels = ['Class 1 (Idle)', 'Class 2 (Detection)', 'Class 3 (Task)', 'Class 4 (Interruption)'];
         let html = '';
@@ -59,14 +74,14 @@ class DebugPanel {
                 <div class="prob-bar">
                     <span class="prob-label">${labels[i]}</span>
                     <div class="prob-track">
-                        <div class="prob-fill" id="prob-fill-${i}"></div>
+                        <div class="prob-fill" id="${prefix}-fill-${i}"></div>
                     </div>
-                    <span class="prob-value" id="prob-value-${i}">0%</span>
+                    <span class="prob-value" id="${prefix}-value-${i}">0%</span>
                 </div>
             `;
         }
 
-        this.elements.probabilities.innerHTML = html;
+        container.innerHTML = html;
     }
 
     /**
@@ -123,6 +138,42 @@ class DebugPanel {
         }
     }
 
+    /**
+     * Update the HMM smoother posterior per class
+     * @param {Object} posterior - classNum → probability (absent for other strategies)
+     */
+    updatePosterior(posterior) {
+        if (!posterior) return;
+
+        const currentClass = appState.get('currentClass');
+
+        Object.entries(posterior).forEach(([classNum, prob]) => {
+            const i = classNum - 1;
+            const fillEl = document.getElementById(`post-fill-${i}`);
+            const valueEl = document.getElementById(`post-value-${i}`);
+
+            if (fillEl && valueEl) {
+                fillEl.style.width = `${prob * 100}%`;
+                fillEl.className = `prob-fill ${i === (currentClass - 1) ? 'active' : ''}`;
+                valueEl.textContent = `${(prob * 100).toFixed(0)}%`;
+            }
+        });
+    }
+
+    /**
+     * Update brightness/confidence/entropy and the UNKNOWN reason
+     * @param {Object} monitor - uncertaintyMonitor ({ isUnknown, reason, stats })
+     */
+    updateUncertainty({ isUnknown, reason, stats }) {
+        const parts = [];
+        if (stats.brightness !== null) parts.push(`☀ ${Math.round(stats.brightness)}`);
+        if (stats.confidence !== null) parts.push(`top ${(stats.confidence * 100).toFixed(0)}%`);
+        if (stats.entropy !== null) parts.push(`H ${stats.entropy.toFixed(2)}`);
+
+        const status = isUnknown ? `❓ ${reason}` : '✓';
+        this.updateElement('uncertainty', `${status} ${parts.join(' ')}`);
+    }
+
     /**
      * Update buffer votes display
      */
@@ -142,26 +193,41 @@ class DebugPanel {
     }
 
     /**
-     * Initialize gesture probability bars
+     * Update per-detector votes (split person/water models)
+     */
+    updateDetectorVotes(detectors) {
+        if (!this.elements.bufferVotes || !detectors) return;
+
+        const icons = { person: '👤', water: '💧' };
+        this.elements.bufferVotes.textContent = Object.entries(detectors).map(([name, d]) => {
+            const stabilityIcon = d.isStable ? '✓' : '~';
+            return `${icons[name] || name} ${d.value ? 'yes' : 'no'} ${d.votes}/${d.length} ${stabilityIcon}`;
+        }).join(' | ');
+    }
+
+    /**
+     * Initialize gesture bars (per-finger flexion, thumb direction, hold)
      */
     initGestureBars() {
         const container = document.getElementById('debug-gesture-bars');
         if (!container) return;
 
-        container.innerHTML = `
+        const fingerBars = FINGER_NAMES.map(name => `
             <div class="prob-bar">
-                <span class="prob-label">Thumb Y (up/down)</span>
+                <span class="prob-label">${name[0].toUpperCase()}${name.slice(1)} flexion</span>
                 <div class="prob-track">
-                    <div class="prob-fill" id="gesture-thumb-bar" style="background: #6b7280;"></div>
+                    <div class="prob-fill" id="gesture-angle-${name}-bar" style="background: #6b7280;"></div>
                 </div>
-                <span class="prob-value" id="gesture-thumb-value">0</span>
-            </div>
+                <span class="prob-value" id="gesture-angle-${name}-value">-</span>
+            </div>`).join('');
+
+        container.innerHTML = `${fingerBars}
             <div class="prob-bar">
-                <span class="prob-label">Fingers Curled</span>
+                <span class="prob-label">Thumb direction (up/down)</span>
                 <div class="prob-track">
-                    <div class="prob-fill" id="gesture-curl-bar"></div>
+                    <div class="prob-fill" id="gesture-thumb-bar" style="background: #6b7280;"></div>
                 </div>
-                <span class="prob-value" id="gesture-curl-value">0/4</span>
+                <span class="prob-value" id="gesture-thumb-value">-</span>
             </div>
             <div class="prob-bar">
                 <span class="prob-label">Hold Progress</span>
@@ -189,9 +255,15 @@ class DebugPanel {
             this.elements.gestureActive.className = `debug-value ${gestureActive ? 'active' : ''}`;
         }
 
-        // Hand detected
+        // Hands detected (responding one marked with *)
         if (this.elements.handDetected) {
-            this.elements.handDetected.textContent = handLandmarks ? 'YES' : 'NO';
+            const hands = appState.get('hands') || [];
+            const respondingId = appState.get('respondingHandId');
+            this.elements.handDetected.textContent = handLandmarks
+                ? (hands.length > 0
+                    ? hands.map(hand => `#${hand.id}${hand.handedness ? ` ${hand.handedness[0]}` : ''}${hand.id === respondingId ? '*' : ''}`).join(' ')
+                    : 'YES')
+                : 'NO';
             this.elements.handDetected.className = `debug-value ${handLandmarks ? 'active' : ''}`;
         }
 
@@ -214,35 +286,52 @@ class DebugPanel {
      * Update gesture probability bars
      */
     updateGestureBars(debugGeo, holdDuration, currentGesture) {
-        // Thumb Y bar - range roughly -0.2 to +0.2, center at 50%
+        // Flexion bars - 0° (straight) to 180°, green = extended, red = curled
+        FINGER_NAMES.forEach((name, i) => {
+            const bar = document.getElementById(`gesture-angle-${name}-bar`);
+            const value = document.getElementById(`gesture-angle-${name}-value`);
+            if (!bar || !value) return;
+
+            const angle = debugGeo?.angles?.[i];
+            if (angle === undefined) {
+                bar.style.width = '0%';
+                value.textContent = '-';
+                return;
+            }
+
+            const isThumb = i === 0;
+            const isExtended = isThumb ? debugGeo.thumbExtended : debugGeo.extended[i - 1];
+            const isCurled = !isThumb && debugGeo.curled[i - 1];
+            bar.style.width = `${Math.min(100, angle / 180 * 100)}%`;
+            bar.style.background = isExtended ? '#22c55e' : (isCurled ? '#ef4444' : '#6b7280');
+            value.textContent = `${Math.round(angle)}°`;
+        });
+
+        // Thumb direction bar - full = pointing up, empty = pointing down
         const thumbBar = document.getElementById('gesture-thumb-bar');
         const thumbValue = document.getElementById('gesture-thumb-value');
-        if (thumbBar && thumbValue && debugGeo) {
-            const thumbY = debugGeo.thumbVertical || 0;
-            // Convert to percentage (0.2 = 100%, -0.2 = 0%, 0 = 50%)
-            const thumbPct = Math.max(0, Math.min(100, (thumbY + 0.2) / 0.4 * 100));
-            thumbBar.style.width = `${thumbPct}%`;
-            thumbBar.style.background = thumbY > 0.08 ? '#22c55e' : (thumbY < -0.08 ? '#ef4444' : '#6b7280');
-            thumbValue.textContent = thumbY.toFixed(3);
-        }
-
-        // Fingers curled bar
-        const curlBar = document.getElementById('gesture-curl-bar');
-        const curlValue = document.getElementById('gesture-curl-value');
-        if (curlBar && curlValue && debugGeo) {
-            const curled = debugGeo.curledCount || 0;
-            const curlPct = (curled / 4) * 100;
-            curlBar.style.width = `${curlPct}%`;
-            curlBar.style.background = curled >= 3 ? '#22c55e' : '#6b7280';
-            curlValue.textContent = `${curled}/4`;
+        if (thumbBar && thumbValue) {
+            const tilt = debugGeo?.thumbTilt;
+            if (tilt === undefined) {
+                thumbBar.style.width = '0%';
+                thumbValue.textContent = '-';
+            } else {
+                thumbBar.style.width = `${(180 - tilt) / 180 * 100}%`;
+                thumbBar.style.background = tilt <= CONFIG.thumbMaxTilt
+                    ? '#22c55e'
+                    : (tilt >= 180 - CONFIG.thumbMaxTilt ? '#ef4444' : '#6b7280');
+                thumbValue.textContent = `${Math.round(tilt)}°`;
+            }
         }
 
         // Hold progress bar
         const holdBar = document.getElementById('gesture-hold-bar');
         const holdValue = document.getElementById('gesture-hold-value');
         if (holdBar && holdValue) {
-            const holdRequired = CONFIG.gestureHoldDuration || 500;
-            const holdPct = currentGesture ? Math.min(100, (holdDuration / holdRequired) * 100) : 0;
+            const holdRequired = currentGesture ? gestureClassifiers.getHoldDuration(currentGesture) : 0;
+            const holdPct = currentGesture
+                ? (holdRequired > 0 ? Math.min(100, (holdDuration / holdRequired) * 100) : 100)
+                : 0;
             holdBar.style.width = `${holdPct}%`;
             holdBar.style.background = holdPct >= 100 ? '#22c55e' : '#f59e0b';
             holdValue.textContent = `${Math.round(holdPct)}%`;
@@ -259,12 +348,37 @@ class DebugPanel {
     }
 
     /**
-     * Update FPS display
+     * Update FPS and effective inference rate display
      */
-    updateFPS(fps) {
+    updateFPS(fps, inferenceStats = null) {
         if (this.elements.fps) {
             this.elements.fps.textContent = `${fps} FPS`;
         }
+
+        if (this.elements.inferenceRate && inferenceStats) {
+            const { inferenceRate, skipRate, targetRate } = inferenceStats;
+            const target = targetRate === Infinity ? 'max' : `${targetRate}`;
+            this.elements.inferenceRate.textContent =
+                `${inferenceRate.toFixed(1)}/s (target ${target}, skipped ${skipRate.toFixed(1)}/s)`;
+        }
+    }
+
+    /**
+     * Draw a thumbnail of the frame with the calibrated regions
+     */
+    updateRoiOverlay(frame) {
+        const canvas = this.elements.roiOverlay;
+        if (!canvas || !frame || !this.isVisible) return;
+
+        // Keep the frame's aspect ratio at the thumbnail width
+        const height = Math.round(canvas.width * frame.height / frame.width);
+        if (canvas.height !== height) {
+            canvas.height = height;
+        }
+
+        const context = canvas.getContext('2d');
+        context.drawImage(frame, 0, 0, canvas.width, canvas.height);
+        drawRois(context);
     }
 
     /**
@@ -0,0 +1,158 @@
+/**
+ * Gesture Recorder Module
+ * Debug panel controls for teaching custom hand gestures
+ *
+ * Recording runs on top of Gesture Test Mode, which keeps MediaPipe running
+ * with the flow paused: the frames it measures are stored as samples (see
+ * ml/customGestures.js). Recorded gestures are listed with their sample
+ * count and what they are bound to.
+ */
+
+import { CONFIG, GESTURE_BINDINGS } from '../config/config.js';
+import { EventBus } from '../core/eventBus.js';
+import { appState } from '../core/state.js';
+import { customGestures } from '../ml/customGestures.js';
+
+class GestureRecorder {
+    constructor() {
+        this.elements = {};
+    }
+
+    /**
+     * Bind the recorder controls and show the stored gestures
+     */
+    initialize() {
+        this.elements = {
+            label: document.getElementById('gesture-record-label'),
+            icon: document.getElementById('gesture-record-icon'),
+            binding: document.getElementById('gesture-record-binding'),
+            record: document.getElementById('btn-gesture-record'),
+            status: document.getElementById('gesture-record-status'),
+            list: document.getElementById('gesture-record-list')
+        };
+        if (!this.elements.record) return false;
+
+        this.fillBindings(this.elements.binding, null);
+        this.elements.record.addEventListener('click', () => this.toggleRecording());
+
+        EventBus.on('gesture:recording', ({ count, total }) => {
+            this.setRecording(true);
+            this.setStatus(count === 0
+                ? 'Recording - hold the sign in front of the camera…'
+                : `Recording… ${count}/${total}`);
+        });
+
+        EventBus.on('gesture:recorded', ({ id, sampleCount }) => {
+            this.setRecording(false);
+            const gesture = customGestures.get(id);
+            this.setStatus(`${gesture.icon} ${gesture.label} saved (${sampleCount} samples)`);
+        });
+
+        EventBus.on('gesture:recordingCancelled', () => {
+            this.setRecording(false);
+            this.setStatus('Recording cancelled');
+        });
+
+        EventBus.on('gesture:customChanged', () => this.renderList());
+        this.renderList();
+
+        return true;
+    }
+
+    /**
+     * Start a recording, or cancel the one in progress
+     */
+    toggleRecording() {
+        if (customGestures.recording) {
+            customGestures.cancelRecording();
+            return;
+        }
+
+        if (!appState.get('gestureTestMode')) {
+            this.setStatus('Enable Gesture Test first');
+            return;
+        }
+
+        const label = this.elements.label?.value.trim();
+        if (!label) {
+            this.setStatus('Give the gesture a name');
+            return;
+        }
+
+        customGestures.startRecording({
+            label,
+            icon: this.elements.icon?.value.trim() || '✋',
+            binding: this.elements.binding?.value || null
+        });
+    }
+
+    /**
+     * Fill a binding <select> ("Not bound" + GESTURE_BINDINGS)
+     */
+    fillBindings(select, selected) {
+        if (!select) return;
+
+        select.innerHTML = '';
+        [{ id: '', label: 'Not bound' }, ...GESTURE_BINDINGS].forEach(({ id, label }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = label;
+            option.selected = id === (selected || '');
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * List recorded gestures with their binding and a delete button
+     */
+    renderList() {
+        const { list } = this.elements;
+        if (!list) return;
+
+        list.innerHTML = '';
+        customGestures.list().forEach(({ id, label, icon, binding, sampleCount }) => {
+            const item = document.createElement('li');
+
+            const name = document.createElement('span');
+            name.className = 'gesture-recorder-name';
+            name.textContent = `${icon} ${label} (${sampleCount})`;
+            name.title = `${id} - ${sampleCount} samples, ${CONFIG.customGestureSamples} per recording`;
+
+            const select = document.createElement('select');
+            select.className = 'debug-input';
+            this.fillBindings(select, binding);
+            select.addEventListener('change', () => customGestures.setBinding(id, select.value || null));
+
+            const remove = document.createElement('button');
+            remove.className = 'debug-btn';
+            remove.textContent = '🗑';
+            remove.title = 'Delete';
+            remove.addEventListener('click', () => customGestures.remove(id));
+
+            item.append(name, select, remove);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Switch the record button between Record and Cancel
+     */
+    setRecording(recording) {
+        const { record } = this.elements;
+        if (!record) return;
+
+        record.textContent = recording ? '⏹ Cancel' : '⏺ Record';
+        record.classList.toggle('recording', recording);
+    }
+
+    /**
+     * Show a status line under the recorder
+     */
+    setStatus(text) {
+        if (this.elements.status) this.elements.status.textContent = text;
+    }
+}
+
+// Export singleton instance
+export const gestureRecorder = new GestureRecorder();
+export default gestureRecorder;
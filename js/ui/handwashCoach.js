@@ -0,0 +1,96 @@
+/**
+ * Handwash Coach Module
+ * Drives the step-by-step handwash page (current step, countdown, progress)
+ */
+
+import { HANDWASH_STEPS } from '../config/config.js';
+import { EventBus } from '../core/eventBus.js';
+import { animationManager } from './animationManager.js';
+
+class HandwashCoach {
+    constructor() {
+        this.currentStepIndex = -1;
+    }
+
+    /**
+     * Listen for the handwash page being (re)rendered
+     */
+    initialize() {
+        // The route change clears animations - reload the step animation afterwards
+        EventBus.on('page:rendered', ({ routeName }) => {
+            if (routeName === 'handwash') {
+                this.currentStepIndex = -1;
+            }
+        });
+
+        return true;
+    }
+
+    /**
+     * Get the step index for an elapsed time
+     * @param {number} elapsed - Time spent washing (ms)
+     * @param {number} total - Recommended duration (ms)
+     */
+    getStepIndex(elapsed, total) {
+        const stepsTotal = HANDWASH_STEPS.reduce((sum, step) => sum + step.duration, 0);
+        const scale = total / stepsTotal;
+
+        let end = 0;
+        for (let i = 0; i < HANDWASH_STEPS.length; i++) {
+            end += HANDWASH_STEPS[i].duration * scale;
+            if (elapsed < end) return i;
+        }
+        return HANDWASH_STEPS.length - 1;
+    }
+
+    /**
+     * Update the page for the elapsed time
+     * @param {number} elapsed - Time spent washing (ms)
+     * @param {number} total - Recommended duration (ms)
+     */
+    update(elapsed, total) {
+        const index = this.getStepIndex(elapsed, total);
+        const step = HANDWASH_STEPS[index];
+
+        // Wait for the page to be rendered
+        const labelEl = document.getElementById('handwash-step-label');
+        if (!labelEl) return;
+
+        if (index !== this.currentStepIndex) {
+            this.currentStepIndex = index;
+            labelEl.textContent = step.label;
+
+            document.querySelectorAll('.handwash-step').forEach((el, i) => {
+                el.classList.toggle('done', i < index);
+                el.classList.toggle('active', i === index);
+            });
+
+            if (step.animation) {
+                animationManager.swapMainAnimation(step.animation);
+            }
+
+            EventBus.emit('handwash:step', { step: step.id, index });
+        }
+
+        const countdownEl = document.getElementById('handwash-countdown');
+        if (countdownEl) {
+            countdownEl.textContent = Math.max(0, Math.ceil((total - elapsed) / 1000));
+        }
+
+        const progressEl = document.getElementById('handwash-progress-fill');
+        if (progressEl) {
+            progressEl.style.width = `${Math.min(100, (elapsed / total) * 100)}%`;
+        }
+    }
+
+    /**
+     * Forget the displayed step
+     */
+    reset() {
+        this.currentStepIndex = -1;
+    }
+}
+
+// Export singleton instance
+export const handwashCoach = new HandwashCoach();
+export default handwashCoach;
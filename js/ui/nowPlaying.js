@@ -0,0 +1,77 @@
+/**
+ * Now Playing Module
+ * Track details on the music page (services/musicLibrary.js)
+ *
+ * Title, artist and mood of the current track, its length, where it is in
+ * the playlist and whether shuffle / repeat are on. Updated when the page is
+ * rendered and whenever the track changes.
+ */
+
+import { EventBus } from '../core/eventBus.js';
+import { musicLibrary } from '../services/musicLibrary.js';
+
+const REPEAT_ICONS = { all: '🔁', one: '🔂', off: '' };
+
+/**
+ * Format seconds as m:ss
+ */
+const formatDuration = (seconds) => `${Math.floor(seconds / 60)}:${String(Math.round(seconds % 60)).padStart(2, '0')}`;
+
+class NowPlaying {
+    /**
+     * Listen for track changes and the music page
+     */
+    initialize() {
+        EventBus.on('music:trackChanged', (nowPlaying) => this.render(nowPlaying));
+        EventBus.on('page:rendered', ({ routeName }) => {
+            if (routeName === 'musicplaying') {
+                this.render(musicLibrary.getNowPlaying());
+            }
+        });
+
+        return true;
+    }
+
+    /**
+     * Show the current track (only while the music page is open)
+     * @param {Object} nowPlaying - musicLibrary.getNowPlaying()
+     */
+    render({ track, index, count, playlist, shuffle, repeat }) {
+        const element = document.getElementById('now-playing');
+        if (!element || !track) return;
+
+        element.innerHTML = '';
+
+        const title = document.createElement('p');
+        title.className = 'now-playing-title';
+        title.textContent = `🎵 ${track.title}`;
+
+        const details = document.createElement('p');
+        details.className = 'now-playing-details';
+        details.textContent = [track.artist, track.mood, track.duration && formatDuration(track.duration)]
+            .filter(Boolean)
+            .join(' · ');
+
+        const position = document.createElement('p');
+        position.className = 'now-playing-position';
+        position.textContent = [
+            count > 1 ? `${index + 1}/${count}` : null,
+            playlist?.name,
+            shuffle ? '🔀' : null,
+            REPEAT_ICONS[repeat]
+        ].filter(Boolean).join(' · ');
+
+        element.append(title, details, position);
+
+        if (count > 1) {
+            const hint = document.createElement('p');
+            hint.className = 'now-playing-hint';
+            hint.textContent = '👈 👉 swipe to change track';
+            element.appendChild(hint);
+        }
+    }
+}
+
+// Export singleton instance
+export const nowPlaying = new NowPlaying();
+export default nowPlaying;
@@ -6,6 +6,39 @@
 import { EventBus } from '../core/eventBus.js';
 import { ROUTES } from '../config/routes.js';
 import { appState } from '../core/state.js';
+import { waterTracker } from '../services/waterTracker.js';
+import { CLASSES, HANDWASH_STEPS, ROI_REGIONS } from '../config/config.js';
+import { FLOW_TIMING } from '../config/flow.js';
+
+/**
+ * Format litres for display (one decimal)
+ */
+const formatLitres = (litres) => `${litres.toFixed(1)} L`;
+
+/**
+ * Hint for the current reason of the UNKNOWN state
+ */
+const UNKNOWN_HINTS = {
+    too_dark: 'It\'s too dark here - could you turn on the light?',
+    overexposed: 'There\'s too much light in my eyes.',
+    low_confidence: 'Something is in the way, or the sink looks different today.',
+    high_entropy: 'Something is in the way, or the sink looks different today.'
+};
+
+/**
+ * Recommended handwash duration as shown to the user ("20 seconds")
+ */
+const handwashDuration = () => {
+    const seconds = Math.round(FLOW_TIMING.HANDWASH_DURATION / 1000);
+    return `${seconds} second${seconds === 1 ? '' : 's'}`;
+};
+
+/**
+ * Gentle note when a coached handwash was cut short
+ */
+const handwashNote = () => appState.get('handwashIncomplete')
+    ? `<p class="handwash-note">That was a quick one! Next time, try scrubbing for ${handwashDuration()} 🫧</p>`
+    : '';
 
 // Page templates
 const TEMPLATES = {
@@ -27,6 +60,7 @@ const TEMPLATES = {
                 <div class="idle-message">
                     <p>Waiting for detection to start...</p>
                     <button id="btn-start-detection" class="btn btn-start">Start Detection</button>
+                    <a href="#settings" class="btn btn-settings">Camera Settings</a>
                 </div>
             </div>
         `;
@@ -61,6 +95,7 @@ const TEMPLATES = {
         <div class="page-content page-musicplaying-content">
             <div id="center-container"></div>
             <div id="corner-lottie"></div>
+            <div id="now-playing" class="now-playing"></div>
             <button id="btn-quit-music" class="btn btn-quit-music">Stop Music</button>
         </div>
     `,
@@ -77,6 +112,141 @@ const TEMPLATES = {
 
     bye: () => `
         <div class="page-content page-bye-content">
+            ${handwashNote()}
+        </div>
+    `,
+
+    eco: () => {
+        const session = waterTracker.getSessionUsage();
+        const today = waterTracker.getTodayUsage();
+        const week = waterTracker.getLastWeekUsage();
+
+        return `
+            <div class="page-content page-eco-content">
+                <div class="eco-summary">
+                    <p class="eco-session">💧 ${formatLitres(session.litres)} this time</p>
+                    ${session.wastedLitres >= 0.1 ? `<p class="eco-wasted">${formatLitres(session.wastedLitres)} ran while you were away</p>` : ''}
+                    <p class="eco-totals">Today ${formatLitres(today.litres)} · Last 7 days ${formatLitres(week.litres)}</p>
+                    ${handwashNote()}
+                </div>
+            </div>
+        `;
+    },
+
+    handwash: () => `
+        <div class="page-content page-handwash-content">
+            <div class="handwash-coach">
+                <div id="handwash-countdown" class="handwash-countdown"></div>
+                <p id="handwash-step-label" class="handwash-step-label"></p>
+                <ol id="handwash-steps" class="handwash-steps">
+                    ${HANDWASH_STEPS.map(step => `
+                        <li class="handwash-step" data-step="${step.id}">${step.icon}</li>
+                    `).join('')}
+                </ol>
+                <div class="handwash-progress">
+                    <div id="handwash-progress-fill" class="handwash-progress-fill"></div>
+                </div>
+            </div>
+        </div>
+    `,
+
+    handwashdone: () => `
+        <div class="page-content page-handwashdone-content">
+            <p class="handwash-celebration">🎉 ${handwashDuration()} - well done! 🎉</p>
+        </div>
+    `,
+
+    cantsee: () => `
+        <div class="page-content page-cantsee-content">
+            <p class="cantsee-message">Please check that the camera is plugged in and uncovered.</p>
+            <p id="camera-retry-status" class="cantsee-status">Reconnecting…</p>
+        </div>
+    `,
+
+    unsure: () => `
+        <div class="page-content page-cantsee-content">
+            <p class="cantsee-message">${UNKNOWN_HINTS[appState.get('unknownReason')] || 'Please check that the camera is uncovered.'}</p>
+            <p class="cantsee-status">I'll keep an eye on things as soon as I can see again.</p>
+        </div>
+    `,
+
+    settings: () => `
+        <div class="page-content page-settings-content">
+            <div class="settings-preview">
+                <canvas id="settings-preview"></canvas>
+                <p id="settings-status" class="settings-status"></p>
+            </div>
+            <form id="camera-settings" class="settings-form" onsubmit="return false">
+                <label>Camera <select data-setting="cameraDeviceId"></select></label>
+                <label>Facing <select data-setting="cameraFacingMode"></select></label>
+                <label>Resolution <select data-setting="cameraResolution"></select></label>
+                <label>Frame rate <select data-setting="cameraFrameRate"></select></label>
+                <label>Rotation <select data-setting="cameraRotation"></select></label>
+                <label>Flow mode <select data-setting="flowMode"></select></label>
+                <label>Voice language <select data-setting="voiceLanguage"></select></label>
+                <label>Voice <select data-setting="voicePersonality"></select></label>
+                <fieldset id="settings-exposure" hidden>
+                    <legend>Exposure</legend>
+                    <select data-setting="cameraExposureMode" data-mode>
+                        <option value="auto">Auto</option>
+                        <option value="manual">Manual</option>
+                    </select>
+                    <input type="range" data-setting="cameraExposureCompensation">
+                </fieldset>
+                <fieldset id="settings-whitebalance" hidden>
+                    <legend>White balance</legend>
+                    <select data-setting="cameraWhiteBalanceMode" data-mode>
+                        <option value="auto">Auto</option>
+                        <option value="manual">Manual</option>
+                    </select>
+                    <input type="range" data-setting="cameraColorTemperature">
+                </fieldset>
+            </form>
+            <div class="settings-actions">
+                <a href="#calibrate" class="btn">Calibrate Regions</a>
+                <a href="#teach" class="btn">Teach</a>
+                <button id="btn-settings-back" class="btn">Back</button>
+            </div>
+        </div>
+    `,
+
+    calibrate: () => `
+        <div class="page-content page-calibrate-content">
+            <div class="settings-preview">
+                <canvas id="calibrate-preview" class="calibrate-preview"></canvas>
+                <p id="calibrate-status" class="settings-status"></p>
+            </div>
+            <div class="settings-actions">
+                ${Object.entries(ROI_REGIONS).map(([region, { label }]) => `
+                    <button class="btn" data-roi-region="${region}">${label} area</button>
+                `).join('')}
+                <button id="btn-calibrate-clear" class="btn">Clear</button>
+                <button id="btn-calibrate-done" class="btn">Done</button>
+            </div>
+        </div>
+    `,
+
+    teach: () => `
+        <div class="page-content page-teach-content">
+            <div class="settings-preview">
+                <canvas id="teach-preview"></canvas>
+                <p id="teach-status" class="settings-status">Hold a class button to record examples</p>
+            </div>
+            <div class="settings-actions">
+                ${Object.entries(CLASSES).map(([classNum, { name }]) => `
+                    <button class="btn" data-teach-class="${classNum}">
+                        ${name} <span class="teach-count" data-teach-count="${classNum}">0</span>
+                    </button>
+                `).join('')}
+            </div>
+            <div class="settings-actions">
+                <button id="btn-teach-train" class="btn">Train</button>
+                <button id="btn-teach-clear" class="btn">Clear Samples</button>
+                <button id="btn-teach-use-trained" class="btn" hidden>Use Trained Model</button>
+                <button id="btn-teach-rollback" class="btn">Use Bundled Model</button>
+                <button id="btn-teach-done" class="btn">Done</button>
+            </div>
+            <p id="teach-model" class="settings-status"></p>
         </div>
     `,
 
@@ -0,0 +1,60 @@
+/**
+ * Sequence Indicator Module
+ * Shows the gesture sequence in flight (ml/gestureSequences.js)
+ *
+ * One dot per step of the pattern, filled as steps are made; a completed
+ * sequence flashes briefly. Hidden when nothing is in flight.
+ */
+
+import { EventBus } from '../core/eventBus.js';
+
+class SequenceIndicator {
+    constructor() {
+        this.element = null;
+    }
+
+    /**
+     * Listen for sequence progress
+     */
+    initialize() {
+        this.element = document.getElementById('sequence-progress');
+        if (!this.element) return false;
+
+        EventBus.on('gesture:sequenceProgress', ({ progress }) => this.render(progress));
+        return true;
+    }
+
+    /**
+     * Show a pattern's progress (null hides the indicator)
+     * @param {Object|null} progress - { label, icon, step, steps, done }
+     */
+    render(progress) {
+        const { element } = this;
+        if (!element) return;
+
+        element.classList.toggle('visible', !!progress);
+        element.classList.toggle('done', !!progress?.done);
+        if (!progress) return;
+
+        element.innerHTML = '';
+
+        const icon = document.createElement('span');
+        icon.className = 'sequence-icon';
+        icon.textContent = progress.icon || '✋';
+
+        const dots = document.createElement('span');
+        dots.className = 'sequence-dots';
+        for (let i = 0; i < progress.steps; i++) {
+            const dot = document.createElement('span');
+            dot.className = `sequence-dot${i < progress.step ? ' filled' : ''}`;
+            dots.appendChild(dot);
+        }
+
+        element.append(icon, dots);
+        element.title = progress.label;
+    }
+}
+
+// Export singleton instance
+export const sequenceIndicator = new SequenceIndicator();
+export default sequenceIndicator;
@@ -0,0 +1,177 @@
+/**
+ * Settings Screen Module
+ * Camera selection and tuning with a live preview, the flow mode and the voice
+ * (language, personality)
+ *
+ * Form fields carry a `data-setting` attribute with the settings key they edit.
+ * Exposure and white balance controls only show when the camera supports them.
+ */
+
+import { CAMERA_OPTIONS, SETTINGS_DEFAULTS, VOICE_PERSONALITIES } from '../config/config.js';
+import { FLOWS } from '../config/flow.js';
+import { PHRASE_PACKS } from '../config/phrases.js';
+import { EventBus } from '../core/eventBus.js';
+import { settings } from '../core/settings.js';
+import { stateDetector } from '../ml/stateDetector.js';
+import { CameraPreview } from './cameraPreview.js';
+
+class SettingsScreen {
+    constructor() {
+        this.isOpen = false;
+        this.preview = new CameraPreview();
+    }
+
+    /**
+     * Listen for the settings page being rendered/left
+     */
+    initialize() {
+        EventBus.on('page:rendered', ({ routeName }) => {
+            if (routeName === 'settings') {
+                this.open();
+            } else if (this.isOpen) {
+                this.close();
+            }
+        });
+
+        // Camera reopened with new settings - refresh supported controls
+        EventBus.on('ml:webcamReady', () => {
+            if (this.isOpen) this.populate();
+        });
+
+        return true;
+    }
+
+    /**
+     * Fill the form and start the preview
+     */
+    async open() {
+        if (this.isOpen) this.close();
+        this.isOpen = true;
+        this.bindForm();
+
+        const available = await this.preview.acquire();
+        if (!this.isOpen) return;
+        if (!available) this.setStatus('Camera not available');
+
+        await this.populate();
+        this.preview.start(document.getElementById('settings-preview'));
+    }
+
+    /**
+     * Stop the preview (and its camera)
+     */
+    close() {
+        this.isOpen = false;
+        this.preview.stop();
+    }
+
+    /**
+     * Fill selects with options and current values
+     */
+    async populate() {
+        const cameras = await stateDetector.listCameras();
+        this.fillSelect('cameraDeviceId', [
+            { value: '', label: 'Default (by facing mode)' },
+            ...cameras.map(camera => ({ value: camera.deviceId, label: camera.label }))
+        ]);
+        this.fillSelect('cameraFacingMode', [
+            { value: 'user', label: 'Front' },
+            { value: 'environment', label: 'Back' }
+        ]);
+        this.fillSelect('cameraResolution', CAMERA_OPTIONS.resolutions.map(value => ({ value, label: value })));
+        this.fillSelect('cameraFrameRate', CAMERA_OPTIONS.frameRates.map(value => ({ value, label: `${value} fps` })));
+        this.fillSelect('cameraRotation', CAMERA_OPTIONS.rotations.map(value => ({ value, label: `${value}°` })));
+        this.fillSelect('flowMode', Object.entries(FLOWS).map(([value, { label }]) => ({ value, label })));
+        this.fillSelect('voiceLanguage', Object.entries(PHRASE_PACKS).map(([value, { name }]) => ({ value, label: name })));
+        this.fillSelect('voicePersonality', Object.entries(VOICE_PERSONALITIES).map(([value, { label }]) => ({ value, label })));
+
+        const capabilities = stateDetector.getCapabilities();
+        this.setupCapability('exposure', capabilities.exposureMode || capabilities.exposureCompensation,
+            'cameraExposureCompensation', capabilities.exposureCompensation);
+        this.setupCapability('whitebalance', capabilities.whiteBalanceMode || capabilities.colorTemperature,
+            'cameraColorTemperature', capabilities.colorTemperature);
+
+        this.updateModeSelects();
+
+        const { width, height, frameRate } = stateDetector.getVideoTrack()?.getSettings?.() || {};
+        if (width) {
+            this.setStatus(`Camera: ${width}×${height} @ ${Math.round(frameRate || 0)} fps`);
+        }
+    }
+
+    /**
+     * Replace the options of a select and select the current setting
+     */
+    fillSelect(key, options) {
+        const select = document.querySelector(`select[data-setting="${key}"]`);
+        if (!select) return;
+
+        const current = String(settings.get(key));
+        select.innerHTML = options.map(({ value, label }) => `
+            <option value="${value}" ${String(value) === current ? 'selected' : ''}>${label}</option>
+        `).join('');
+    }
+
+    /**
+     * Show a capability group and set its range input from the capability
+     */
+    setupCapability(group, supported, key, range) {
+        const groupEl = document.getElementById(`settings-${group}`);
+        if (groupEl) groupEl.hidden = !supported;
+
+        const input = document.querySelector(`input[data-setting="${key}"]`);
+        if (!input) return;
+
+        input.disabled = !range;
+        if (range) {
+            input.min = range.min;
+            input.max = range.max;
+            input.step = range.step || 1;
+            input.value = settings.get(key) || (range.min + range.max) / 2;
+        }
+    }
+
+    /**
+     * Select the current auto/manual modes
+     */
+    updateModeSelects() {
+        document.querySelectorAll('.settings-form select[data-mode]').forEach(select => {
+            select.value = settings.get(select.dataset.setting);
+        });
+    }
+
+    /**
+     * Write form changes to settings (the camera reacts to settings changes)
+     */
+    bindForm() {
+        const form = document.getElementById('camera-settings');
+        if (!form) return;
+
+        form.addEventListener('change', (event) => {
+            const key = event.target.dataset.setting;
+            if (!key) return;
+
+            const value = typeof SETTINGS_DEFAULTS[key] === 'number'
+                ? Number(event.target.value)
+                : event.target.value;
+            settings.set(key, value);
+        });
+
+        const backBtn = document.getElementById('btn-settings-back');
+        if (backBtn) {
+            backBtn.addEventListener('click', () => EventBus.emit('settings:close'));
+        }
+    }
+
+    /**
+     * Show a status line under the preview
+     */
+    setStatus(text) {
+        const statusEl = document.getElementById('settings-status');
+        if (statusEl) statusEl.textContent = text;
+    }
+}
+
+// Export singleton instance
+export const settingsScreen = new SettingsScreen();
+export default settingsScreen;
@@ -0,0 +1,261 @@
+/**
+ * Teach Screen Module
+ * Record labelled frames per class and retrain the state model on the device
+ *
+ * Holding a class button stores a frame every teachCaptureIntervalMs (see
+ * ml/modelTrainer.js). Training saves the model and makes it active; the
+ * bundled model can be restored at any time.
+ */
+
+import { CONFIG, CLASSES } from '../config/config.js';
+import { EventBus } from '../core/eventBus.js';
+import { settings } from '../core/settings.js';
+import { modelTrainer } from '../ml/modelTrainer.js';
+import { stateDetector } from '../ml/stateDetector.js';
+import { CameraPreview } from './cameraPreview.js';
+
+const STAGE_LABELS = {
+    loading: 'Loading the bundled model…',
+    embedding: 'Reading samples…',
+    saving: 'Saving the model…'
+};
+
+class TeachScreen {
+    constructor() {
+        this.isOpen = false;
+        this.preview = new CameraPreview();
+        this.captureClass = null;       // Class being recorded
+        this.captureTimeoutId = null;
+    }
+
+    /**
+     * Listen for the teach page being rendered/left
+     */
+    initialize() {
+        EventBus.on('page:rendered', ({ routeName }) => {
+            if (routeName === 'teach') {
+                this.open();
+            } else if (this.isOpen) {
+                this.close();
+            }
+        });
+
+        EventBus.on('teach:sampleAdded', ({ classNum, count }) => {
+            if (this.isOpen) this.setCount(classNum, count);
+        });
+
+        return true;
+    }
+
+    /**
+     * Bind controls, show sample counts and start the preview
+     */
+    async open() {
+        if (this.isOpen) this.close();
+        this.isOpen = true;
+        this.bindControls();
+
+        if (CONFIG.stateModelMode === 'split') {
+            this.setStatus('Teach mode retrains the 4-class model, which split mode doesn\'t use');
+        }
+
+        this.updateCounts();
+        this.updateModelInfo();
+
+        const available = await this.preview.acquire();
+        if (!this.isOpen) return;
+        if (!available) this.setStatus('Camera not available');
+
+        this.preview.start(document.getElementById('teach-preview'));
+    }
+
+    /**
+     * Stop recording and the preview
+     */
+    close() {
+        this.isOpen = false;
+        this.stopCapture();
+        this.preview.stop();
+    }
+
+    /**
+     * Bind class (hold to record), train, clear, model and done buttons
+     */
+    bindControls() {
+        document.querySelectorAll('[data-teach-class]').forEach(button => {
+            const classNum = Number(button.dataset.teachClass);
+            button.addEventListener('pointerdown', () => this.startCapture(classNum));
+            ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => {
+                button.addEventListener(type, () => this.stopCapture());
+            });
+        });
+
+        const bind = (id, handler) => {
+            const button = document.getElementById(id);
+            if (button) button.addEventListener('click', handler);
+        };
+
+        bind('btn-teach-train', () => this.train());
+        bind('btn-teach-clear', async () => {
+            await modelTrainer.clearSamples();
+            this.updateCounts();
+            this.setStatus('Samples cleared');
+        });
+        bind('btn-teach-use-trained', () => {
+            modelTrainer.activate('trained');
+            this.updateModelInfo();
+        });
+        bind('btn-teach-rollback', () => {
+            modelTrainer.activate('bundled');
+            this.updateModelInfo();
+            this.setStatus('Using the bundled model');
+        });
+        bind('btn-teach-done', () => EventBus.emit('settings:close'));
+    }
+
+    /**
+     * Record frames for a class until stopCapture()
+     */
+    startCapture(classNum) {
+        this.stopCapture();
+        if (modelTrainer.isTraining) return;
+
+        if (!stateDetector.hasWebcam()) {
+            this.setStatus('Camera not available');
+            return;
+        }
+
+        this.captureClass = classNum;
+        this.toggleRecording(classNum, true);
+
+        const capture = async () => {
+            let added = false;
+            try {
+                added = await modelTrainer.captureSample(classNum, stateDetector.getInputCanvas());
+            } catch (error) {
+                console.error('Sample capture failed:', error);
+                this.setStatus('Could not store the sample');
+                this.stopCapture();
+                return;
+            }
+            if (this.captureClass !== classNum) return;
+
+            if (!added) {
+                this.setStatus(`${CLASSES[classNum].name}: sample limit reached (${CONFIG.teachMaxSamples})`);
+                this.stopCapture();
+                return;
+            }
+            this.captureTimeoutId = setTimeout(capture, CONFIG.teachCaptureIntervalMs);
+        };
+        capture();
+    }
+
+    /**
+     * Stop recording
+     */
+    stopCapture() {
+        if (this.captureTimeoutId) {
+            clearTimeout(this.captureTimeoutId);
+            this.captureTimeoutId = null;
+        }
+        if (this.captureClass !== null) {
+            this.toggleRecording(this.captureClass, false);
+            this.captureClass = null;
+        }
+    }
+
+    /**
+     * Retrain and activate the new model
+     */
+    async train() {
+        if (modelTrainer.isTraining) return;
+        this.stopCapture();
+
+        const trainBtn = document.getElementById('btn-teach-train');
+        if (trainBtn) trainBtn.disabled = true;
+
+        try {
+            const record = await modelTrainer.train(({ stage, epoch, epochs, accuracy }) => {
+                if (!this.isOpen) return;
+                this.setStatus(stage === 'training'
+                    ? `Training ${epoch}/${epochs}${accuracy !== null ? ` - accuracy ${(accuracy * 100).toFixed(0)}%` : ''}`
+                    : STAGE_LABELS[stage]);
+            });
+
+            modelTrainer.activate('trained');
+            if (!this.isOpen) return;
+
+            this.setStatus(`Trained model active${record.accuracy !== null ? ` (accuracy ${(record.accuracy * 100).toFixed(0)}%)` : ''}`);
+            this.updateModelInfo();
+        } catch (error) {
+            console.error('Training failed:', error);
+            if (this.isOpen) this.setStatus(`Training failed: ${error.message}`);
+        } finally {
+            if (trainBtn) trainBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Show the number of samples per class
+     */
+    async updateCounts() {
+        try {
+            const counts = await modelTrainer.getSampleCounts();
+            Object.entries(counts).forEach(([classNum, count]) => this.setCount(classNum, count));
+        } catch (error) {
+            console.warn('Sample counts not available:', error);
+            this.setStatus('Storage not available - samples can\'t be recorded');
+        }
+    }
+
+    /**
+     * Show which model is active and enable the switch buttons
+     */
+    async updateModelInfo() {
+        const trained = await modelTrainer.getTrainedModel();
+        if (!this.isOpen) return;
+
+        const usingTrained = settings.get('stateModelSource') === 'trained' && trained;
+
+        const useTrainedBtn = document.getElementById('btn-teach-use-trained');
+        if (useTrainedBtn) useTrainedBtn.hidden = !trained || usingTrained;
+
+        const rollbackBtn = document.getElementById('btn-teach-rollback');
+        if (rollbackBtn) rollbackBtn.disabled = !usingTrained;
+
+        const infoEl = document.getElementById('teach-model');
+        if (infoEl) {
+            infoEl.textContent = usingTrained
+                ? `Active: trained model (${new Date(trained.trainedAt).toLocaleString()})`
+                : 'Active: bundled model';
+        }
+    }
+
+    /**
+     * Update a class button's sample count
+     */
+    setCount(classNum, count) {
+        const countEl = document.querySelector(`[data-teach-count="${classNum}"]`);
+        if (countEl) countEl.textContent = count;
+    }
+
+    /**
+     * Highlight the class being recorded
+     */
+    toggleRecording(classNum, recording) {
+        const button = document.querySelector(`[data-teach-class="${classNum}"]`);
+        if (button) button.classList.toggle('recording', recording);
+    }
+
+    /**
+     * Show a status line under the preview
+     */
+    setStatus(text) {
+        const statusEl = document.getElementById('teach-status');
+        if (statusEl) statusEl.textContent = text;
+    }
+}
+
+// Export singleton instance
+export const teachScreen = new TeachScreen();
+export default teachScreen;
@@ -0,0 +1,230 @@
+/**
+ * Voice Manager Module
+ * What Wama says on each route: recorded clip, text-to-speech or nothing
+ *
+ * In CONFIG.recordedVoiceLanguage a route's recorded clip plays when its file
+ * is there; otherwise (a missing clip, or another language) the route's
+ * phrase from the selected pack (config/phrases.js) is spoken with
+ * speechSynthesis, in the voice, rate and pitch of the selected personality
+ * (VOICE_PERSONALITIES). Without either the route stays silent. A spoken
+ * phrase ducks the music like a voice clip and follows the voice bus volume.
+ */
+
+import { CONFIG, VOICE_PERSONALITIES } from '../config/config.js';
+import { PHRASE_PACKS, DEFAULT_LANGUAGE } from '../config/phrases.js';
+import { EventBus } from '../core/eventBus.js';
+import { settings } from '../core/settings.js';
+import { sessionRecorder } from '../services/sessionRecorder.js';
+import { waterTracker } from '../services/waterTracker.js';
+import { audioManager } from './audioManager.js';
+import { audioMixer } from './audioMixer.js';
+
+// Smallest amount of water worth mentioning (litres)
+const MIN_LITRES = 0.1;
+
+/**
+ * Variable names used in a phrase ("{litres}" → litres)
+ */
+const getPlaceholders = (text) => [...text.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+
+class VoiceManager {
+    constructor() {
+        this.synth = null;
+        this.voices = [];
+        this.utterance = null;          // Phrase being spoken
+        this.route = null;              // { name, clip } of the route shown last
+    }
+
+    /**
+     * Find speech synthesis and its voices
+     */
+    initialize() {
+        this.synth = window.speechSynthesis || null;
+        if (this.synth) {
+            this.loadVoices();
+            // Voices load asynchronously in most browsers
+            this.synth.addEventListener?.('voiceschanged', () => this.loadVoices());
+        } else {
+            console.warn('Speech synthesis not supported - recorded clips only');
+        }
+
+        // The recorded clip turned out to be missing - say the phrase instead
+        EventBus.on('audio:error', ({ name, error }) => {
+            if (this.route?.clip === name && error?.name === 'NotSupportedError') {
+                this.speakPhrase(this.route.name);
+            }
+        });
+
+        EventBus.on('app:suspended', () => this.cancel());
+
+        return true;
+    }
+
+    /**
+     * Keep the list of system voices
+     */
+    loadVoices() {
+        this.voices = this.synth.getVoices();
+    }
+
+    /**
+     * Voice a route: recorded clip, then text-to-speech, then silence
+     * (in another language than the clips, the phrase comes first)
+     * @returns {string} 'clip' | 'tts' | 'silent'
+     */
+    playForRoute(routeName, routeConfig) {
+        this.cancel();
+
+        const clip = routeConfig.audio ? routeConfig.audio.replace('audio-', '') : null;
+        this.route = { name: routeName, clip };
+
+        const clipAvailable = clip && audioManager.isAvailable(clip);
+        const clipFirst = settings.get('voiceLanguage') === CONFIG.recordedVoiceLanguage;
+
+        if (clipAvailable && clipFirst) {
+            audioManager.playForRoute(routeConfig);
+            return 'clip';
+        }
+
+        // Leave the route's previous sounds as a route without audio would
+        audioManager.playForRoute({ ...routeConfig, audio: null });
+        if (this.speakPhrase(routeName)) return 'tts';
+
+        if (clipAvailable) {
+            audioManager.playForRoute(routeConfig);
+            return 'clip';
+        }
+        return 'silent';
+    }
+
+    /**
+     * Speak a route's phrase
+     * @returns {boolean} False when there is no phrase or no speech synthesis
+     */
+    speakPhrase(routeName) {
+        const text = this.getPhrase(routeName);
+        return text ? this.speak(text) : false;
+    }
+
+    /**
+     * Phrase for a route in the selected language, variables filled in
+     * @returns {string|null}
+     */
+    getPhrase(routeName) {
+        const pack = this.getPack();
+        const entry = pack.routes[routeName];
+        if (!entry) return null;
+
+        const variables = this.getVariables(pack);
+        const candidates = [].concat(entry)
+            .filter(text => getPlaceholders(text).every(name => variables[name] !== undefined));
+        if (candidates.length === 0) return null;
+
+        // The most detailed phrases win, one of them at random
+        const detail = Math.max(...candidates.map(text => getPlaceholders(text).length));
+        const best = candidates.filter(text => getPlaceholders(text).length === detail);
+        const text = best[Math.floor(Math.random() * best.length)];
+
+        return text.replace(/\{(\w+)\}/g, (match, name) => variables[name]);
+    }
+
+    /**
+     * Values of the phrase variables that are known right now, formatted
+     */
+    getVariables(pack) {
+        const variables = {};
+
+        const session = sessionRecorder.getCurrentSession();
+        if (session) {
+            variables.duration = pack.format.duration((Date.now() - session.startTime) / 1000);
+        }
+
+        const usage = waterTracker.getSessionUsage();
+        if (usage.litres >= MIN_LITRES) variables.litres = pack.format.litres(usage.litres);
+        if (usage.wastedLitres >= MIN_LITRES) variables.wasted = pack.format.litres(usage.wastedLitres);
+
+        const today = waterTracker.getTodayUsage();
+        if (today.litres >= MIN_LITRES) variables.today = pack.format.litres(today.litres);
+
+        return variables;
+    }
+
+    /**
+     * Speak a text in the selected personality's voice
+     * @returns {boolean} False without speech synthesis (or with TTS turned off)
+     */
+    speak(text) {
+        if (!this.synth || !settings.get('voiceTts')) return false;
+
+        this.cancel();
+
+        // Muted voice bus: the phrase counts as said
+        const volume = audioMixer.getOutputLevel('voice');
+        if (volume <= 0) return true;
+
+        const pack = this.getPack();
+        const personality = VOICE_PERSONALITIES[settings.get('voicePersonality')] || Object.values(VOICE_PERSONALITIES)[0];
+
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.lang = pack.lang;
+        utterance.voice = this.pickVoice(pack.lang, personality);
+        utterance.rate = personality.rate;
+        utterance.pitch = personality.pitch;
+        utterance.volume = volume;
+
+        const finish = () => {
+            if (this.utterance !== utterance) return;
+            this.utterance = null;
+            audioManager.setSpeaking(false);
+            EventBus.emit('voice:done', { text });
+        };
+        utterance.onend = finish;
+        utterance.onerror = finish;
+
+        this.utterance = utterance;
+        audioManager.setSpeaking(true);
+        this.synth.speak(utterance);
+
+        console.log(`Speaking: ${text}`);
+        EventBus.emit('voice:speaking', { text, lang: pack.lang });
+        return true;
+    }
+
+    /**
+     * Stop the phrase being spoken
+     */
+    cancel() {
+        if (!this.utterance) return;
+
+        this.utterance = null;
+        this.synth.cancel();
+        audioManager.setSpeaking(false);
+    }
+
+    /**
+     * System voice for a language: the personality's preferred one, else any
+     * @returns {SpeechSynthesisVoice|null} Null lets the browser pick by `lang`
+     */
+    pickVoice(lang, personality) {
+        const language = lang.split('-')[0].toLowerCase();
+        const voices = this.voices.filter(voice => voice.lang.replace('_', '-').toLowerCase().split('-')[0] === language);
+
+        for (const name of personality.voices) {
+            const match = voices.find(voice => voice.name.includes(name));
+            if (match) return match;
+        }
+
+        return voices.find(voice => voice.lang === lang) || voices[0] || null;
+    }
+
+    /**
+     * Selected phrase pack
+     */
+    getPack() {
+        return PHRASE_PACKS[settings.get('voiceLanguage')] || PHRASE_PACKS[DEFAULT_LANGUAGE];
+    }
+}
+
+// Export singleton instance
+export const voiceManager = new VoiceManager();
+export default voiceManager;
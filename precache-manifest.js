@@ -0,0 +1,141 @@
+/**
+ * Precache Manifest for the service worker (sw.js)
+ *
+ * Bump `version` when any shell file changes and `mediaVersion` when a file in
+ * `media` or `assets` changes - open pages then get an "update available"
+ * message and apply it at the next IDLE moment (core/updateManager.js).
+ * Media is kept across shell updates, so releasing code doesn't re-download
+ * the libraries and models.
+ */
+
+self.PRECACHE_MANIFEST = {
+    version: 11,
+    mediaVersion: 4,
+
+    // App shell (relative to the app folder) - stale-while-revalidate
+    shell: [
+        './',
+        'index.html',
+        'manifest.json',
+        'images/icon.svg',
+
+        'css/main.css',
+        'css/pages.css',
+        'css/animations.css',
+        'css/debug.css',
+        'css/ios-pwa.css',
+
+        'js/main.js',
+        'js/config/config.js',
+        'js/config/flow.js',
+        'js/config/phrases.js',
+        'js/config/routes.js',
+        'js/config/sequences.js',
+        'js/controllers/appController.js',
+        'js/core/eventBus.js',
+        'js/core/flowMachine.js',
+        'js/core/persistence.js',
+        'js/core/router.js',
+        'js/core/settings.js',
+        'js/core/state.js',
+        'js/core/storage.js',
+        'js/core/updateManager.js',
+        'js/core/vendorLoader.js',
+        'js/ml/binaryDetector.js',
+        'js/ml/cameraMonitor.js',
+        'js/ml/frameUtils.js',
+        'js/ml/handGeometry.js',
+        'js/ml/customGestures.js',
+        'js/ml/gestureSequences.js',
+        'js/ml/gestureClassifiers.js',
+        'js/ml/gestureDetector.js',
+        'js/ml/inferenceClient.js',
+        'js/ml/inferenceScheduler.js',
+        'js/ml/inferenceWorker.js',
+        'js/ml/modelTrainer.js',
+        'js/ml/roi.js',
+        'js/ml/smoothing.js',
+        'js/ml/stateDetector.js',
+        'js/ml/uncertaintyMonitor.js',
+        'js/services/musicLibrary.js',
+        'js/services/sessionRecorder.js',
+        'js/services/waterTracker.js',
+        'js/ui/animationManager.js',
+        'js/ui/audioManager.js',
+        'js/ui/audioMixer.js',
+        'js/ui/calibrationScreen.js',
+        'js/ui/cameraPreview.js',
+        'js/ui/debugPanel.js',
+        'js/ui/debugSimulation.js',
+        'js/ui/gestureRecorder.js',
+        'js/ui/handwashCoach.js',
+        'js/ui/nowPlaying.js',
+        'js/ui/pageRenderer.js',
+        'js/ui/sequenceIndicator.js',
+        'js/ui/settingsScreen.js',
+        'js/ui/teachScreen.js',
+        'js/ui/voiceManager.js'
+    ],
+
+    // Music library manifest: the files of its tracks are precached with the media
+    musicLibrary: 'assets/audio/music/library.json',
+
+    // Audio and animations (relative to the app folder) - cache-first
+    media: [
+        'assets/animations/Waves.json',
+        'assets/animations/bye.json',
+        'assets/animations/dancing.svg',
+        'assets/animations/hello.json',
+        'assets/animations/jukebox.svg',
+        'assets/animations/music-note.json',
+        'assets/animations/worker.svg',
+        'assets/animations/working.json',
+        'assets/animations/worried.svg',
+        'assets/animations/youreback.svg',
+        'assets/animations/handwash/wet.svg',
+        'assets/animations/handwash/soap.svg',
+        'assets/animations/handwash/palms.svg',
+        'assets/animations/handwash/backs.svg',
+        'assets/animations/handwash/fingers.svg',
+        'assets/animations/handwash/thumbs.svg',
+        'assets/animations/handwash/rinse.svg',
+
+        'assets/audio/music.mp3',
+        'assets/audio/music/library.json',
+        'assets/audio/askmusic.mp3',
+        'assets/audio/hello.mp3',
+        'assets/audio/howareyou.mp3',
+        'assets/audio/bye.mp3',
+        'assets/audio/worried.mp3',
+        'assets/audio/youreback.mp3'
+    ],
+
+    // Vendored libraries and models (relative to the asset base) - cache-first
+    // Missing optional files (split models) are skipped on install.
+    assets: [
+        'vendor/tfjs/tf.min.js',
+        'vendor/teachablemachine-image/teachablemachine-image.min.js',
+        'vendor/lottie-web/lottie.min.js',
+
+        'vendor/mediapipe-hands/hands.js',
+        'vendor/mediapipe-hands/hands.binarypb',
+        'vendor/mediapipe-hands/hands_solution_packed_assets.data',
+        'vendor/mediapipe-hands/hands_solution_packed_assets_loader.js',
+        'vendor/mediapipe-hands/hands_solution_simd_wasm_bin.js',
+        'vendor/mediapipe-hands/hands_solution_simd_wasm_bin.wasm',
+        'vendor/mediapipe-hands/hands_solution_wasm_bin.js',
+        'vendor/mediapipe-hands/hands_solution_wasm_bin.wasm',
+        'vendor/mediapipe-hands/hand_landmark_full.tflite',
+        'vendor/mediapipe-hands/hand_landmark_lite.tflite',
+
+        'models/state-model/model.json',
+        'models/state-model/metadata.json',
+        'models/state-model/weights.bin',
+        'models/person-model/model.json',
+        'models/person-model/metadata.json',
+        'models/person-model/weights.bin',
+        'models/water-model/model.json',
+        'models/water-model/metadata.json',
+        'models/water-model/weights.bin'
+    ]
+};
@@ -1,21 +1,231 @@
 /**
  * Service Worker for MAInD Wama PWA
- * Minimal SW to enable "Add to Home Screen" and standalone mode on iOS.
+ * Offline caching and updates (sinks often have flaky or no Wi-Fi)
+ *
+ * - Files listed in precache-manifest.js are cached on install, with the
+ *   tracks of the music library
+ * - Models, vendored libraries, audio and animations: cache-first
+ * - App shell (html, js, css): stale-while-revalidate
+ * - Caches of older versions are deleted on activate
+ *
+ * A new version waits instead of taking over: open pages get an
+ * UPDATE_AVAILABLE message and send SKIP_WAITING when they are idle
+ * (see js/core/updateManager.js).
+ *
+ * Vendored libraries and models are looked up under the asset base passed as
+ * `?assets=` on registration (<meta name="wama-asset-base"> in index.html).
  */
 
-const CACHE_NAME = 'wama-v1';
+importScripts('./precache-manifest.js');
 
-// Install - cache shell assets
+const MANIFEST = self.PRECACHE_MANIFEST;
+const VERSION = `${MANIFEST.version}.${MANIFEST.mediaVersion}`;
+
+const CACHE_PREFIX = 'wama-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-v${MANIFEST.version}`;
+const MEDIA_CACHE = `${CACHE_PREFIX}media-v${MANIFEST.mediaVersion}`;
+
+const SCOPE = self.registration.scope;
+const ASSET_BASE = new URL(
+    new URL(self.location.href).searchParams.get('assets') || './',
+    SCOPE
+).href.replace(/\/?$/, '/');
+
+// Cache-first paths (under the app folder or the asset base)
+const MEDIA_PATTERN = /\/(vendor|models|assets\/audio|assets\/animations)\//;
+
+const SHELL_URLS = MANIFEST.shell.map(path => new URL(path, SCOPE).href);
+const MEDIA_URLS = [
+    ...MANIFEST.media.map(path => new URL(path, SCOPE).href),
+    ...MANIFEST.assets.map(path => new URL(path, ASSET_BASE).href)
+];
+
+/**
+ * Add URLs to a cache one by one
+ * Optional files (split models, audio not copied yet) may be missing and
+ * shouldn't stop the rest from being cached; a missing required file (shell)
+ * rejects, so the install fails and the old version stays active.
+ * @param {boolean} fresh - Bypass the HTTP cache (shell files of a new version)
+ * @param {boolean} skipCached - Keep entries already in the cache (media)
+ * @param {boolean} required - Every file must be cached
+ */
+async function precache(cacheName, urls, { fresh = false, skipCached = false, required = false } = {}) {
+    const cache = await caches.open(cacheName);
+
+    await Promise.all(urls.map(async (url) => {
+        if (skipCached && await cache.match(url)) return;
+
+        try {
+            await cache.add(new Request(url, fresh ? { cache: 'reload' } : {}));
+        } catch (error) {
+            if (required) throw new Error(`SW: could not precache ${url}`);
+            console.warn('SW: not precached', url);
+        }
+    }));
+}
+
+/**
+ * Files of the music library's tracks (same origin only - a fallbackSrc on a
+ * CDN is only for when the local file is missing)
+ */
+async function libraryTrackURLs() {
+    if (!MANIFEST.musicLibrary) return [];
+
+    try {
+        const response = await fetch(new URL(MANIFEST.musicLibrary, SCOPE).href, { cache: 'reload' });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const { tracks = [] } = await response.json();
+
+        return tracks
+            .filter(track => track.src)
+            .map(track => new URL(track.src, SCOPE).href)
+            .filter(url => url.startsWith(SCOPE));
+    } catch (error) {
+        console.warn('SW: music library not read', error);
+        return [];
+    }
+}
+
+/**
+ * Tell open pages a new version is installed and waiting
+ */
+async function notifyUpdate() {
+    const windows = await self.clients.matchAll({ type: 'window' });
+    windows.forEach(client => client.postMessage({ type: 'UPDATE_AVAILABLE', version: VERSION }));
+}
+
+/**
+ * Answer a Range request (audio/video elements) from a full cached response
+ */
+async function toRangeResponse(request, response) {
+    const range = /^bytes=(\d*)-(\d*)$/.exec(request.headers.get('range') || '');
+    if (!range) return response;
+
+    const blob = await response.blob();
+    const size = blob.size;
+    let start;
+    let end;
+
+    if (range[1] === '') {
+        // Suffix range: the last N bytes
+        start = Math.max(0, size - Number(range[2]));
+        end = size - 1;
+    } else {
+        start = Number(range[1]);
+        end = range[2] ? Math.min(Number(range[2]), size - 1) : size - 1;
+    }
+
+    if (start >= size || start > end) {
+        return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${size}` } });
+    }
+
+    return new Response(blob.slice(start, end + 1), {
+        status: 206,
+        statusText: 'Partial Content',
+        headers: {
+            'Content-Type': response.headers.get('Content-Type') || '',
+            'Content-Range': `bytes ${start}-${end}/${size}`,
+            'Content-Length': String(end - start + 1)
+        }
+    });
+}
+
+/**
+ * Cache-first: models, libraries, audio, animations
+ * Misses are fetched whole (no Range) so they can be cached.
+ */
+async function cacheFirst(request) {
+    const cache = await caches.open(MEDIA_CACHE);
+    let response = await cache.match(request.url, { ignoreSearch: true });
+
+    if (!response) {
+        const isRange = request.headers.has('range');
+        response = await fetch(isRange ? request.url : request);
+        if (response.status === 200) {
+            await cache.put(request.url, response.clone());
+        } else if (isRange) {
+            return fetch(request);
+        }
+    }
+
+    return toRangeResponse(request, response);
+}
+
+/**
+ * Stale-while-revalidate: answer from the cache, refresh it in the background
+ * Navigations fall back to the cached index.html.
+ */
+async function staleWhileRevalidate(event) {
+    const { request } = event;
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true })
+        || (request.mode === 'navigate' ? await cache.match(new URL('index.html', SCOPE).href) : null);
+
+    const update = fetch(request).then(async (response) => {
+        if (response.status === 200 && response.type === 'basic') {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+    return update;
+}
+
+// Install - precache this version (media already cached is kept)
+// A shell file that can't be fetched fails the install: the update is retried
+// on the next check instead of leaving the kiosk with a broken version.
 self.addEventListener('install', (event) => {
-    self.skipWaiting();
+    event.waitUntil((async () => {
+        const mediaURLs = [...new Set([...MEDIA_URLS, ...await libraryTrackURLs()])];
+        await Promise.all([
+            precache(SHELL_CACHE, SHELL_URLS, { fresh: true, required: true }),
+            precache(MEDIA_CACHE, mediaURLs, { skipCached: true })
+        ]);
+
+        // First install takes over right away, updates wait for the page
+        if (self.registration.active) {
+            await notifyUpdate();
+        } else {
+            await self.skipWaiting();
+        }
+    })());
 });
 
-// Activate - clean up old caches
+// Activate - delete caches of other versions
 self.addEventListener('activate', (event) => {
-    event.waitUntil(clients.claim());
+    event.waitUntil((async () => {
+        const keep = [SHELL_CACHE, MEDIA_CACHE];
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter(key => key.startsWith(CACHE_PREFIX) && !keep.includes(key))
+            .map(key => caches.delete(key)));
+        await self.clients.claim();
+    })());
+});
+
+// Messages from the page (core/updateManager.js)
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
 });
 
-// Fetch - network first, no offline cache needed for this app
+// Fetch - pick the strategy by URL
 self.addEventListener('fetch', (event) => {
-    event.respondWith(fetch(event.request));
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const isOwn = url.origin === self.location.origin || request.url.startsWith(ASSET_BASE);
+
+    if (isOwn && MEDIA_PATTERN.test(url.pathname)) {
+        event.respondWith(cacheFirst(request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(event));
+    }
+    // Anything else (opt-in CDN fallbacks) goes to the network as usual
 });